@@ -0,0 +1,31 @@
+import notificationConfig from "../configs/notifications.js";
+import logProvider from "./providers/log.js";
+import smtpProvider from "./providers/smtp.js";
+import twilioProvider from "./providers/twilio.js";
+import webPushProvider from "./providers/webPush.js";
+
+//Notification channels and the providers that can deliver them. A provider
+//exposes send(channel, message) where message is
+//{ to, subject, text, html, attachments, headers, url }; channels use the
+//fields they support.
+
+export const CHANNELS = ["email", "sms", "whatsapp", "push"];
+
+const providers = {
+  email: { smtp: smtpProvider, log: logProvider },
+  sms: { twilio: twilioProvider, log: logProvider },
+  whatsapp: { twilio: twilioProvider, log: logProvider },
+  push: { webpush: webPushProvider, log: logProvider },
+};
+
+export class ChannelError extends Error {}
+
+//Deliver a message on a channel with the provider configured for it
+export const sendOnChannel = (channel, message) => {
+  const name = notificationConfig.providers[channel];
+  const provider = providers[channel]?.[name];
+  if (!provider) {
+    throw new ChannelError(`No provider "${name}" for the ${channel} channel.`);
+  }
+  return provider.send(channel, message);
+};
@@ -0,0 +1,22 @@
+import fs from "fs/promises";
+import path from "path";
+import notificationConfig from "../../configs/notifications.js";
+
+//Development provider: appends each message to the log file as a JSON line
+//instead of delivering it. Attachment contents are left out.
+const send = async (channel, message) => {
+  const { attachments, ...rest } = message;
+  const entry = {
+    channel,
+    ...rest,
+    attachments: attachments?.map((attachment) => attachment.filename),
+    loggedAt: new Date().toISOString(),
+  };
+
+  await fs.mkdir(path.dirname(notificationConfig.logFile), { recursive: true });
+  await fs.appendFile(notificationConfig.logFile, JSON.stringify(entry) + "\n");
+  console.log(`[${channel}] ${message.subject || message.text} -> logged`);
+  return { provider: "log" };
+};
+
+export default { send };
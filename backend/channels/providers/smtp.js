@@ -0,0 +1,19 @@
+import sendEmail from "../../configs/nodeMailer.js";
+
+//Email through the Brevo SMTP relay
+const send = async (
+  channel,
+  { to, subject, html, text, attachments, headers }
+) => {
+  const response = await sendEmail({
+    to,
+    subject,
+    body: html,
+    text,
+    attachments,
+    headers,
+  });
+  return { provider: "smtp", id: response.messageId };
+};
+
+export default { send };
@@ -0,0 +1,33 @@
+import notificationConfig from "../../configs/notifications.js";
+
+//SMS and WhatsApp through the Twilio Messages API. WhatsApp uses the same
+//API with "whatsapp:" prefixed numbers.
+const send = async (channel, { to, text }) => {
+  const { accountSid, authToken, smsFrom, whatsappFrom } =
+    notificationConfig.twilio;
+  const prefix = channel === "whatsapp" ? "whatsapp:" : "";
+
+  const response = await fetch(
+    `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(
+          `${accountSid}:${authToken}`
+        ).toString("base64")}`,
+      },
+      body: new URLSearchParams({
+        To: prefix + to,
+        From: prefix + (channel === "whatsapp" ? whatsappFrom : smsFrom),
+        Body: text,
+      }),
+    }
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Twilio ${channel} failed: ${data.message}`);
+  }
+  return { provider: "twilio", id: data.sid };
+};
+
+export default { send };
@@ -0,0 +1,32 @@
+import webpush from "web-push";
+import notificationConfig from "../../configs/notifications.js";
+
+//Browser push to every subscription of the user. Resolves with the endpoints
+//the push service no longer accepts so they can be removed.
+const send = async (channel, { to, subject: title, text, url }) => {
+  const { publicKey, privateKey, subject } = notificationConfig.webPush;
+  const payload = JSON.stringify({ title, body: text, url });
+  const expired = [];
+  let delivered = 0;
+
+  for (const subscription of to) {
+    try {
+      await webpush.sendNotification(subscription, payload, {
+        vapidDetails: { subject, publicKey, privateKey },
+      });
+      delivered++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        expired.push(subscription.endpoint);
+      } else {
+        throw error;
+      }
+    }
+  }
+  if (!delivered) {
+    throw new Error("No browser accepted the push notification.");
+  }
+  return { provider: "webpush", expired };
+};
+
+export default { send };
@@ -0,0 +1,9 @@
+//Customer cancellation rules, configurable through the environment
+const cancellationPolicy = {
+  //how many hours before showDateTime cancellations close
+  cutoffHours: Number(process.env.CANCELLATION_CUTOFF_HOURS ?? 2),
+  //percentage of the paid amount kept as a cancellation fee
+  feePercent: Number(process.env.CANCELLATION_FEE_PERCENT ?? 10),
+};
+
+export default cancellationPolicy;
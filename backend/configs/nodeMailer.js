@@ -9,12 +9,26 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-const sendEmail = async ({ to, subject, body }) => {
+//body is the HTML part and text the optional plain-text fallback.
+//attachments ({ filename, content, contentType }) and extra headers are
+//passed through to nodemailer
+const sendEmail = async ({
+  to,
+  subject,
+  body,
+  text,
+  attachments = [],
+  headers = {},
+}) => {
   const response = await transporter.sendMail({
     from: process.env.SENDER_EMAIL,
     to,
     subject,
     html: body,
+    text,
+    attachments,
+    headers,
+    attachDataUrls: true, //embed data URL images (ticket QR codes) inline
   });
   return response;
 };
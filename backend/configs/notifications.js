@@ -0,0 +1,24 @@
+//Which provider delivers each notification channel. "log" writes messages to
+//logFile instead of sending them, for local development.
+const notificationConfig = {
+  providers: {
+    email: process.env.EMAIL_PROVIDER || "smtp",
+    sms: process.env.SMS_PROVIDER || "log",
+    whatsapp: process.env.WHATSAPP_PROVIDER || "log",
+    push: process.env.PUSH_PROVIDER || "log",
+  },
+  logFile: process.env.NOTIFICATION_LOG_FILE || "logs/notifications.log",
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    smsFrom: process.env.TWILIO_SMS_FROM, //E.164 number or messaging service
+    whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+  },
+  webPush: {
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || `mailto:${process.env.SENDER_EMAIL}`,
+  },
+};
+
+export default notificationConfig;
@@ -0,0 +1,10 @@
+//Show reminder options, in hours before the show starts
+const reminderConfig = {
+  offsetOptions: [1, 2, 3, 6, 12, 24, 48],
+  defaultOffsets: [24, 2],
+  //a reminder still "sending" this long after it was claimed is taken to be
+  //from a run that died, and is claimed again
+  claimLeaseMinutes: 15,
+};
+
+export default reminderConfig;
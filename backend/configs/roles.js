@@ -0,0 +1,63 @@
+//Admin roles and what they may do. A user's role lives in their Clerk
+//private metadata as { role, theaters } where theaters lists the venue IDs of
+//venue-scoped roles. Users still carrying the old "admin" role are treated
+//as super admins.
+
+//theaters:manage edits venues and their screens, theaters:admin adds and
+//removes venues
+export const PERMISSIONS = [
+  "dashboard:view",
+  "shows:view",
+  "shows:manage",
+  "bookings:view",
+  "reports:export",
+  "theaters:manage",
+  "theaters:admin",
+  "coupons:view",
+  "coupons:manage",
+  "tickets:check-in",
+  "emails:view",
+  "audit:view",
+];
+
+const roles = {
+  "super-admin": {
+    name: "Super Admin",
+    permissions: PERMISSIONS,
+  },
+  //runs the venues in their metadata: schedules shows and edits screens
+  "theater-manager": {
+    name: "Theater Manager",
+    venueScoped: true,
+    permissions: [
+      "dashboard:view",
+      "shows:view",
+      "shows:manage",
+      "bookings:view",
+      "reports:export",
+      "theaters:manage",
+      "tickets:check-in",
+    ],
+  },
+  //looks up bookings and scans tickets at the door of their venues
+  "box-office": {
+    name: "Box Office",
+    venueScoped: true,
+    permissions: ["shows:view", "bookings:view", "tickets:check-in"],
+  },
+  //read-only access to sales across every venue
+  finance: {
+    name: "Finance",
+    permissions: [
+      "dashboard:view",
+      "shows:view",
+      "bookings:view",
+      "reports:export",
+      "coupons:view",
+    ],
+  },
+};
+
+export const LEGACY_ADMIN_ROLE = "admin";
+
+export default roles;
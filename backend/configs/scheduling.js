@@ -0,0 +1,11 @@
+//Screen time around each show, configurable through the environment. A show
+//keeps its screen busy from its start through the ads and trailers, the movie
+//and the cleaning after it.
+const schedulingConfig = {
+  adMinutes: Number(process.env.SHOW_AD_MINUTES ?? 15),
+  cleaningMinutes: Number(process.env.SHOW_CLEANING_MINUTES ?? 15),
+  //used for movies whose runtime TMDB doesn't know yet
+  defaultRuntime: Number(process.env.DEFAULT_RUNTIME_MINUTES ?? 150),
+};
+
+export default schedulingConfig;
@@ -0,0 +1,5 @@
+import stripe from "stripe";
+
+const stripeInstance = new stripe(process.env.STRIPE_SECRET_KEY);
+
+export default stripeInstance;
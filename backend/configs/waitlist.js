@@ -0,0 +1,9 @@
+//Waitlist offers, configurable through the environment
+const waitlistConfig = {
+  //how long released seats stay held for the waitlisted user
+  holdMinutes: Number(process.env.WAITLIST_HOLD_MINUTES ?? 15),
+  //most seats a user can ask for, matching the seat selection limit
+  maxSeats: 5,
+};
+
+export default waitlistConfig;
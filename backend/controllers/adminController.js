@@ -1,25 +1,60 @@
 //API to check if user == admin
 
-import Booking from "../models/Bookings.js";
+import mongoose from "mongoose";
+import Booking, { BOOKING_TRANSITIONS } from "../models/Bookings.js";
+import Movie from "../models/Movie.js";
 import Show from "../models/Show.js";
 import User from "../models/User.js";
+import roles from "../configs/roles.js";
+import { activeShowFilter } from "../utils/showChanges.js";
+import { getBookingScope, getShowScope } from "../utils/venueAccess.js";
+import { ReportError, parseDateRange } from "../utils/reports.js";
+import {
+  escapeRegex,
+  getPageInfo,
+  parseListQuery,
+  searchPattern,
+} from "../utils/listQuery.js";
 
 export const isAdmin = async (req, res) => {
-  res.json({ success: true, isAdmin: true });
+  const { role, permissions, theaters } = req.admin;
+  res.json({
+    success: true,
+    isAdmin: true,
+    role,
+    roleName: roles[role].name,
+    permissions,
+    theaters,
+  });
 };
 
-//API to get dashboard data
+//API to get dashboard data for the admin's venues
 export const getDashboardData = async (req, res) => {
   try {
-    const bookings = await Booking.find({ isPaid: true });
+    const [showScope, bookingScope] = await Promise.all([
+      getShowScope(req.admin),
+      getBookingScope(req.admin),
+    ]);
+    const [totals] = await Booking.aggregate([
+      { $match: { status: "paid", ...bookingScope } },
+      {
+        $group: {
+          _id: null,
+          totalBookings: { $sum: 1 },
+          totalRevenue: { $sum: "$amount" },
+        },
+      },
+    ]);
     const activeShows = await Show.find({
       showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+      ...showScope,
     }).populate("movie");
 
     const totalUser = await User.countDocuments();
     const dashboardData = {
-      totalBookings: bookings.length,
-      totalRevenue: bookings.reduce((acc, booking) => acc + booking.amount, 0),
+      totalBookings: totals?.totalBookings || 0,
+      totalRevenue: totals?.totalRevenue || 0,
       activeShows,
       totalUser,
     };
@@ -31,31 +66,168 @@ export const getDashboardData = async (req, res) => {
   }
 };
 
+const showSortFields = ["showDateTime", "showPrice", "createdAt"];
+const bookingSortFields = ["createdAt", "amount", "status"];
+
+//Query conditions combined with $and, or an empty filter. Empty conditions
+//are left out.
+const combine = (conditions) => {
+  const filled = conditions.filter(
+    (condition) => Object.keys(condition).length
+  );
+  return filled.length ? { $and: filled } : {};
+};
+
+//IDs of shows of the given movies. Bookings store them as strings.
+const getShowIds = async (movieFilter) =>
+  (await Show.distinct("_id", { movie: movieFilter })).map((id) =>
+    id.toString()
+  );
+
+//API to list shows a page at a time. Filters: when (upcoming, past or all),
+//movie, from/to show dates, status (scheduled or cancelled) and a search
+//over movie titles.
 export const getAllShows = async (req, res) => {
   try {
-    const shows = await Show.find({ showDateTime: { $gte: new Date() } })
-      .populate("movie")
-      .sort({ showDateTime: 1 });
+    const { when = "upcoming", movie, from, to, status, search } = req.query;
+    const listQuery = parseListQuery(req.query, {
+      sortFields: showSortFields,
+      defaultSort: "showDateTime",
+      defaultOrder: when === "past" ? "desc" : "asc",
+    });
+
+    const conditions = [await getShowScope(req.admin)];
+    if (when === "upcoming") {
+      conditions.push({ showDateTime: { $gte: new Date() } });
+    } else if (when === "past") {
+      conditions.push({ showDateTime: { $lt: new Date() } });
+    }
+    const range = parseDateRange(from, to);
+    if (range) conditions.push({ showDateTime: range });
+    if (movie) conditions.push({ movie });
+    if (status === "cancelled") conditions.push({ status: "cancelled" });
+    if (status === "scheduled") conditions.push(activeShowFilter);
+    if (search?.trim()) {
+      const movies = await Movie.find({ title: searchPattern(search) }, "_id");
+      conditions.push({ movie: { $in: movies.map((item) => item._id) } });
+    }
+    const filter = combine(conditions);
+
+    const [shows, total] = await Promise.all([
+      Show.find(filter)
+        .populate("movie")
+        .sort(listQuery.sort)
+        .skip(listQuery.skip)
+        .limit(listQuery.limit),
+      Show.countDocuments(filter),
+    ]);
 
-    res.json({ success: true, shows });
+    res.json({
+      success: true,
+      shows,
+      pagination: getPageInfo(listQuery, total),
+    });
   } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error(error);
     res.json({ success: false, message: error.message });
   }
-
 };
 
-//API to get all bookings
-
-export const getAllBookings = async (req, res) =>{
-    try {
-        const bookings = await Booking.find({}).populate('user').populate({
-            path: 'show',
-            populate: {path: "movie"}
-        }).sort({ createdAt: -1})
-        res.json({success: true, bookings})
-    } catch (error) {
-        console.error(error);
-        res.json({ success: false, message: error.message });
+//API to list bookings a page at a time. Filters: movie, from/to booking
+//dates, status and the customer's email, plus a search over customer names
+//and emails, movie titles, coupon codes and booking IDs.
+export const getAllBookings = async (req, res) => {
+  try {
+    const { movie, from, to, status, email, search } = req.query;
+    if (status && !(status in BOOKING_TRANSITIONS)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown booking status "${status}".`,
+      });
     }
-}
+    const listQuery = parseListQuery(req.query, {
+      sortFields: bookingSortFields,
+      defaultSort: "createdAt",
+    });
+
+    const conditions = [await getBookingScope(req.admin)];
+    const range = parseDateRange(from, to);
+    if (range) conditions.push({ createdAt: range });
+    if (status) conditions.push({ status });
+    if (movie) conditions.push({ show: { $in: await getShowIds(movie) } });
+    if (email?.trim()) {
+      const users = await User.find(
+        { email: new RegExp(`^${escapeRegex(email.trim())}$`, "i") },
+        "_id"
+      );
+      conditions.push({ user: { $in: users.map((item) => item._id) } });
+    }
+    if (search?.trim()) {
+      const pattern = searchPattern(search);
+      const [users, movies] = await Promise.all([
+        User.find({ $or: [{ name: pattern }, { email: pattern }] }, "_id"),
+        Movie.find({ title: pattern }, "_id"),
+      ]);
+      const matches = [
+        { user: { $in: users.map((item) => item._id) } },
+        { coupon: pattern },
+      ];
+      if (movies.length) {
+        matches.push({
+          show: {
+            $in: await getShowIds({ $in: movies.map((item) => item._id) }),
+          },
+        });
+      }
+      if (mongoose.isValidObjectId(search.trim())) {
+        matches.push({ _id: search.trim() });
+      }
+      conditions.push({ $or: matches });
+    }
+    const filter = combine(conditions);
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate("user")
+        .populate({
+          path: "show",
+          populate: { path: "movie" },
+        })
+        .sort(listQuery.sort)
+        .skip(listQuery.skip)
+        .limit(listQuery.limit),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      bookings,
+      pagination: getPageInfo(listQuery, total),
+    });
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to list movies that have shows at the admin's venues, for the admin
+//list filters
+export const getShowMovies = async (req, res) => {
+  try {
+    const showScope = await getShowScope(req.admin);
+    const movies = await Movie.find(
+      { _id: { $in: await Show.distinct("movie", showScope) } },
+      "title"
+    ).sort({ title: 1 });
+    res.json({ success: true, movies });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
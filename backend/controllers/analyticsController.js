@@ -0,0 +1,301 @@
+import Booking from "../models/Bookings.js";
+import Movie from "../models/Movie.js";
+import Show from "../models/Show.js";
+import { getBookableSeatIds, getSeatLayout } from "../utils/seatMap.js";
+import { activeShowFilter } from "../utils/showChanges.js";
+import { DEFAULT_TIME_ZONE, toZonedDateTime } from "../utils/timeZones.js";
+import { ReportError, parseDateRange } from "../utils/reports.js";
+import { getBookingScope, getShowScope } from "../utils/venueAccess.js";
+
+//Sales analytics for the admin dashboard. Everything is totalled by the
+//database; sales are paid bookings, dated by when they were made and grouped
+//on the business's clock. Staff limited to some venues only see theirs.
+
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 400;
+const TOP_MOVIES_LIMIT = 10;
+const OCCUPANCY_SHOW_LIMIT = 30;
+
+const shiftDate = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .split("T")[0];
+
+//First day of the period a date falls in. Weeks start on Monday.
+const getPeriodStart = (date, interval) => {
+  if (interval === "month") return `${date.slice(0, 7)}-01`;
+  if (interval === "week") {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return shiftDate(date, -((weekday + 6) % 7));
+  }
+  return date;
+};
+
+const getNextPeriod = (period, interval) => {
+  if (interval === "month") {
+    const [year, month] = period.split("-").map(Number);
+    return month === 12
+      ? `${year + 1}-01-01`
+      : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+  }
+  return shiftDate(period, interval === "week" ? 7 : 1);
+};
+
+//Every period between two dates, so days without sales still show up
+const listPeriods = (from, to, interval) => {
+  const periods = [];
+  for (
+    let period = getPeriodStart(from, interval);
+    period <= to;
+    period = getNextPeriod(period, interval)
+  ) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+//How many periods listPeriods would return, worked out without listing them
+const countPeriods = (from, to, interval) => {
+  const start = getPeriodStart(from, interval);
+  if (interval === "month") {
+    const [startYear, startMonth] = start.split("-").map(Number);
+    const [endYear, endMonth] = to.split("-").map(Number);
+    return (endYear - startYear) * 12 + endMonth - startMonth + 1;
+  }
+  const days =
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS;
+  return Math.floor(days / (interval === "week" ? 7 : 1)) + 1;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const salesTotals = {
+  revenue: { $sum: "$amount" },
+  bookings: { $sum: 1 },
+  tickets: { $sum: { $size: "$bookedSeats" } },
+};
+
+//Revenue, bookings and tickets per day, week or month
+const getTimeline = async (match, { from, to, interval }) => {
+  const rows = await Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            date: {
+              $dateTrunc: {
+                date: "$createdAt",
+                unit: interval,
+                timezone: DEFAULT_TIME_ZONE,
+                startOfWeek: "monday",
+              },
+            },
+            format: "%Y-%m-%d",
+            timezone: DEFAULT_TIME_ZONE,
+          },
+        },
+        ...salesTotals,
+      },
+    },
+  ]);
+  const byPeriod = Object.fromEntries(rows.map((row) => [row._id, row]));
+
+  return listPeriods(from, to, interval).map((period) => {
+    const { revenue = 0, bookings = 0, tickets = 0 } = byPeriod[period] || {};
+    return { period, revenue: roundMoney(revenue), bookings, tickets };
+  });
+};
+
+//Bookings by the hour of the day they were made, 0 to 23
+const getSalesByHour = async (match) => {
+  const rows = await Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $hour: { date: "$createdAt", timezone: DEFAULT_TIME_ZONE } },
+        ...salesTotals,
+      },
+    },
+  ]);
+  const byHour = Object.fromEntries(rows.map((row) => [row._id, row]));
+
+  return Array.from({ length: 24 }, (_, hour) => {
+    const { revenue = 0, bookings = 0, tickets = 0 } = byHour[hour] || {};
+    return { hour, revenue: roundMoney(revenue), bookings, tickets };
+  });
+};
+
+//Best-selling movies by revenue. Bookings are totalled per show first so
+//each show is only looked up once.
+const getTopMovies = async (match) => {
+  const rows = await Booking.aggregate([
+    { $match: match },
+    { $group: { _id: "$show", ...salesTotals } },
+    {
+      $lookup: {
+        from: Show.collection.name,
+        let: {
+          showId: {
+            $convert: { input: "$_id", to: "objectId", onError: null },
+          },
+        },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$showId"] } } },
+          { $project: { movie: 1 } },
+        ],
+        as: "show",
+      },
+    },
+    { $unwind: "$show" },
+    {
+      $group: {
+        _id: "$show.movie",
+        revenue: { $sum: "$revenue" },
+        bookings: { $sum: "$bookings" },
+        tickets: { $sum: "$tickets" },
+      },
+    },
+    { $sort: { revenue: -1 } },
+    { $limit: TOP_MOVIES_LIMIT },
+    {
+      $lookup: {
+        from: Movie.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $project: { title: 1 } }],
+        as: "movie",
+      },
+    },
+  ]);
+
+  return rows.map((row) => ({
+    movieId: row._id,
+    title: row.movie[0]?.title || "Unknown movie",
+    revenue: roundMoney(row.revenue),
+    bookings: row.bookings,
+    tickets: row.tickets,
+  }));
+};
+
+//Seats sold against bookable seats for the latest shows in the range. Here
+//the range is the show time rather than the booking time.
+const getOccupancy = async (range, showScope) => {
+  const shows = await Show.find(
+    { showDateTime: range, ...activeShowFilter, ...showScope },
+    "movie screen showDateTime timeZone seatLayout"
+  )
+    .populate("movie", "title")
+    .populate("screen", "name")
+    .sort({ showDateTime: -1 })
+    .limit(OCCUPANCY_SHOW_LIMIT)
+    .lean();
+
+  const sold = await Booking.aggregate([
+    {
+      $match: {
+        show: { $in: shows.map((show) => show._id.toString()) },
+        status: "paid",
+      },
+    },
+    { $group: { _id: "$show", seats: { $sum: { $size: "$bookedSeats" } } } },
+  ]);
+  const soldByShow = Object.fromEntries(
+    sold.map((item) => [item._id, item.seats])
+  );
+
+  const rows = shows.reverse().map((show) => {
+    const capacity = getBookableSeatIds(getSeatLayout(show)).size;
+    const seatsSold = soldByShow[show._id] || 0;
+    return {
+      showId: show._id,
+      title: show.movie?.title,
+      screen: show.screen?.name,
+      showDateTime: show.showDateTime,
+      timeZone: show.timeZone,
+      capacity,
+      seatsSold,
+      occupancy: capacity ? Math.round((seatsSold / capacity) * 1000) / 10 : 0,
+    };
+  });
+  const capacity = rows.reduce((acc, row) => acc + row.capacity, 0);
+  const seatsSold = rows.reduce((acc, row) => acc + row.seatsSold, 0);
+
+  return {
+    averageOccupancy: capacity
+      ? Math.round((seatsSold / capacity) * 1000) / 10
+      : 0,
+    shows: rows,
+  };
+};
+
+//API to get sales analytics between two dates (YYYY-MM-DD, inclusive),
+//grouped by day, week or month. Defaults to the last 30 days by day.
+export const getAnalytics = async (req, res) => {
+  try {
+    const { interval = "day" } = req.query;
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of ${ANALYTICS_INTERVALS.join(", ")}.`,
+      });
+    }
+
+    const today = toZonedDateTime(new Date(), DEFAULT_TIME_ZONE).date;
+    const to = req.query.to || today;
+    const from = req.query.from || shiftDate(today, 1 - DEFAULT_RANGE_DAYS);
+    const range = parseDateRange(from, to);
+    if (countPeriods(from, to, interval) > MAX_PERIODS) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Too many periods for this date range. Pick a longer interval.",
+      });
+    }
+
+    const [showScope, bookingScope] = await Promise.all([
+      getShowScope(req.admin),
+      getBookingScope(req.admin),
+    ]);
+    const match = { status: "paid", createdAt: range, ...bookingScope };
+    const [timeline, salesByHour, topMovies, occupancy] = await Promise.all([
+      getTimeline(match, { from, to, interval }),
+      getSalesByHour(match),
+      getTopMovies(match),
+      getOccupancy(range, showScope),
+    ]);
+
+    const revenue = timeline.reduce((acc, row) => acc + row.revenue, 0);
+    const bookings = timeline.reduce((acc, row) => acc + row.bookings, 0);
+    const tickets = timeline.reduce((acc, row) => acc + row.tickets, 0);
+
+    res.json({
+      success: true,
+      analytics: {
+        from,
+        to,
+        interval,
+        timeZone: DEFAULT_TIME_ZONE,
+        summary: {
+          revenue: roundMoney(revenue),
+          bookings,
+          tickets,
+          averageTicketPrice: tickets ? roundMoney(revenue / tickets) : 0,
+        },
+        timeline,
+        salesByHour,
+        topMovies,
+        occupancy,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
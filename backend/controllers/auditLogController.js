@@ -0,0 +1,187 @@
+import AuditLog from "../models/AuditLog.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
+import {
+  getPageInfo,
+  parseListQuery,
+  searchPattern,
+} from "../utils/listQuery.js";
+import {
+  REPORT_FORMATS,
+  ReportError,
+  formatReportTime,
+  parseDateRange,
+  writeReport,
+} from "../utils/reports.js";
+
+//long values like seat layouts are cut short in the export
+const MAX_VALUE_LENGTH = 200;
+
+const auditColumns = [
+  { header: `Time (${DEFAULT_TIME_ZONE})`, width: 20 },
+  { header: "Actor", width: 22 },
+  { header: "Email", width: 28 },
+  { header: "Role", width: 16 },
+  { header: "Action", width: 18 },
+  { header: "Target Type", width: 12 },
+  { header: "Target ID", width: 26 },
+  { header: "Target", width: 30 },
+  { header: "Changes", width: 60 },
+  { header: "Details", width: 40 },
+  { header: "IP", width: 16 },
+  { header: "User Agent", width: 30 },
+];
+
+//Reads the log filters from the query string: action, target type and ID,
+//the actor's user ID, from/to dates and search text over the actor, target
+//and IP. Throws a ReportError for invalid dates.
+const parseAuditFilter = ({
+  action,
+  targetType,
+  targetId,
+  actor,
+  from,
+  to,
+  search,
+}) => {
+  const filter = {};
+  if (action) filter.action = String(action);
+  if (targetType) filter["target.type"] = String(targetType);
+  if (targetId) filter["target.id"] = String(targetId);
+  if (actor) filter["actor.userId"] = String(actor);
+
+  const range = parseDateRange(from, to);
+  if (range) filter.createdAt = range;
+
+  const text = String(search || "").trim();
+  if (text) {
+    const pattern = searchPattern(text);
+    filter.$or = [
+      { "actor.name": pattern },
+      { "actor.email": pattern },
+      { "target.label": pattern },
+      { "target.id": text },
+      { ip: text },
+    ];
+  }
+  return filter;
+};
+
+const sendAuditError = (res, error) => {
+  console.error(error);
+  if (res.headersSent) return res.end();
+  res
+    .status(error instanceof ReportError ? 400 : 500)
+    .json({ success: false, message: error.message });
+};
+
+//API to browse the audit log, newest first. Also lists the actions, target
+//types and actors in the log for the filters.
+export const getAuditLog = async (req, res) => {
+  try {
+    const filter = parseAuditFilter(req.query);
+    const listQuery = parseListQuery(req.query, {
+      sortFields: ["createdAt"],
+      defaultSort: "createdAt",
+    });
+
+    const [entries, total, actions, targetTypes, actors] = await Promise.all([
+      AuditLog.find(filter)
+        .sort(listQuery.sort)
+        .skip(listQuery.skip)
+        .limit(listQuery.limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct("action"),
+      AuditLog.distinct("target.type"),
+      //each actor under the name they last acted with
+      AuditLog.aggregate([
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: "$actor.userId",
+            name: { $last: "$actor.name" },
+            email: { $last: "$actor.email" },
+          },
+        },
+        { $sort: { name: 1 } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: getPageInfo(listQuery, total),
+      filters: {
+        actions: actions.sort(),
+        targetTypes: targetTypes.sort(),
+        actors,
+      },
+    });
+  } catch (error) {
+    sendAuditError(res, error);
+  }
+};
+
+//A changed value as text for the export
+const formatValue = (value) => {
+  if (value === undefined || value === null) return "-";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH)}…`
+    : text;
+};
+
+//"field: old -> new" for each changed field
+const formatChanges = ({ before, after }) =>
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .map(
+      (field) =>
+        `${field}: ${formatValue(before?.[field])} -> ${formatValue(after?.[field])}`
+    )
+    .join("; ");
+
+//API to download the audit log as CSV or XLSX, with the same filters as the
+//list
+export const exportAuditLog = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new ReportError(
+        `Format must be one of ${REPORT_FORMATS.join(", ")}.`
+      );
+    }
+
+    const cursor = AuditLog.find(parseAuditFilter(req.query))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+
+    async function* rows() {
+      for await (const entry of cursor) {
+        yield [
+          formatReportTime(entry.createdAt),
+          entry.actor.name,
+          entry.actor.email,
+          entry.actor.role,
+          entry.action,
+          entry.target.type,
+          entry.target.id,
+          entry.target.label,
+          formatChanges(entry),
+          entry.details ? JSON.stringify(entry.details) : "",
+          entry.ip,
+          entry.userAgent,
+        ];
+      }
+    }
+
+    await writeReport(res, {
+      format,
+      filename: "audit-log",
+      columns: auditColumns,
+      rows: rows(),
+    });
+  } catch (error) {
+    sendAuditError(res, error);
+  }
+};
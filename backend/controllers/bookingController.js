@@ -1,101 +1,211 @@
 import { inngest } from "../inngest/index.js";
 import Booking from "../models/Bookings.js";
 import Show from "../models/Show.js";
-import stripe from "stripe";
-
-//Function to check availability of selected seats for a movie
-const checkSeatsAvailability = async (showId, selectedSeats) => {
-  try {
-    const showData = await Show.findById(showId);
-    if (!showData) return false;
-
-    const occupiedSeats = showData.occupiedSeats;
-
-    const isAnySeatTaken = selectedSeats.some((seat) => occupiedSeats[seat]);
-    return !isAnySeatTaken;
-  } catch (error) {
-    console.log(error.message);
-    return false;
-  }
-};
+import stripeInstance from "../configs/stripe.js";
+import cancellationPolicy from "../configs/cancellationPolicy.js";
+import {
+  claimSeats,
+  getHeldSeats,
+  isValidSeatId,
+  releaseSeats,
+  unclaimSeats,
+} from "../utils/seatReservation.js";
+import { completeWaitlistOffer } from "../utils/waitlist.js";
+import { getBookableSeatIds, getSeatLayout } from "../utils/seatMap.js";
+import { getCategoryPrices, priceSeats } from "../utils/pricing.js";
+import { refundPayment } from "../utils/refunds.js";
+import {
+  redeemCoupon,
+  releaseCoupon,
+  validateCoupon,
+} from "../utils/coupons.js";
 
 export const createBooking = async (req, res) => {
+  let claimedShowId = null;
+  let claimedSeats = [];
+  let claimedHeldSeats = [];
+  let redeemedCoupon = null;
+  let booking = null;
   try {
     const { userId } = req.auth();
-    const { showId, selectedSeats } = req.body;
+    const { showId, selectedSeats, couponCode } = req.body;
     const { origin } = req.headers;
-    // availibility of selected seats
-
-    const isAvailable = await checkSeatsAvailability(showId, selectedSeats);
 
-    if (!isAvailable) {
+    if (!Array.isArray(selectedSeats) || selectedSeats.length === 0) {
       return res.json({
         success: false,
-        message: "Selected seat(s) are not available.",
+        message: "Please select at least one seat.",
       });
     }
 
+    const seats = [...new Set(selectedSeats)];
+    if (!seats.every(isValidSeatId)) {
+      return res.json({ success: false, message: "Invalid seat selection." });
+    }
+
     //Get the show details
     const showData = await Show.findById(showId).populate("movie");
+    if (!showData || showData.status === "cancelled") {
+      return res.json({ success: false, message: "Show not found." });
+    }
 
-    //createing a new booking
+    //only seats that exist on this show's seat map can be booked
+    const bookableSeats = getBookableSeatIds(getSeatLayout(showData));
+    const invalidSeats = seats.filter((seat) => !bookableSeats.has(seat));
+    if (invalidSeats.length > 0) {
+      return res.json({
+        success: false,
+        message: `Seat(s) ${invalidSeats.join(", ")} can't be booked.`,
+      });
+    }
 
-    const booking = await Booking.create({
-      user: userId,
-      show: showId,
-      amount: showData.showPrice * selectedSeats.length,
-      bookedSeats: selectedSeats,
-    });
+    //price per seat category, then apply the coupon if one was entered
+    const { total, lineItems } = priceSeats(showData, seats);
 
-    selectedSeats.map((seat) => {
-      showData.occupiedSeats[seat] = userId;
-    });
-    showData.markModified("occupiedSeats");
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      const result = await validateCoupon({
+        code: couponCode,
+        userId,
+        show: showData,
+        seats,
+        subtotal: total,
+      });
+      if (result.error) {
+        return res.json({ success: false, message: result.error });
+      }
+      ({ coupon, discount } = result);
+    }
 
-    await showData.save();
+    //claim the seats atomically so a seat can only be held by one booking
+    const { claimed, takenSeats, heldSeats } = await claimSeats(
+      showId,
+      seats,
+      userId
+    );
+    //the seats someone else got are in the body so the client can drop them
+    if (!claimed) {
+      return res.json({
+        success: false,
+        message: "Selected seat(s) were just taken. Please pick other seats.",
+        takenSeats,
+      });
+    }
+    claimedShowId = showId;
+    claimedSeats = seats;
+    claimedHeldSeats = heldSeats;
 
-    //Stripe Gateway Initialize
-    const stripeInstance = new stripe(process.env.STRIPE_SECRET_KEY);
+    if (coupon) {
+      if (!(await redeemCoupon(coupon, userId))) {
+        await unclaimSeats(showId, seats, userId, heldSeats);
+        claimedShowId = null;
+        return res.json({
+          success: false,
+          message: "This coupon has been fully redeemed or already used.",
+        });
+      }
+      redeemedCoupon = { coupon: coupon.code, user: userId };
+    }
 
-    //creating line items for stripe
-    const line_items = [
-      {
-        price_data: {
-          currency: "inr",
-          product_data: {
-            name: showData.movie.title,
-          },
-          unit_amount: Math.floor(booking.amount) * 100,
+    //createing a new booking
+    booking = await Booking.create({
+      user: userId,
+      show: showId,
+      amount: total - discount,
+      subtotal: total,
+      discount,
+      coupon: coupon?.code,
+      bookedSeats: seats,
+      lineItems,
+    });
+
+    //creating line items for stripe, one per seat category
+    const line_items = lineItems.map((item) => ({
+      price_data: {
+        currency: "inr",
+        product_data: {
+          name: `${showData.movie.title} - ${item.name}`,
+          description: `Seats: ${item.seats.join(", ")}`,
         },
-        quantity: 1,
+        unit_amount: Math.round(item.unitPrice * 100),
       },
-    ];
+      quantity: item.seats.length,
+    }));
+
+    //the discount is applied through a single-use stripe coupon so the
+    //checkout page shows the same breakdown as the booking
+    let discounts;
+    if (discount > 0) {
+      const stripeCoupon = await stripeInstance.coupons.create({
+        name: coupon.code,
+        amount_off: Math.round(discount * 100),
+        currency: "inr",
+        duration: "once",
+        max_redemptions: 1,
+      });
+      discounts = [{ coupon: stripeCoupon.id }];
+    }
 
     const session = await stripeInstance.checkout.sessions.create({
       success_url: `${origin}/loading/my-bookings`,
       cancel_url: `${origin}/my-bookings`,
       line_items: line_items,
+      discounts,
       mode: "payment",
       metadata: {
         bookingId: booking._id.toString(),
       },
+      payment_intent_data: {
+        metadata: { bookingId: booking._id.toString() },
+      },
       expires_at: Math.floor(Date.now() / 1000) + 30 * 60, //expires in 30 mins
     });
 
     booking.paymentLink = session.url;
+    booking.stripeSessionId = session.id;
     await booking.save();
 
-    //Run inngest sheduler function to check payment status after 10 mins
+    //Run inngest sheduler function to expire the booking if unpaid after 10 mins
     await inngest.send({
       name: "app/checkpayment",
       data: {
         bookingId: booking._id.toString(),
       },
     });
+    //from here on the seats and coupon are released by the payment check job
+    claimedShowId = null;
+    redeemedCoupon = null;
+
+    //booking seats offered from the waitlist frees any held seats not taken
+    const unusedHeldSeats = await completeWaitlistOffer(
+      showData,
+      userId,
+      seats
+    );
+    if (unusedHeldSeats.length) {
+      await inngest.send({ name: "app/seats.released", data: { showId } });
+    }
 
     res.json({ success: true, url: session.url });
   } catch (error) {
     console.log(error.message);
+    //don't leave seats held by a booking that never reached checkout, but
+    //give back seats the user was holding from the waitlist
+    if (claimedShowId) {
+      await unclaimSeats(
+        claimedShowId,
+        claimedSeats,
+        req.auth().userId,
+        claimedHeldSeats
+      ).catch(console.error);
+      if (booking) {
+        await Booking.findByIdAndDelete(booking._id).catch(console.error);
+      }
+    }
+    if (redeemedCoupon) {
+      await releaseCoupon(redeemedCoupon).catch(console.error);
+    }
     res.json({ success: false, message: error.message });
   }
 };
@@ -103,11 +213,193 @@ export const createBooking = async (req, res) => {
 export const getOccupiedSeats = async (req, res) => {
   try {
     const { showId } = req.params;
+    const { userId } = req.auth();
     const showData = await Show.findById(showId);
 
-    const occupiedSeats = Object.keys(showData.occupiedSeats);
+    //seats held for this user from the waitlist are theirs to pick
+    const heldSeats = getHeldSeats(showData, userId);
+    const occupiedSeats = Object.keys(showData.occupiedSeats).filter(
+      (seat) => !heldSeats.includes(seat)
+    );
+    const seatLayout = getSeatLayout(showData);
+    const categories = getCategoryPrices(showData);
+
+    res.json({
+      success: true,
+      occupiedSeats,
+      heldSeats,
+      seatLayout,
+      categories,
+    });
+  } catch (error) {
+    console.log(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to preview a coupon on the selected seats before checkout
+export const applyCoupon = async (req, res) => {
+  try {
+    const { userId } = req.auth();
+    const { showId, selectedSeats, couponCode } = req.body;
+
+    if (!couponCode) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please enter a coupon code." });
+    }
+    if (!Array.isArray(selectedSeats) || selectedSeats.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please select at least one seat." });
+    }
+
+    const showData = await Show.findById(showId);
+    if (!showData) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+
+    const seats = [...new Set(selectedSeats)];
+    const { total } = priceSeats(showData, seats);
+    const { error, coupon, discount } = await validateCoupon({
+      code: couponCode,
+      userId,
+      show: showData,
+      seats,
+      subtotal: total,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.json({
+      success: true,
+      message: `Coupon ${coupon.code} applied.`,
+      coupon: coupon.code,
+      subtotal: total,
+      discount,
+      total: total - discount,
+    });
+  } catch (error) {
+    console.log(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to get the cancellation policy shown to customers
+export const getCancellationPolicy = async (req, res) => {
+  res.json({ success: true, policy: cancellationPolicy });
+};
+
+//API for a customer to cancel their own booking
+export const cancelBooking = async (req, res) => {
+  try {
+    const { userId } = req.auth();
+    const { bookingId } = req.params;
+
+    const booking = await Booking.findById(bookingId).populate("show");
+    if (!booking || booking.user !== userId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found." });
+    }
+
+    if (!["pending", "paid"].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking is already ${booking.status}.`,
+      });
+    }
+
+    const cutoff = new Date(
+      booking.show.showDateTime.getTime() -
+        cancellationPolicy.cutoffHours * 60 * 60 * 1000
+    );
+    if (new Date() > cutoff) {
+      return res.status(400).json({
+        success: false,
+        message: `Bookings can only be cancelled up to ${cancellationPolicy.cutoffHours} hours before the show.`,
+      });
+    }
+
+    //unpaid bookings are simply cancelled and their checkout closed
+    if (booking.status === "pending") {
+      const cancelled = await Booking.transitionStatus(bookingId, "cancelled", {
+        paymentLink: "",
+      });
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: "Booking status changed, please refresh and try again.",
+        });
+      }
+      await releaseSeats(booking.show._id, booking.bookedSeats);
+      await releaseCoupon(booking);
+      await inngest.send({
+        name: "app/seats.released",
+        data: { showId: booking.show._id.toString() },
+      });
+      if (booking.stripeSessionId) {
+        await stripeInstance.checkout.sessions
+          .expire(booking.stripeSessionId)
+          .catch((error) => console.error(error.message));
+      }
+      return res.json({ success: true, message: "Booking cancelled." });
+    }
+
+    //no fee when the theater moved the show
+    const cancellationFee = booking.freeCancellation
+      ? 0
+      : Math.round(booking.amount * cancellationPolicy.feePercent) / 100;
+    const refundAmount = booking.amount - cancellationFee;
+
+    //move to cancelled first so a double click can't refund twice
+    const cancelled = await Booking.transitionStatus(bookingId, "cancelled", {
+      cancellationFee,
+      refundAmount,
+    });
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: "Booking status changed, please refresh and try again.",
+      });
+    }
+
+    await releaseSeats(booking.show._id, booking.bookedSeats);
+    await releaseCoupon(booking);
+
+    let message = "Booking cancelled, your refund is on its way.";
+    if (refundAmount > 0) {
+      try {
+        const refund = await refundPayment(cancelled, refundAmount);
+        cancelled.refundId = refund.id;
+        await cancelled.save();
+        if (refund.status === "succeeded") {
+          await Booking.transitionStatus(bookingId, "refunded");
+        }
+      } catch (error) {
+        console.error(`Refund failed for booking ${bookingId}:`, error.message);
+        await Booking.findByIdAndUpdate(bookingId, {
+          flaggedForReview: true,
+          flagReason: `Cancellation refund failed: ${error.message}`,
+        });
+        message =
+          "Booking cancelled. Your refund will be processed by our team shortly.";
+      }
+    }
+
+    //send cancellation receipt and offer the seats to the waitlist
+    await inngest.send([
+      { name: "app/booking.cancelled", data: { bookingId } },
+      {
+        name: "app/seats.released",
+        data: { showId: booking.show._id.toString() },
+      },
+    ]);
 
-    res.json({ success: true, occupiedSeats });
+    res.json({ success: true, message });
   } catch (error) {
     console.log(error.message);
     res.json({ success: false, message: error.message });
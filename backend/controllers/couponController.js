@@ -0,0 +1,180 @@
+import Booking from "../models/Bookings.js";
+import Coupon from "../models/Coupon.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+//Builds the stored coupon fields from admin input. Returns { error } or { coupon }.
+const parseCouponInput = (input) => {
+  const code = String(input.code || "")
+    .toUpperCase()
+    .trim();
+  if (!CODE_PATTERN.test(code)) {
+    return {
+      error: "Code must be 3-20 letters, numbers, dashes or underscores.",
+    };
+  }
+  if (!["percentage", "flat"].includes(input.discountType)) {
+    return { error: "Discount type must be percentage or flat." };
+  }
+
+  const discountValue = Number(input.discountValue);
+  if (!(discountValue > 0)) {
+    return { error: "Discount value must be greater than zero." };
+  }
+  if (input.discountType === "percentage" && discountValue > 100) {
+    return { error: "A percentage discount can't be more than 100." };
+  }
+
+  const validFrom = new Date(input.validFrom);
+  const validUntil = new Date(input.validUntil);
+  if (isNaN(validFrom) || isNaN(validUntil) || validFrom >= validUntil) {
+    return { error: "Please enter a valid date range." };
+  }
+
+  const limits = {
+    maxDiscount: optionalNumber(input.maxDiscount),
+    usageLimit: optionalNumber(input.usageLimit),
+    perUserLimit: optionalNumber(input.perUserLimit),
+  };
+  for (const [field, value] of Object.entries(limits)) {
+    //empty is unlimited, so 0 isn't a way to switch a coupon off
+    if (value !== null && !(value > 0)) {
+      return { error: `${field} must be greater than zero.` };
+    }
+  }
+  //checkout can't be free, so a full discount needs a cap
+  if (
+    input.discountType === "percentage" &&
+    discountValue === 100 &&
+    limits.maxDiscount === null
+  ) {
+    return { error: "A 100% discount needs a maximum discount." };
+  }
+
+  const minSeats = Number(input.minSeats || 1);
+  if (!Number.isInteger(minSeats) || minSeats < 1) {
+    return { error: "Minimum seats must be a whole number of at least 1." };
+  }
+
+  return {
+    coupon: {
+      code,
+      description: input.description || "",
+      discountType: input.discountType,
+      discountValue,
+      ...limits,
+      minSeats,
+      validFrom,
+      validUntil,
+      movies: Array.isArray(input.movies) ? input.movies.map(String) : [],
+      shows: Array.isArray(input.shows) ? input.shows.map(String) : [],
+      isActive: input.isActive ?? true,
+    },
+  };
+};
+
+//API to list coupons with their redemption stats
+export const getCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}, "-userRedemptions")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const stats = await Booking.aggregate([
+      { $match: { coupon: { $exists: true }, status: "paid" } },
+      {
+        $group: {
+          _id: "$coupon",
+          paidBookings: { $sum: 1 },
+          totalDiscount: { $sum: "$discount" },
+          revenue: { $sum: "$amount" },
+        },
+      },
+    ]);
+    const statsByCode = Object.fromEntries(
+      stats.map((item) => [item._id, item])
+    );
+
+    res.json({
+      success: true,
+      coupons: coupons.map((coupon) => ({
+        ...coupon,
+        paidBookings: statsByCode[coupon.code]?.paidBookings || 0,
+        totalDiscount: statsByCode[coupon.code]?.totalDiscount || 0,
+        revenue: statsByCode[coupon.code]?.revenue || 0,
+      })),
+    });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to create a coupon
+export const addCoupon = async (req, res) => {
+  try {
+    const { error, coupon } = parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (await Coupon.exists({ code: coupon.code })) {
+      return res.status(409).json({
+        success: false,
+        message: `Coupon ${coupon.code} already exists.`,
+      });
+    }
+
+    const created = await Coupon.create(coupon);
+    await recordAudit(req, {
+      action: "coupon.add",
+      target: { type: "coupon", id: created._id, label: created.code },
+      after: created,
+    });
+    res.json({ success: true, message: "Coupon created successfully." });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to edit a coupon or switch it on and off. The code can't change since
+//bookings refer to it.
+export const updateCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.params;
+    const existing = await Coupon.findById(couponId);
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found." });
+    }
+
+    const { error, coupon } = parseCouponInput({
+      ...existing.toObject(),
+      ...req.body,
+      code: existing.code,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const before = existing.toObject();
+    existing.set(coupon);
+    await existing.save();
+    await recordAudit(req, {
+      action: "coupon.update",
+      target: { type: "coupon", id: existing._id, label: existing.code },
+      before,
+      after: existing,
+    });
+    res.json({ success: true, message: "Coupon updated successfully." });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
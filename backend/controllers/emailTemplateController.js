@@ -0,0 +1,30 @@
+import {
+  EmailTemplateError,
+  listEmailTemplates,
+  previewEmail,
+} from "../emails/index.js";
+
+//API to list the email templates
+export const getEmailTemplates = async (req, res) => {
+  try {
+    res.json({ success: true, templates: listEmailTemplates() });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to render an email template with its sample data
+export const previewEmailTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const email = previewEmail(name, req.query.locale);
+    res.json({ success: true, email });
+  } catch (error) {
+    if (error instanceof EmailTemplateError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,253 @@
+import Booking from "../models/Bookings.js";
+import Show from "../models/Show.js";
+import { getBookableSeatIds, getSeatLayout } from "../utils/seatMap.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
+import {
+  ReportError,
+  formatReportTime,
+  parseReportFilters,
+  writeReport,
+} from "../utils/reports.js";
+import { getBookingScope, getShowScope } from "../utils/venueAccess.js";
+
+//shows are read this many at a time to total up their bookings
+const SALES_BATCH_SIZE = 500;
+
+const bookingColumns = [
+  { header: "Booking ID", width: 26 },
+  { header: `Booked At (${DEFAULT_TIME_ZONE})`, width: 20 },
+  { header: "Status", width: 11 },
+  { header: "Customer", width: 22 },
+  { header: "Email", width: 28 },
+  { header: "Movie", width: 30 },
+  { header: "Theater", width: 22 },
+  { header: "Screen", width: 14 },
+  { header: "Show Time (venue)", width: 18 },
+  { header: "Time Zone", width: 16 },
+  { header: "Seats", width: 18 },
+  { header: "Subtotal" },
+  { header: "Coupon" },
+  { header: "Discount" },
+  { header: "Amount" },
+  { header: "Cancellation Fee" },
+  { header: "Refund" },
+  { header: `Paid At (${DEFAULT_TIME_ZONE})`, width: 20 },
+  { header: `Refunded At (${DEFAULT_TIME_ZONE})`, width: 20 },
+];
+
+const showSalesColumns = [
+  { header: "Show ID", width: 26 },
+  { header: "Movie", width: 30 },
+  { header: "Theater", width: 22 },
+  { header: "Screen", width: 14 },
+  { header: "Show Time (venue)", width: 18 },
+  { header: "Time Zone", width: 16 },
+  { header: "Show Status", width: 12 },
+  { header: "Base Price" },
+  { header: "Capacity" },
+  { header: "Bookings" },
+  { header: "Seats Sold" },
+  { header: "Occupancy %" },
+  { header: "Gross" },
+  { header: "Discounts" },
+  { header: "Refunds" },
+];
+
+const showPopulate = {
+  path: "show",
+  populate: [
+    { path: "movie", select: "title" },
+    {
+      path: "screen",
+      select: "name theater",
+      populate: { path: "theater", select: "name" },
+    },
+  ],
+};
+
+//Shows of a movie, for filters that go through the show
+const getMovieShowIds = async (movie, showScope) =>
+  (await Show.find({ movie, ...showScope }, "_id").lean()).map((show) =>
+    show._id.toString()
+  );
+
+const sendReportError = (res, error) => {
+  console.error(error);
+  //once rows are sent the status can't change, so just cut the file short
+  if (res.headersSent) return res.end();
+  res
+    .status(error instanceof ReportError ? 400 : 500)
+    .json({ success: false, message: error.message });
+};
+
+//API to download bookings as CSV or XLSX, filtered by booking date, movie
+//and status
+export const exportBookings = async (req, res) => {
+  try {
+    const { format, range, movie, status } = parseReportFilters(req.query);
+
+    //bookings at the admin's venues, narrowed to the movie's shows there
+    const filter = await getBookingScope(req.admin);
+    if (range) filter.createdAt = range;
+    if (status) filter.status = status;
+    if (movie) {
+      filter.show = {
+        $in: await getMovieShowIds(movie, await getShowScope(req.admin)),
+      };
+    }
+
+    const cursor = Booking.find(filter)
+      .populate("user", "name email")
+      .populate(showPopulate)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    async function* rows() {
+      for await (const booking of cursor) {
+        const { show, user } = booking;
+        yield [
+          booking._id.toString(),
+          formatReportTime(booking.createdAt),
+          booking.status,
+          user?.name,
+          user?.email,
+          show?.movie?.title,
+          show?.screen?.theater?.name,
+          show?.screen?.name,
+          formatReportTime(show?.showDateTime, show?.timeZone),
+          show?.timeZone,
+          booking.bookedSeats.join(" "),
+          booking.subtotal ?? booking.amount,
+          booking.coupon,
+          booking.discount || 0,
+          booking.amount,
+          booking.cancellationFee,
+          booking.refundAmount,
+          formatReportTime(booking.paidAt),
+          formatReportTime(booking.refundedAt),
+        ];
+      }
+    }
+
+    await writeReport(res, {
+      format,
+      filename: "bookings",
+      columns: bookingColumns,
+      rows: rows(),
+    });
+  } catch (error) {
+    sendReportError(res, error);
+  }
+};
+
+const REFUND_STATUSES = ["cancelled", "refunded"];
+
+//Report rows for a batch of shows with their booking totals. Sales count
+//bookings in `status`; refunds always count cancelled and refunded ones.
+async function* getSalesRows(shows, status) {
+  if (shows.length === 0) return;
+  const onlySales = (value) => ({
+    $cond: [{ $eq: ["$status", status] }, value, 0],
+  });
+  const sales = await Booking.aggregate([
+    {
+      $match: {
+        show: { $in: shows.map((show) => show._id.toString()) },
+        status: { $in: [status, ...REFUND_STATUSES] },
+      },
+    },
+    {
+      $group: {
+        _id: "$show",
+        bookings: { $sum: onlySales(1) },
+        seats: { $sum: onlySales({ $size: "$bookedSeats" }) },
+        gross: { $sum: onlySales("$amount") },
+        discounts: { $sum: onlySales({ $ifNull: ["$discount", 0] }) },
+        refunds: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", REFUND_STATUSES] },
+              { $ifNull: ["$refundAmount", 0] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  const salesByShow = Object.fromEntries(sales.map((item) => [item._id, item]));
+
+  for (const show of shows) {
+    const {
+      bookings = 0,
+      seats = 0,
+      gross = 0,
+      discounts = 0,
+      refunds = 0,
+    } = salesByShow[show._id] || {};
+    const capacity = getBookableSeatIds(getSeatLayout(show)).size;
+    yield [
+      show._id.toString(),
+      show.movie?.title,
+      show.screen?.theater?.name,
+      show.screen?.name,
+      formatReportTime(show.showDateTime, show.timeZone),
+      show.timeZone,
+      show.status || "scheduled",
+      show.showPrice,
+      capacity,
+      bookings,
+      seats,
+      capacity ? Math.round((seats / capacity) * 1000) / 10 : 0,
+      gross,
+      discounts,
+      refunds,
+    ];
+  }
+}
+
+//API to download per-show sales as CSV or XLSX, filtered by show date and
+//movie. Sales count bookings in the given status, paid by default; refunds
+//are totalled whatever the status.
+export const exportShowSales = async (req, res) => {
+  try {
+    const { format, range, movie, status } = parseReportFilters(req.query);
+
+    const filter = await getShowScope(req.admin);
+    if (range) filter.showDateTime = range;
+    if (movie) filter.movie = movie;
+
+    const cursor = Show.find(filter, "-occupiedSeats")
+      .populate("movie", "title")
+      .populate({
+        path: "screen",
+        select: "name theater",
+        populate: { path: "theater", select: "name" },
+      })
+      .sort({ showDateTime: 1 })
+      .lean()
+      .cursor();
+
+    async function* rows() {
+      let batch = [];
+      for await (const show of cursor) {
+        batch.push(show);
+        if (batch.length === SALES_BATCH_SIZE) {
+          yield* getSalesRows(batch, status || "paid");
+          batch = [];
+        }
+      }
+      yield* getSalesRows(batch, status || "paid");
+    }
+
+    await writeReport(res, {
+      format,
+      filename: "show-sales",
+      columns: showSalesColumns,
+      rows: rows(),
+    });
+  } catch (error) {
+    sendReportError(res, error);
+  }
+};
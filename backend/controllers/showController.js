@@ -1,8 +1,36 @@
 import axios from "axios";
 import Movie from "../models/Movie.js";
 import Show from "../models/Show.js";
+import Screen from "../models/Screen.js";
+import Theater from "../models/Theater.js";
+import ShowSeries from "../models/ShowSeries.js";
+import Booking from "../models/Bookings.js";
+import Waitlist from "../models/Waitlist.js";
+import { findInvalidCategoryPrice, getSeatLayout } from "../utils/seatMap.js";
+import { countSoldSeats } from "../utils/seatReservation.js";
+import {
+  DEFAULT_TIME_ZONE,
+  fromZonedDateTime,
+  toZonedDateTime,
+} from "../utils/timeZones.js";
+import {
+  MAX_SERIES_OCCURRENCES,
+  expandRecurrence,
+  normalizeRecurrence,
+  validateRecurrence,
+} from "../utils/recurrence.js";
+import { checkScreenConflicts } from "../utils/scheduling.js";
+import schedulingConfig from "../configs/scheduling.js";
+import { activeShowFilter } from "../utils/showChanges.js";
+import {
+  canAccessShow,
+  canAccessTheater,
+  getShowScope,
+} from "../utils/venueAccess.js";
+import { CsvError, parseCsvObjects, toCsvRow } from "../utils/csv.js";
 import https from "https"; // Import https module for custom agent
 import { inngest } from "../inngest/index.js";
+import { recordAudit } from "../utils/auditLog.js";
 
 // --- Utility function for retries ---
 // This function helps handle intermittent network errors like ECONNRESET
@@ -92,107 +120,877 @@ export const getNowPlayingMovies = async (req, res) => {
   }
 };
 
+//Show start times for an add request, from a recurrence rule or from
+//showsInput, entered on the venue's clock and all in the future. Returns
+//{ showDateTimes, rule } or { error } with a message for the admin.
+const resolveShowTimes = ({ recurrence, showsInput }, timeZone) => {
+  if (recurrence) {
+    const error = validateRecurrence(recurrence);
+    if (error) return { error };
+    const rule = normalizeRecurrence(recurrence);
+    const showDateTimes = expandRecurrence(rule, timeZone).map(
+      (occurrence) => occurrence.showDateTime
+    );
+    if (showDateTimes.length === 0) {
+      return { error: "The schedule has no upcoming shows." };
+    }
+    if (showDateTimes.length > MAX_SERIES_OCCURRENCES) {
+      return {
+        error: `A series can have at most ${MAX_SERIES_OCCURRENCES} shows.`,
+      };
+    }
+    return { showDateTimes, rule };
+  }
+
+  const showDateTimes = [];
+  const now = new Date();
+  for (const show of showsInput || []) {
+    // `show.time` is an array of times for a given date, or a single string
+    const times = Array.isArray(show.time) ? show.time : [show.time];
+    for (const time of times) {
+      const showDateTime = fromZonedDateTime(show.date, time, timeZone);
+      if (!showDateTime) {
+        return {
+          error: `${show.date} ${time} is not a valid time in ${timeZone}.`,
+        };
+      }
+      if (showDateTime <= now) {
+        return { error: `${show.date} ${time} is in the past.` };
+      }
+      showDateTimes.push(showDateTime);
+    }
+  }
+  return { showDateTimes, rule: null };
+};
+
+//A movie from the database, added from TMDB the first time it gets a show
+const findOrCreateMovie = async (movieId) => {
+  let movie = await Movie.findById(movieId);
+  if (!movie) {
+    // Configuration for the Axios requests to TMDB
+    const config = {
+      headers: { Authorization: `Bearer ${process.env.TMDB_API_KEY}` },
+      httpsAgent: agent, // Apply the custom agent for development SSL issues
+    };
+
+    //fetch movie details and credits from TMDB API
+    const [movieDetailsResponse, movieCreditsResponse] = await Promise.all([
+      makeRequestWithRetry(
+        `https://api.themoviedb.org/3/movie/${movieId}`,
+        config
+      ),
+      makeRequestWithRetry(
+        `https://api.themoviedb.org/3/movie/${movieId}/credits`,
+        config
+      ),
+    ]);
+
+    const movieApiData = movieDetailsResponse.data;
+    const movieCreditsData = movieCreditsResponse.data;
+
+    const MovieDetails = {
+      _id: movieId, // Use TMDB's movie ID as your _id
+      title: movieApiData.title,
+      overview: movieApiData.overview,
+      poster_path: movieApiData.poster_path,
+      backdrop_path: movieApiData.backdrop_path,
+      genres: movieApiData.genres,
+      casts: movieCreditsData.cast,
+      release_date: movieApiData.release_date,
+      original_language: movieApiData.original_language,
+      tagline: movieApiData.tagline || "",
+      vote_average: movieApiData.vote_average,
+      runtime: movieApiData.runtime,
+    };
+    //adding movie to the database.
+    movie = await Movie.create(MovieDetails);
+  }
+  return movie;
+};
+
+//Runtime of a movie in minutes, from TMDB when it isn't in the database yet
+const getMovieRuntime = async (movieId) => {
+  const movie = await Movie.findById(movieId, "runtime");
+  if (movie) return movie.runtime;
+
+  const { data } = await makeRequestWithRetry(
+    `https://api.themoviedb.org/3/movie/${movieId}`,
+    {
+      headers: { Authorization: `Bearer ${process.env.TMDB_API_KEY}` },
+      httpsAgent: agent,
+    }
+  );
+  return data.runtime;
+};
+
+//API to check shows against the screen's schedule before adding them. Takes
+//the same body as addShow and returns the blocks of screen time they'd take
+//up next to the shows already on the screen.
+export const checkShowConflicts = async (req, res) => {
+  try {
+    const { movieId, screenId } = req.body;
+    if (!movieId || !screenId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Required fields missing." });
+    }
+
+    const screen = await Screen.findById(screenId);
+    if (!screen || !canAccessTheater(req.admin, screen.theater)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+    const theater = await Theater.findById(screen.theater);
+    const timeZone = theater?.timeZone || DEFAULT_TIME_ZONE;
+
+    const { showDateTimes, error } = resolveShowTimes(req.body, timeZone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const runtime = await getMovieRuntime(movieId);
+    const schedule = await checkScreenConflicts(
+      screenId,
+      showDateTimes.map((showDateTime) => ({ showDateTime, runtime }))
+    );
+    res.json({
+      success: true,
+      timeZone,
+      runtime: runtime || schedulingConfig.defaultRuntime,
+      adMinutes: schedulingConfig.adMinutes,
+      cleaningMinutes: schedulingConfig.cleaningMinutes,
+      ...schedule,
+    });
+  } catch (error) {
+    console.error("Error in checkShowConflicts:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+//A show document ready to insert
+const newShow = ({
+  movieId,
+  screen,
+  showDateTime,
+  timeZone,
+  showPrice,
+  categoryPrices,
+  series,
+}) => ({
+  movie: movieId,
+  screen: screen._id,
+  showDateTime,
+  timeZone,
+  showPrice,
+  categoryPrices,
+  occupiedSeats: {}, // Initialize as empty object
+  seatLayout: getSeatLayout(screen), // Snapshot so later layout edits don't move sold seats
+  series,
+});
+
 //API to add a new show to the database
 export const addShow = async (req, res) => {
   try {
-    const { movieId, showsInput, showPrice } = req.body;
+    const { movieId, screenId, showsInput, showPrice, categoryPrices = {} } =
+      req.body;
+    //a recurrence rule replaces showsInput for a recurring series
+    const { recurrence } = req.body;
 
     // Basic validation
-    if (!movieId || !showsInput || showsInput.length === 0 || !showPrice) {
+    if (
+      !movieId ||
+      !screenId ||
+      (!recurrence && (!showsInput || showsInput.length === 0)) ||
+      !showPrice
+    ) {
       return res
         .status(400)
         .json({ success: false, message: "Required fields missing." });
     }
 
-    let movie = await Movie.findById(movieId);
-    if (!movie) {
-      // Configuration for the Axios requests to TMDB
-      const config = {
-        headers: { Authorization: `Bearer ${process.env.TMDB_API_KEY}` },
-        httpsAgent: agent, // Apply the custom agent for development SSL issues
-      };
+    const screen = await Screen.findById(screenId);
+    if (!screen || !canAccessTheater(req.admin, screen.theater)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
 
-      //fetch movie details and credits from TMDB API
-      const [movieDetailsResponse, movieCreditsResponse] = await Promise.all([
-        makeRequestWithRetry(
-          `https://api.themoviedb.org/3/movie/${movieId}`,
-          config
-        ),
-        makeRequestWithRetry(
-          `https://api.themoviedb.org/3/movie/${movieId}/credits`,
-          config
-        ),
-      ]);
-
-      const movieApiData = movieDetailsResponse.data;
-      const movieCreditsData = movieCreditsResponse.data;
-
-      const MovieDetails = {
-        _id: movieId, // Use TMDB's movie ID as your _id
-        title: movieApiData.title,
-        overview: movieApiData.overview,
-        poster_path: movieApiData.poster_path,
-        backdrop_path: movieApiData.backdrop_path,
-        genres: movieApiData.genres,
-        casts: movieCreditsData.cast,
-        release_date: movieApiData.release_date,
-        original_language: movieApiData.original_language,
-        tagline: movieApiData.tagline || "",
-        vote_average: movieApiData.vote_average,
-        runtime: movieApiData.runtime,
-      };
-      //adding movie to the database.
-      movie = await Movie.create(MovieDetails);
-    }
-
-    const showsToCreate = [];
-    showsInput.forEach((show) => {
-      const showDate = show.date;
-      // Assuming `show.time` is an array of times for a given date
-      if (Array.isArray(show.time)) {
-        show.time.forEach((time) => {
-          const dateTimeString = `${showDate}T${time}`;
-          showsToCreate.push({
-            movie: movieId,
-            showDateTime: new Date(dateTimeString),
-            showPrice,
-            occupiedSeats: {}, // Initialize as empty object
-          });
-        });
-      } else {
-        // Handle case where show.time might be a single string if your frontend sends it differently
-        const dateTimeString = `${showDate}T${show.time}`;
-        showsToCreate.push({
-          movie: movieId,
-          showDateTime: new Date(dateTimeString),
-          showPrice,
-          occupiedSeats: {},
+    //per-category prices must belong to the screen's seat map
+    const seatLayout = getSeatLayout(screen);
+    const invalidCategory = findInvalidCategoryPrice(
+      seatLayout,
+      categoryPrices
+    );
+    if (invalidCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid price for seat category "${invalidCategory}".`,
+      });
+    }
+
+    //Times are entered on the venue's wall clock
+    const theater = await Theater.findById(screen.theater);
+    const timeZone = theater?.timeZone || DEFAULT_TIME_ZONE;
+    const { showDateTimes, rule, error } = resolveShowTimes(req.body, timeZone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const movie = await findOrCreateMovie(movieId);
+
+    //shows can't share a screen; the admin may add them anyway once warned
+    if (!req.body.allowConflicts) {
+      const { proposed, conflictCount } = await checkScreenConflicts(
+        screenId,
+        showDateTimes.map((showDateTime) => ({
+          showDateTime,
+          runtime: movie.runtime,
+        }))
+      );
+      if (conflictCount) {
+        return res.status(409).json({
+          success: false,
+          message: `${conflictCount} of the shows overlap other shows on this screen.`,
+          conflicts: proposed.filter((block) => block.conflicts.length),
         });
       }
-    });
-
-    if (showsToCreate.length > 0) {
-      await Show.insertMany(showsToCreate);
     }
 
+    const series =
+      rule &&
+      (await ShowSeries.create({
+        movie: movieId,
+        screen: screenId,
+        timeZone,
+        ...rule,
+        showPrice,
+        categoryPrices,
+      }));
+
+    const showsToCreate = showDateTimes.map((showDateTime) =>
+      newShow({
+        movieId,
+        screen,
+        showDateTime,
+        timeZone,
+        showPrice,
+        categoryPrices,
+        series: series?._id,
+      })
+    );
+
+    const created =
+      showsToCreate.length > 0 ? await Show.insertMany(showsToCreate) : [];
+
+    await recordAudit(req, {
+      action: series ? "series.add" : "show.add",
+      target: {
+        type: series ? "series" : "show",
+        id: series?._id ?? (created.length === 1 ? created[0]._id : undefined),
+        label: movie.title,
+      },
+      after: series || {
+        movie: movieId,
+        screen: screenId,
+        showPrice,
+        categoryPrices,
+        showDateTimes,
+      },
+      details: { shows: created.length },
+    });
+
     //Trigger inngest event
     await inngest.send({
       name: "app/show.added",
-      data: {movieTitle: movie.title}
+      data: {movieTitle: movie.title, movieId}
     })
 
-    res.json({ success: true, message: "Show Added successfully." });
+    res.json({
+      success: true,
+      message: series
+        ? `Series added with ${showsToCreate.length} shows.`
+        : "Show Added successfully.",
+    });
   } catch (error) {
     console.error("Error in addShow:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
+//Audit log target for a show, named by its movie and start on the venue's
+//clock
+const showTarget = async (show) => {
+  const movie = await Movie.findById(show.movie, "title");
+  const { date, time } = toZonedDateTime(show.showDateTime, show.timeZone);
+  return {
+    type: "show",
+    id: show._id,
+    label: `${movie?.title ?? show.movie} · ${date} ${time}`,
+  };
+};
+
+//Upcoming show at the admin's venues that can still be changed, or null
+const findEditableShow = async (showId, admin) => {
+  const show = await Show.findOne({
+    _id: showId,
+    ...activeShowFilter,
+    showDateTime: { $gt: new Date() },
+  });
+  return show && (await canAccessShow(admin, show)) ? show : null;
+};
+
+//API to change a show's prices. Bookings keep what they paid, so the new
+//prices only apply to seats that are still for sale.
+export const updateShowPrice = async (req, res) => {
+  try {
+    const { showId } = req.params;
+    const { showPrice, categoryPrices = {} } = req.body;
+    if (typeof showPrice !== "number" || showPrice <= 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid show price." });
+    }
+
+    const show = await findEditableShow(showId, req.admin);
+    if (!show) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+
+    const invalidCategory = findInvalidCategoryPrice(
+      getSeatLayout(show),
+      categoryPrices
+    );
+    if (invalidCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid price for seat category "${invalidCategory}".`,
+      });
+    }
+
+    const before = show.toObject();
+    show.showPrice = showPrice;
+    show.categoryPrices = categoryPrices;
+    await show.save();
+    await recordAudit(req, {
+      action: "show.price",
+      target: await showTarget(show),
+      before,
+      after: show,
+    });
+
+    const soldSeats = countSoldSeats(show);
+    res.json({
+      success: true,
+      message: soldSeats
+        ? `Prices updated. The ${soldSeats} seats already taken keep their price.`
+        : "Prices updated.",
+      show,
+    });
+  } catch (error) {
+    console.error("Error in updateShowPrice:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+//API to move a show to a new time on the same screen. Ticket holders keep
+//their seats, are told about the change and may cancel without a fee.
+export const rescheduleShow = async (req, res) => {
+  try {
+    const { showId } = req.params;
+    const { date, time, allowConflicts } = req.body;
+
+    const show = await findEditableShow(showId, req.admin);
+    if (!show) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+
+    //the new time is entered on the venue's wall clock
+    const showDateTime = fromZonedDateTime(date, time, show.timeZone);
+    if (!showDateTime) {
+      return res.status(400).json({
+        success: false,
+        message: `${date} ${time} is not a valid time in ${show.timeZone}.`,
+      });
+    }
+    if (showDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The new show time must be in the future.",
+      });
+    }
+    if (showDateTime.getTime() === show.showDateTime.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: "The show is already at that time.",
+      });
+    }
+
+    if (!allowConflicts) {
+      const movie = await Movie.findById(show.movie, "runtime");
+      const { proposed, conflictCount } = await checkScreenConflicts(
+        show.screen,
+        [{ showDateTime, runtime: movie?.runtime }],
+        { excludeShowIds: [show._id] }
+      );
+      if (conflictCount) {
+        return res.status(409).json({
+          success: false,
+          message: "The new time overlaps another show on this screen.",
+          conflicts: proposed,
+        });
+      }
+    }
+
+    const before = show.toObject();
+    const previousDateTime = show.showDateTime;
+    show.showDateTime = showDateTime;
+    await show.save();
+
+    //a moved show stays in its series as an exception to the schedule, kept
+    //under the slot it was first scheduled at
+    if (show.series) {
+      await ShowSeries.updateOne(
+        { _id: show.series, "exceptions.show": { $ne: show._id } },
+        {
+          $push: {
+            exceptions: { showDateTime: previousDateTime, show: show._id },
+          },
+        }
+      );
+    }
+
+    //checkouts still open were started for the old time: they get the
+    //notice once they're paid
+    await Booking.updateMany(
+      { show: showId, status: "pending", rescheduledFrom: { $exists: false } },
+      { rescheduledFrom: previousDateTime }
+    );
+    const { modifiedCount } = await Booking.updateMany(
+      { show: showId, status: { $in: ["pending", "paid"] } },
+      { freeCancellation: true }
+    );
+    await recordAudit(req, {
+      action: "show.reschedule",
+      target: await showTarget(show),
+      before,
+      after: show,
+      details: { bookingsNotified: modifiedCount },
+    });
+    await inngest.send({
+      name: "app/show.rescheduled",
+      data: { showId, previousDateTime },
+    });
+
+    res.json({
+      success: true,
+      message: modifiedCount
+        ? `Show rescheduled. ${modifiedCount} bookings will be notified.`
+        : "Show rescheduled.",
+      show,
+    });
+  } catch (error) {
+    console.error("Error in rescheduleShow:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+//API to cancel a show. Paid bookings are refunded in full and their holders
+//are offered the movie's other shows; open checkouts are closed.
+export const cancelShow = async (req, res) => {
+  try {
+    const { showId } = req.params;
+    const reason = String(req.body.reason || "").trim();
+
+    const before = await findEditableShow(showId, req.admin);
+    if (!before) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+    const show = await Show.findOneAndUpdate(
+      { _id: showId, ...activeShowFilter, showDateTime: { $gt: new Date() } },
+      {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+      },
+      { new: true }
+    );
+    if (!show) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+
+    await Waitlist.updateMany(
+      { show: showId, status: { $in: ["waiting", "offered"] } },
+      { status: "cancelled" }
+    );
+    const paidBookings = await Booking.countDocuments({
+      show: showId,
+      status: "paid",
+    });
+    await inngest.send({ name: "app/show.cancelled", data: { showId } });
+    await recordAudit(req, {
+      action: "show.cancel",
+      target: await showTarget(show),
+      before,
+      after: show,
+      details: { bookingsRefunded: paidBookings },
+    });
+
+    res.json({
+      success: true,
+      message: paidBookings
+        ? `Show cancelled. ${paidBookings} bookings will be refunded in full.`
+        : "Show cancelled.",
+      show,
+    });
+  } catch (error) {
+    console.error("Error in cancelShow:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+//Schedule spreadsheets have one show per row. Column names are matched
+//case-insensitively; categoryPrices reads like "premium=350; recliner=500".
+const SCHEDULE_COLUMNS = [
+  "movieId",
+  "movieTitle",
+  "theater",
+  "screen",
+  "date",
+  "time",
+  "showPrice",
+  "categoryPrices",
+];
+const REQUIRED_IMPORT_COLUMNS = [
+  "movieid",
+  "theater",
+  "screen",
+  "date",
+  "time",
+  "showprice",
+];
+const MAX_IMPORT_ROWS = 2000;
+
+//Reads a categoryPrices cell. Returns null when it's malformed.
+const parseCategoryPrices = (cell) => {
+  const prices = {};
+  for (const entry of (cell || "").split(";")) {
+    if (!entry.trim()) continue;
+    const [key, price, extra] = entry.split("=").map((part) => part.trim());
+    if (!key || extra !== undefined || !(Number(price) > 0)) return null;
+    prices[key] = Number(price);
+  }
+  return prices;
+};
+
+const formatCategoryPrices = (prices = {}) =>
+  Object.entries(prices)
+    .map(([key, price]) => `${key}=${price}`)
+    .join("; ");
+
+//Screens keyed by "theater/screen" in lower case, with the theater's zone.
+//Only the admin's venues are included.
+const getScreensByName = async (admin) => {
+  const theaters = await Theater.find(
+    admin?.theaters ? { _id: { $in: admin.theaters } } : {}
+  ).lean();
+  const screens = await Screen.find({}).lean();
+  const theatersById = Object.fromEntries(
+    theaters.map((theater) => [theater._id.toString(), theater])
+  );
+
+  const screensByName = {};
+  screens.forEach((screen) => {
+    const theater = theatersById[screen.theater?.toString()];
+    if (!theater) return;
+    const key = `${theater.name}/${screen.name}`.toLowerCase();
+    (screensByName[key] ??= []).push({
+      ...screen,
+      timeZone: theater.timeZone || DEFAULT_TIME_ZONE,
+    });
+  });
+  return screensByName;
+};
+
+//API to import a schedule from a CSV upload. Each row is checked the way
+//addShow checks its input: known movie, screen, a future time, prices and
+//overlaps with other shows. Nothing is added unless every row is valid, and
+//with ?dryRun=true nothing is added at all.
+export const importShows = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const allowConflicts = req.query.allowConflicts === "true";
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Upload a CSV file." });
+    }
+
+    const rows = parseCsvObjects(req.body);
+    if (rows.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "The file has no shows." });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A file can have at most ${MAX_IMPORT_ROWS} shows.`,
+      });
+    }
+    const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(
+      (column) => !(column in rows[0])
+    );
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing column(s): ${missingColumns.join(", ")}.`,
+      });
+    }
+
+    const screensByName = await getScreensByName(req.admin);
+    //movie ID -> runtime. A movie without one is scheduled with the default
+    //runtime; only IDs TMDB doesn't know are errors.
+    const runtimes = {};
+    const unknownMovies = new Set();
+    const errors = [];
+    const shows = [];
+    const now = new Date();
+
+    for (const row of rows) {
+      const rowErrors = [];
+
+      const movieId = row.movieid;
+      if (!(movieId in runtimes) && !unknownMovies.has(movieId)) {
+        const found =
+          /^\d+$/.test(movieId) &&
+          (await getMovieRuntime(movieId).then(
+            (runtime) => {
+              runtimes[movieId] = runtime;
+              return true;
+            },
+            (error) => {
+              if (error.response?.status === 404) return false;
+              throw error;
+            }
+          ));
+        if (!found) unknownMovies.add(movieId);
+      }
+      if (unknownMovies.has(movieId)) {
+        rowErrors.push(`Unknown TMDB movie ID "${movieId}".`);
+      }
+
+      const matches =
+        screensByName[`${row.theater}/${row.screen}`.toLowerCase()] || [];
+      const screen = matches.length === 1 ? matches[0] : null;
+      if (!screen) {
+        rowErrors.push(
+          matches.length
+            ? `More than one screen "${row.screen}" at ${row.theater}.`
+            : `Unknown screen "${row.screen}" at ${row.theater}.`
+        );
+      }
+
+      const timeZone = screen?.timeZone || DEFAULT_TIME_ZONE;
+      const showDateTime = fromZonedDateTime(row.date, row.time, timeZone);
+      if (!showDateTime) {
+        rowErrors.push(
+          `"${row.date} ${row.time}" is not a valid date and time (YYYY-MM-DD HH:mm) in ${timeZone}.`
+        );
+      } else if (showDateTime <= now) {
+        rowErrors.push("The show time is in the past.");
+      }
+
+      const showPrice = Number(row.showprice);
+      if (!(showPrice > 0)) rowErrors.push("Invalid show price.");
+
+      const categoryPrices = parseCategoryPrices(row.categoryprices);
+      if (!categoryPrices) {
+        rowErrors.push(
+          'Category prices must look like "premium=350; recliner=500".'
+        );
+      } else if (screen) {
+        const invalidCategory = findInvalidCategoryPrice(
+          getSeatLayout(screen),
+          categoryPrices
+        );
+        if (invalidCategory) {
+          rowErrors.push(`Unknown seat category "${invalidCategory}".`);
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ line: row.line, messages: rowErrors });
+        continue;
+      }
+      shows.push({
+        line: row.line,
+        movieId,
+        screen,
+        showDateTime,
+        timeZone,
+        showPrice,
+        categoryPrices,
+      });
+    }
+
+    //shows can't share a screen with other shows or other rows of the file
+    if (!allowConflicts) {
+      const showsByScreen = {};
+      shows.forEach((show) => {
+        (showsByScreen[show.screen._id] ??= []).push(show);
+      });
+      for (const [screenId, screenShows] of Object.entries(showsByScreen)) {
+        const { proposed } = await checkScreenConflicts(
+          screenId,
+          screenShows.map((show) => ({
+            showDateTime: show.showDateTime,
+            runtime: runtimes[show.movieId],
+          }))
+        );
+        proposed
+          .filter((block) => block.conflicts.length)
+          .forEach((block) => {
+            const show = screenShows[block.index];
+            errors.push({
+              line: show.line,
+              messages: block.conflicts.map((conflict) => {
+                const { date, time } = toZonedDateTime(
+                  conflict.start,
+                  show.timeZone
+                );
+                return conflict.index === undefined
+                  ? `Overlaps "${conflict.movieTitle}" at ${date} ${time} on this screen.`
+                  : `Overlaps the show on line ${screenShows[conflict.index].line}.`;
+              }),
+            });
+          });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} of ${rows.length} rows have problems, nothing was imported.`,
+        errors: errors.sort((a, b) => a.line - b.line),
+      });
+    }
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun,
+        message: `All ${shows.length} shows are ready to import.`,
+        errors,
+      });
+    }
+
+    //added movie by movie, like addShow, with one announcement per movie
+    const showsByMovie = {};
+    shows.forEach((show) => {
+      (showsByMovie[show.movieId] ??= []).push(show);
+    });
+    const importedMovies = [];
+    for (const [movieId, movieShows] of Object.entries(showsByMovie)) {
+      const movie = await findOrCreateMovie(movieId);
+      await Show.insertMany(movieShows.map(newShow));
+      await inngest.send({
+        name: "app/show.added",
+        data: { movieTitle: movie.title, movieId },
+      });
+      importedMovies.push({ title: movie.title, shows: movieShows.length });
+    }
+    await recordAudit(req, {
+      action: "show.import",
+      target: { type: "show", label: `${shows.length} imported shows` },
+      details: { movies: importedMovies, allowConflicts },
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${shows.length} shows.`,
+      errors,
+    });
+  } catch (error) {
+    console.error("Error in importShows:", error);
+    const status = error instanceof CsvError ? 400 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  }
+};
+
+//API to download the upcoming schedule as CSV in the import format, so it
+//can be edited in a spreadsheet and imported again. Rows are streamed as
+//they're read.
+export const exportShows = async (req, res) => {
+  try {
+    const showScope = await getShowScope(req.admin);
+    const screens = await Screen.find({}).populate("theater", "name").lean();
+    const screensById = Object.fromEntries(
+      screens.map((screen) => [screen._id.toString(), screen])
+    );
+
+    const today = new Date().toISOString().split("T")[0];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="shows-${today}.csv"`
+    );
+    //the byte order mark tells spreadsheet apps the file is UTF-8
+    res.write(
+      "\uFEFF" + toCsvRow([...SCHEDULE_COLUMNS, "soldSeats", "showId"])
+    );
+
+    const cursor = Show.find({
+      showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+      ...showScope,
+    })
+      .populate("movie", "title")
+      .sort({ showDateTime: 1 })
+      .lean()
+      .cursor();
+    for await (const show of cursor) {
+      const screen = screensById[show.screen?.toString()];
+      const { date, time } = toZonedDateTime(show.showDateTime, show.timeZone);
+      res.write(
+        toCsvRow([
+          show.movie?._id,
+          show.movie?.title,
+          screen?.theater?.name,
+          screen?.name,
+          date,
+          time,
+          show.showPrice,
+          formatCategoryPrices(show.categoryPrices),
+          countSoldSeats(show),
+          show._id,
+        ])
+      );
+    }
+    res.end();
+  } catch (error) {
+    console.error("Error in exportShows:", error);
+    //once rows are sent the status can't change, so just cut the file short
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 //API to get all shows from the database
 
 export const getShows = async (req, res) => {
   try {
-    const shows = await Show.find({ showDateTime: { $gte: new Date() } })
+    const shows = await Show.find({
+      showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+    })
       .populate("movie")
       .sort({ showDateTime: 1 });
 
@@ -223,7 +1021,14 @@ export const getShow = async (req, res) => {
       showDateTime: {
         $gte: new Date(),
       },
-    }).sort({ showDateTime: 1 }); // Sort to ensure consistent time ordering
+      ...activeShowFilter,
+    })
+      .populate({
+        path: "screen",
+        select: "name theater",
+        populate: { path: "theater", select: "name" },
+      })
+      .sort({ showDateTime: 1 }); // Sort to ensure consistent time ordering
 
     const movie = await Movie.findById(movieId);
 
@@ -235,18 +1040,20 @@ export const getShow = async (req, res) => {
 
     const dateTime = {};
 
+    //dates and times are on each venue's local clock
     shows.forEach((show) => {
-      const date = show.showDateTime.toISOString().split("T")[0];
+      const { date, time } = toZonedDateTime(show.showDateTime, show.timeZone);
       if (!dateTime[date]) {
         dateTime[date] = [];
       }
-      // Ensure times are stored as strings for consistency with frontend
-      // and sort them to ensure consistent display
-      const timeString = show.showDateTime
-        .toISOString()
-        .split("T")[1]
-        .substring(0, 5); // e.g., "14:30"
-      dateTime[date].push({ time: timeString, showId: show._id });
+      dateTime[date].push({
+        time, // e.g., "14:30"
+        showDateTime: show.showDateTime,
+        timeZone: show.timeZone,
+        showId: show._id,
+        screen: show.screen?.name,
+        theater: show.screen?.theater?.name,
+      });
     });
 
     // Sort times within each date
@@ -0,0 +1,379 @@
+import Show from "../models/Show.js";
+import ShowSeries from "../models/ShowSeries.js";
+import Movie from "../models/Movie.js";
+import Screen from "../models/Screen.js";
+import Theater from "../models/Theater.js";
+import Waitlist from "../models/Waitlist.js";
+import { findInvalidCategoryPrice, getSeatLayout } from "../utils/seatMap.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
+import {
+  MAX_SERIES_OCCURRENCES,
+  expandRecurrence,
+  normalizeRecurrence,
+  validateRecurrence,
+} from "../utils/recurrence.js";
+import { checkScreenConflicts } from "../utils/scheduling.js";
+import { activeShowFilter } from "../utils/showChanges.js";
+import {
+  canAccessScreen,
+  canAccessTheater,
+  getScopedScreenIds,
+} from "../utils/venueAccess.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { inngest } from "../inngest/index.js";
+
+//Shows nobody has booked or held seats for can be removed from a series.
+//Shows with seats taken are never removed.
+const unsoldShowFilter = {
+  $expr: { $eq: [{ $size: { $objectToArray: "$occupiedSeats" } }, 0] },
+};
+
+//Upcoming shows of a series that haven't been cancelled one by one
+const upcomingSeriesShows = (seriesId) => ({
+  series: seriesId,
+  showDateTime: { $gte: new Date() },
+  ...activeShowFilter,
+});
+
+//Audit log target for a series, named by its movie
+const seriesTarget = async (series) => {
+  const movie = await Movie.findById(series.movie, "title");
+  return {
+    type: "series",
+    id: series._id,
+    label: movie?.title ?? series.movie,
+  };
+};
+
+//API to preview the shows a recurrence rule would create
+export const previewSeries = async (req, res) => {
+  try {
+    const { screenId, recurrence } = req.body;
+
+    const error = validateRecurrence(recurrence);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const screen = await Screen.findById(screenId);
+    if (!screen || !canAccessTheater(req.admin, screen.theater)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+    const theater = await Theater.findById(screen.theater);
+    const timeZone = theater?.timeZone || DEFAULT_TIME_ZONE;
+
+    const occurrences = expandRecurrence(
+      normalizeRecurrence(recurrence),
+      timeZone
+    );
+    res.json({
+      success: true,
+      timeZone,
+      occurrences,
+      maxOccurrences: MAX_SERIES_OCCURRENCES,
+    });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to list show series at the admin's venues with their upcoming show
+//counts
+export const getSeries = async (req, res) => {
+  try {
+    const screenIds = await getScopedScreenIds(req.admin);
+    const series = await ShowSeries.find(
+      screenIds ? { screen: { $in: screenIds } } : {}
+    )
+      .populate("movie", "title poster_path")
+      .populate({
+        path: "screen",
+        select: "name theater",
+        populate: { path: "theater", select: "name" },
+      })
+      .sort({ status: 1, createdAt: -1 })
+      .lean();
+
+    const counts = await Show.aggregate([
+      {
+        $match: {
+          series: { $in: series.map((item) => item._id) },
+          showDateTime: { $gte: new Date() },
+          ...activeShowFilter,
+        },
+      },
+      {
+        $group: {
+          _id: "$series",
+          upcomingShows: { $sum: 1 },
+          soldShows: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $size: { $objectToArray: "$occupiedSeats" } }, 0] },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    const countsBySeries = Object.fromEntries(
+      counts.map((count) => [count._id.toString(), count])
+    );
+
+    res.json({
+      success: true,
+      series: series.map((item) => ({
+        ...item,
+        upcomingShows: countsBySeries[item._id]?.upcomingShows || 0,
+        soldShows: countsBySeries[item._id]?.soldShows || 0,
+      })),
+    });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to change a series' schedule or prices. Upcoming shows that no longer
+//fit the rule are removed unless seats were sold, missing ones are created
+//and prices apply to every upcoming show in the series except moved ones.
+export const updateSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const series = await ShowSeries.findById(seriesId);
+    if (
+      !series ||
+      series.status !== "active" ||
+      !(await canAccessScreen(req.admin, series.screen))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Series not found." });
+    }
+
+    const recurrence = {
+      startDate: req.body.startDate ?? series.startDate,
+      endDate: req.body.endDate ?? series.endDate,
+      times: req.body.times ?? series.times,
+      daysOfWeek: req.body.daysOfWeek ?? series.daysOfWeek,
+    };
+    const error = validateRecurrence(recurrence);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const showPrice = req.body.showPrice ?? series.showPrice;
+    const categoryPrices = req.body.categoryPrices ?? series.categoryPrices;
+    if (typeof showPrice !== "number" || showPrice <= 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid show price." });
+    }
+
+    const screen = await Screen.findById(series.screen);
+    const seatLayout = getSeatLayout(screen);
+    const invalidCategory = findInvalidCategoryPrice(
+      seatLayout,
+      categoryPrices
+    );
+    if (invalidCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid price for seat category "${invalidCategory}".`,
+      });
+    }
+
+    //slots whose show was moved aren't scheduled again, and the moved shows
+    //are left as they are
+    const movedSlots = new Set(
+      series.exceptions.map(({ showDateTime }) => showDateTime.getTime())
+    );
+    const movedShowIds = series.exceptions.map(({ show }) => show);
+
+    const rule = normalizeRecurrence(recurrence);
+    const occurrences = expandRecurrence(rule, series.timeZone).filter(
+      ({ showDateTime }) => !movedSlots.has(showDateTime.getTime())
+    );
+    if (occurrences.length > MAX_SERIES_OCCURRENCES) {
+      return res.status(400).json({
+        success: false,
+        message: `A series can have at most ${MAX_SERIES_OCCURRENCES} shows.`,
+      });
+    }
+
+    const wanted = new Set(
+      occurrences.map(({ showDateTime }) => showDateTime.getTime())
+    );
+    const existingShows = await Show.find({
+      ...upcomingSeriesShows(series._id),
+      _id: { $nin: movedShowIds },
+    });
+    const existing = new Set(
+      existingShows.map((show) => show.showDateTime.getTime())
+    );
+    const removedShows = existingShows.filter(
+      (show) => !wanted.has(show.showDateTime.getTime())
+    );
+    const newShows = occurrences.filter(
+      ({ showDateTime }) => !existing.has(showDateTime.getTime())
+    );
+
+    //new shows can't overlap others on the screen, apart from the unsold
+    //shows this update removes
+    if (!req.body.allowConflicts) {
+      const movie = await Movie.findById(series.movie, "runtime");
+      const { proposed, conflictCount } = await checkScreenConflicts(
+        series.screen,
+        newShows.map(({ showDateTime }) => ({
+          showDateTime,
+          runtime: movie?.runtime,
+        })),
+        {
+          excludeShowIds: removedShows
+            .filter(
+              (show) => Object.keys(show.occupiedSeats || {}).length === 0
+            )
+            .map((show) => show._id),
+        }
+      );
+      if (conflictCount) {
+        return res.status(409).json({
+          success: false,
+          message: `${conflictCount} of the new shows overlap other shows on this screen.`,
+          conflicts: proposed.filter((block) => block.conflicts.length),
+        });
+      }
+    }
+
+    //shows that no longer fit the rule, unless seats were sold
+    const { deletedCount } = await Show.deleteMany({
+      _id: { $in: removedShows.map((show) => show._id) },
+      ...unsoldShowFilter,
+    });
+
+    const created = await Show.insertMany(
+      newShows.map(({ showDateTime }) => ({
+        movie: series.movie,
+        screen: series.screen,
+        showDateTime,
+        timeZone: series.timeZone,
+        showPrice,
+        categoryPrices,
+        occupiedSeats: {},
+        seatLayout,
+        series: series._id,
+      }))
+    );
+
+    await Show.updateMany(
+      { ...upcomingSeriesShows(series._id), _id: { $nin: movedShowIds } },
+      { showPrice, categoryPrices }
+    );
+
+    const before = series.toObject();
+    Object.assign(series, rule, { showPrice, categoryPrices });
+    await series.save();
+
+    const kept = removedShows.length - deletedCount;
+    await recordAudit(req, {
+      action: "series.update",
+      target: await seriesTarget(series),
+      before,
+      after: series,
+      details: { showsAdded: created.length, showsRemoved: deletedCount, kept },
+    });
+    res.json({
+      success: true,
+      message: `Series updated: ${created.length} shows added, ${deletedCount} removed${
+        kept ? `, ${kept} with bookings kept` : ""
+      }.`,
+      series,
+    });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to cancel a series. Upcoming shows without bookings are removed; shows
+//with seats sold are cancelled and their bookings refunded.
+export const cancelSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const reason = String(req.body.reason || "").trim();
+    const existing = await ShowSeries.findById(seriesId);
+    if (!existing || !(await canAccessScreen(req.admin, existing.screen))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Series not found." });
+    }
+
+    const series = await ShowSeries.findOneAndUpdate(
+      { _id: seriesId, status: "active" },
+      { status: "cancelled" },
+      { new: true }
+    );
+    if (!series) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Series not found." });
+    }
+
+    const { deletedCount } = await Show.deleteMany({
+      ...upcomingSeriesShows(series._id),
+      ...unsoldShowFilter,
+    });
+
+    //shows with seats taken are cancelled the way cancelShow does it, so
+    //their bookings are refunded and the buyers told
+    const soldShows = await Show.find(upcomingSeriesShows(series._id), "_id");
+    const showIds = soldShows.map((show) => show._id.toString());
+    if (showIds.length) {
+      await Show.updateMany(
+        { _id: { $in: showIds }, ...activeShowFilter },
+        {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+        }
+      );
+      await Waitlist.updateMany(
+        { show: { $in: showIds }, status: { $in: ["waiting", "offered"] } },
+        { status: "cancelled" }
+      );
+      await inngest.send(
+        showIds.map((showId) => ({
+          name: "app/show.cancelled",
+          data: { showId },
+        }))
+      );
+    }
+    const cancelled = showIds.length;
+
+    await recordAudit(req, {
+      action: "series.cancel",
+      target: await seriesTarget(series),
+      before: existing,
+      after: series,
+      details: { showsRemoved: deletedCount, showsCancelled: cancelled },
+    });
+
+    res.json({
+      success: true,
+      message: `Series cancelled: ${deletedCount} shows removed${
+        cancelled ? `, ${cancelled} with bookings cancelled and refunded` : ""
+      }.`,
+      series,
+      deleted: deletedCount,
+      cancelled,
+    });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -1,9 +1,134 @@
-import stripe from "stripe";
+import stripeInstance from "../configs/stripe.js";
 import Booking from "../models/Bookings.js";
+import StripeEvent from "../models/StripeEvent.js";
 import { inngest } from "../inngest/index.js";
+import { releaseSeats } from "../utils/seatReservation.js";
+import { releaseCoupon } from "../utils/coupons.js";
+
+//Payment arrived for a booking whose seats were already released (expired or
+//cancelled): give the money back, or flag the booking if the refund fails.
+const refundLatePayment = async (booking, paymentIntentId) => {
+  try {
+    const refund = await stripeInstance.refunds.create({
+      payment_intent: paymentIntentId,
+      metadata: { bookingId: booking._id.toString() },
+    });
+    await Booking.transitionStatus(booking._id, "refunded", {
+      paymentIntentId,
+      refundId: refund.id,
+      refundAmount: booking.amount,
+    });
+  } catch (error) {
+    console.error(`Refund failed for booking ${booking._id}:`, error.message);
+    await Booking.findByIdAndUpdate(booking._id, {
+      paymentIntentId,
+      flaggedForReview: true,
+      flagReason: `Paid after booking was ${booking.status}; automatic refund failed: ${error.message}`,
+    });
+  }
+};
+
+//The event ID lets Inngest drop a confirmation that was already sent
+const sendBookingConfirmation = (bookingId) =>
+  inngest.send({
+    id: `show-booked-${bookingId}`,
+    name: "app/show.booked",
+    data: { bookingId },
+  });
+
+const handlePaymentCompleted = async (bookingId, paymentIntentId) => {
+  const booking = await Booking.transitionStatus(bookingId, "paid", {
+    paymentLink: "",
+    paymentIntentId,
+    lastPaymentError: "",
+  });
+
+  if (!booking) {
+    const lateBooking = await Booking.findById(bookingId);
+    //paid by an earlier delivery that failed before the confirmation went out
+    if (
+      lateBooking?.status === "paid" &&
+      lateBooking.paymentIntentId === paymentIntentId
+    ) {
+      await sendBookingConfirmation(bookingId);
+      return;
+    }
+    const seatsReleased = ["expired", "cancelled"].includes(
+      lateBooking?.status
+    );
+    if (seatsReleased) {
+      await refundLatePayment(lateBooking, paymentIntentId);
+    }
+    return;
+  }
+
+  //send confirmation Email
+  await sendBookingConfirmation(bookingId);
+};
+
+const handleSessionExpired = async (bookingId) => {
+  const booking = await Booking.transitionStatus(bookingId, "expired", {
+    paymentLink: "",
+  });
+  if (booking) {
+    await releaseSeats(booking.show, booking.bookedSeats);
+    await releaseCoupon(booking);
+    await inngest.send({
+      name: "app/seats.released",
+      data: { showId: booking.show },
+    });
+  }
+};
+
+const handlePaymentFailed = async (bookingId, paymentIntent) => {
+  //the checkout stays open, so the booking remains pending for a retry
+  await Booking.updateOne(
+    { _id: bookingId, status: "pending" },
+    {
+      paymentIntentId: paymentIntent.id,
+      lastPaymentError:
+        paymentIntent.last_payment_error?.message || "Payment failed.",
+    }
+  );
+};
+
+const handleChargeRefunded = async (charge) => {
+  const booking = await Booking.findOne({
+    paymentIntentId: charge.payment_intent,
+  });
+  if (!booking) return;
+
+  //a partial refund only settles a booking that was already cancelled
+  if (!charge.refunded && booking.status !== "cancelled") return;
+
+  //refunded in full straight from paid, like from the Stripe dashboard: the
+  //seats and coupon are still taken, so free them as an expired checkout does
+  if (booking.status === "paid") {
+    const refunded = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "paid" },
+      {
+        status: "refunded",
+        refundedAt: new Date(),
+        refundAmount: charge.amount_refunded / 100,
+      }
+    );
+    if (refunded) {
+      await releaseSeats(booking.show, booking.bookedSeats);
+      await releaseCoupon(booking);
+      await inngest.send({
+        name: "app/seats.released",
+        data: { showId: booking.show },
+      });
+      return;
+    }
+  }
+
+  await Booking.transitionStatus(booking._id, "refunded", {
+    refundAmount: booking.refundAmount ?? charge.amount_refunded / 100,
+  });
+};
 
 export const stripeWebhooks = async (request, response) => {
-  const stripeInstance = new stripe(process.env.STRIPE_SECRET_KEY);
   const sig = request.headers["stripe-signature"];
 
   let event;
@@ -18,27 +143,48 @@ export const stripeWebhooks = async (request, response) => {
     return response.status(400).send(`Webhook Error: ${error.message}`);
   }
 
+  //record the event first, a duplicate key means it was already handled
+  try {
+    await StripeEvent.create({ _id: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) {
+      return response.json({ received: true, duplicate: true });
+    }
+    console.error("Webhook ledger error:", error);
+    return response.status(500).send("Internal Server Error.");
+  }
+
   try {
     switch (event.type) {
-      case "payment_intent.succeeded": {
-        const payment_intent = event.data.object;
-        const sessionList = await stripeInstance.checkout.sessions.list({
-          payment_intent: payment_intent.id,
-        });
-        const session = sessionList.data[0];
-        const { bookingId } = session.metadata;
-
-        await Booking.findByIdAndUpdate(bookingId, {
-          isPaid: true,
-          paymentLink: "",
-        });
-
-        //send confirmation Email
-
-        await inngest.send({
-          name: "app/show.booked",
-          data: { bookingId },
-        });
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded": {
+        const session = event.data.object;
+        if (session.payment_status === "paid") {
+          await handlePaymentCompleted(
+            session.metadata.bookingId,
+            session.payment_intent
+          );
+        }
+        break;
+      }
+
+      case "checkout.session.expired": {
+        const session = event.data.object;
+        await handleSessionExpired(session.metadata.bookingId);
+        break;
+      }
+
+      case "payment_intent.payment_failed": {
+        const paymentIntent = event.data.object;
+        const { bookingId } = paymentIntent.metadata;
+        if (bookingId) {
+          await handlePaymentFailed(bookingId, paymentIntent);
+        }
+        break;
+      }
+
+      case "charge.refunded": {
+        await handleChargeRefunded(event.data.object);
         break;
       }
 
@@ -47,7 +193,9 @@ export const stripeWebhooks = async (request, response) => {
     }
     response.json({ received: true });
   } catch (error) {
-    console.error("Webhook processing error:", err);
+    console.error("Webhook processing error:", error);
+    //forget the event so Stripe's retry processes it again
+    await StripeEvent.deleteOne({ _id: event.id }).catch(console.error);
     response.status(500).send("Internal Server Error.");
   }
 };
@@ -0,0 +1,379 @@
+import Theater from "../models/Theater.js";
+import Screen from "../models/Screen.js";
+import Show from "../models/Show.js";
+import { normalizeSeatLayout, validateSeatLayout } from "../utils/seatMap.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/timeZones.js";
+import { activeShowFilter } from "../utils/showChanges.js";
+import { canAccessScreen, canAccessTheater } from "../utils/venueAccess.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+const theaterTarget = (theater) => ({
+  type: "theater",
+  id: theater._id,
+  label: theater.name,
+});
+
+const screenTarget = (screen) => ({
+  type: "screen",
+  id: screen._id,
+  label: screen.name,
+});
+
+//API to get all theaters with their screens. Staff limited to some venues
+//only get theirs.
+export const getTheaters = async (req, res) => {
+  try {
+    const scoped = req.admin?.theaters;
+    const theaters = await Theater.find(scoped ? { _id: { $in: scoped } } : {})
+      .sort({ city: 1, name: 1 })
+      .lean();
+    const screens = await Screen.find(
+      scoped ? { theater: { $in: scoped } } : {}
+    )
+      .select("-seatLayout")
+      .sort({ name: 1 })
+      .lean();
+
+    const theatersWithScreens = theaters.map((theater) => ({
+      ...theater,
+      timeZone: theater.timeZone || DEFAULT_TIME_ZONE,
+      screens: screens.filter(
+        (screen) => screen.theater.toString() === theater._id.toString()
+      ),
+    }));
+
+    res.json({ success: true, theaters: theatersWithScreens });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to get a single theater with its upcoming shows
+export const getTheater = async (req, res) => {
+  try {
+    const { theaterId } = req.params;
+    const theater = await Theater.findById(theaterId);
+
+    if (!theater) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Theater not found." });
+    }
+
+    const screens = await Screen.find({ theater: theaterId }).sort({ name: 1 });
+    const shows = await Show.find({
+      screen: { $in: screens.map((screen) => screen._id) },
+      showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+    })
+      .populate("movie")
+      .populate("screen", "name")
+      .sort({ showDateTime: 1 });
+
+    res.json({ success: true, theater, screens, shows });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to add a new theater
+export const addTheater = async (req, res) => {
+  try {
+    const { name, address, city, timeZone } = req.body;
+
+    if (!name || !address || !city || !timeZone) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Required fields missing." });
+    }
+    if (!isValidTimeZone(timeZone)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unknown time zone." });
+    }
+
+    const theater = await Theater.create({ name, address, city, timeZone });
+    await recordAudit(req, {
+      action: "theater.add",
+      target: theaterTarget(theater),
+      after: theater,
+    });
+    res.json({ success: true, message: "Theater added successfully.", theater });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to update theater details
+export const updateTheater = async (req, res) => {
+  try {
+    const { theaterId } = req.params;
+    const { name, address, city, timeZone } = req.body;
+
+    if (!canAccessTheater(req.admin, theaterId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Theater not found." });
+    }
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unknown time zone." });
+    }
+
+    const before = await Theater.findById(theaterId).lean();
+    if (!before) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Theater not found." });
+    }
+
+    //Upcoming shows were sold on the venue's wall clock, which a new zone
+    //would quietly move
+    if (timeZone && timeZone !== (before.timeZone || DEFAULT_TIME_ZONE)) {
+      const screens = await Screen.find({ theater: theaterId }, "_id");
+      const hasUpcomingShows = await Show.exists({
+        screen: { $in: screens.map((screen) => screen._id) },
+        showDateTime: { $gte: new Date() },
+        ...activeShowFilter,
+      });
+      if (hasUpcomingShows) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "The time zone can't change while the theater has upcoming shows.",
+        });
+      }
+    }
+
+    const theater = await Theater.findByIdAndUpdate(
+      theaterId,
+      { name, address, city, timeZone },
+      { new: true, runValidators: true }
+    );
+    if (!theater) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Theater not found." });
+    }
+
+    await recordAudit(req, {
+      action: "theater.update",
+      target: theaterTarget(theater),
+      before,
+      after: theater,
+    });
+    res.json({ success: true, message: "Theater updated.", theater });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to delete a theater along with its screens
+export const deleteTheater = async (req, res) => {
+  try {
+    const { theaterId } = req.params;
+    const screens = await Screen.find({ theater: theaterId });
+
+    const hasUpcomingShows = await Show.exists({
+      screen: { $in: screens.map((screen) => screen._id) },
+      showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+    });
+    if (hasUpcomingShows) {
+      return res.status(409).json({
+        success: false,
+        message: "Theater has upcoming shows and can't be deleted.",
+      });
+    }
+
+    await Screen.deleteMany({ theater: theaterId });
+    const theater = await Theater.findByIdAndDelete(theaterId);
+    if (theater) {
+      await recordAudit(req, {
+        action: "theater.delete",
+        target: theaterTarget(theater),
+        before: theater,
+        details: { screens: screens.map((screen) => screen.name) },
+      });
+    }
+
+    res.json({ success: true, message: "Theater deleted." });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to add a screen to a theater
+export const addScreen = async (req, res) => {
+  try {
+    const { theaterId, name } = req.body;
+
+    if (!theaterId || !name) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Required fields missing." });
+    }
+
+    const theater = await Theater.findById(theaterId);
+    if (!theater || !canAccessTheater(req.admin, theaterId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Theater not found." });
+    }
+
+    const screen = await Screen.create({ theater: theaterId, name });
+    await recordAudit(req, {
+      action: "screen.add",
+      target: screenTarget(screen),
+      after: screen,
+      details: { theater: theater.name },
+    });
+    res.json({ success: true, message: "Screen added successfully.", screen });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to rename a screen
+export const updateScreen = async (req, res) => {
+  try {
+    const { screenId } = req.params;
+    const { name } = req.body;
+
+    if (!(await canAccessScreen(req.admin, screenId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    const before = await Screen.findById(screenId, "-seatLayout").lean();
+    const screen = await Screen.findByIdAndUpdate(
+      screenId,
+      { name },
+      { new: true, runValidators: true }
+    );
+    if (!screen) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    await recordAudit(req, {
+      action: "screen.update",
+      target: screenTarget(screen),
+      before,
+      after: { ...screen.toObject(), seatLayout: undefined },
+    });
+    res.json({ success: true, message: "Screen updated.", screen });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to delete a screen
+export const deleteScreen = async (req, res) => {
+  try {
+    const { screenId } = req.params;
+
+    if (!(await canAccessScreen(req.admin, screenId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    const hasUpcomingShows = await Show.exists({
+      screen: screenId,
+      showDateTime: { $gte: new Date() },
+      ...activeShowFilter,
+    });
+    if (hasUpcomingShows) {
+      return res.status(409).json({
+        success: false,
+        message: "Screen has upcoming shows and can't be deleted.",
+      });
+    }
+
+    const screen = await Screen.findByIdAndDelete(screenId);
+    if (screen) {
+      await recordAudit(req, {
+        action: "screen.delete",
+        target: screenTarget(screen),
+        before: screen,
+      });
+    }
+    res.json({ success: true, message: "Screen deleted." });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to get a screen with its seat layout
+export const getScreen = async (req, res) => {
+  try {
+    const screen = await Screen.findById(req.params.screenId).populate(
+      "theater",
+      "name city"
+    );
+    if (!screen || !canAccessTheater(req.admin, screen.theater?._id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    res.json({ success: true, screen });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to save the seat layout of a screen. Shows keep the layout they were
+//created with, so this only affects shows added afterwards.
+export const updateSeatLayout = async (req, res) => {
+  try {
+    const { screenId } = req.params;
+    const { seatLayout } = req.body;
+
+    const layoutError = validateSeatLayout(seatLayout);
+    if (layoutError) {
+      return res.status(400).json({ success: false, message: layoutError });
+    }
+    if (!(await canAccessScreen(req.admin, screenId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    const before = await Screen.findById(screenId, "seatLayout").lean();
+    const screen = await Screen.findByIdAndUpdate(
+      screenId,
+      { seatLayout: normalizeSeatLayout(seatLayout) },
+      { new: true }
+    );
+    if (!screen) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Screen not found." });
+    }
+
+    await recordAudit(req, {
+      action: "screen.layout",
+      target: screenTarget(screen),
+      before,
+      after: { seatLayout: screen.seatLayout },
+    });
+    res.json({ success: true, message: "Seat layout saved.", screen });
+  } catch (error) {
+    console.error(error);
+    res.json({ success: false, message: error.message });
+  }
+};
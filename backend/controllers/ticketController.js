@@ -0,0 +1,211 @@
+import Booking from "../models/Bookings.js";
+import { createTicketQrCode, verifyTicketToken } from "../utils/tickets.js";
+import {
+  createCalendarEvent,
+  createTicketPdf,
+} from "../utils/ticketDocuments.js";
+import { canAccessShow } from "../utils/venueAccess.js";
+import { getShowBlock } from "../utils/scheduling.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+//Finds one of the user's paid bookings, or sends the error response
+const findPaidBooking = async (req, res) => {
+  const { userId } = req.auth();
+  const booking = await Booking.findById(req.params.bookingId).populate({
+    path: "show",
+    populate: [{ path: "movie" }, { path: "screen", populate: "theater" }],
+  });
+  if (!booking || booking.user !== userId) {
+    res.status(404).json({ success: false, message: "Booking not found." });
+    return null;
+  }
+  if (booking.status !== "paid") {
+    res.status(400).json({
+      success: false,
+      message: "Tickets are only issued for paid bookings.",
+    });
+    return null;
+  }
+  return booking;
+};
+
+//API to get the QR e-ticket for one of the user's paid bookings
+export const getTicket = async (req, res) => {
+  try {
+    const booking = await findPaidBooking(req, res);
+    if (!booking) return;
+
+    const qrCode = await createTicketQrCode(booking._id);
+    res.json({ success: true, qrCode, checkIns: booking.checkIns || {} });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to download the PDF ticket
+export const downloadTicketPdf = async (req, res) => {
+  try {
+    const booking = await findPaidBooking(req, res);
+    if (!booking) return;
+
+    const pdf = await createTicketPdf(booking);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="ticket-${booking._id}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to download the show as a calendar event
+export const downloadCalendarEvent = async (req, res) => {
+  try {
+    const booking = await findPaidBooking(req, res);
+    if (!booking) return;
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="show-${booking._id}.ics"`,
+    });
+    res.send(createCalendarEvent(booking));
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API for staff to scan a ticket at the door. Checks in the given seats, or
+//every seat not yet checked in when none are given, until the show ends.
+export const checkInTicket = async (req, res) => {
+  try {
+    const { token, seats } = req.body;
+
+    const bookingId = verifyTicketToken(token);
+    if (!bookingId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid ticket." });
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate({ path: "show", populate: { path: "movie" } })
+      .populate("user");
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found." });
+    }
+    if (booking.show && !(await canAccessShow(req.admin, booking.show))) {
+      return res.status(403).json({
+        success: false,
+        message: "This ticket is for a show at another venue.",
+      });
+    }
+
+    const ticket = {
+      bookingId: booking._id,
+      user: booking.user?.name,
+      movie: booking.show?.movie?.title,
+      showDateTime: booking.show?.showDateTime,
+      timeZone: booking.show?.timeZone,
+      bookedSeats: booking.bookedSeats,
+      checkIns: booking.checkIns || {},
+    };
+
+    if (booking.status !== "paid") {
+      return res.status(400).json({
+        success: false,
+        message: `Ticket is not valid, this booking is ${booking.status}.`,
+        ticket,
+      });
+    }
+
+    //tickets only admit to a show that's still on
+    const { show } = booking;
+    if (!show || show.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Ticket is not valid, this show was cancelled.",
+        ticket,
+      });
+    }
+    const { end } = getShowBlock(show.showDateTime, show.movie?.runtime);
+    if (end <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Ticket is not valid, this show has already ended.",
+        ticket,
+      });
+    }
+
+    const requestedSeats = Array.isArray(seats) && seats.length ? seats : null;
+    if (requestedSeats?.some((seat) => !booking.bookedSeats.includes(seat))) {
+      return res.status(400).json({
+        success: false,
+        message: "Seat(s) are not part of this booking.",
+        ticket,
+      });
+    }
+
+    const seatsToCheckIn = (requestedSeats || booking.bookedSeats).filter(
+      (seat) => !ticket.checkIns[seat]
+    );
+    if (seatsToCheckIn.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Ticket has already been used.",
+        ticket,
+      });
+    }
+
+    //conditional update so two scanners can't admit the same seat twice
+    const checkedInAt = new Date();
+    const checkedIn = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: "paid",
+        ...Object.fromEntries(
+          seatsToCheckIn.map((seat) => [`checkIns.${seat}`, { $exists: false }])
+        ),
+      },
+      {
+        $set: Object.fromEntries(
+          seatsToCheckIn.map((seat) => [`checkIns.${seat}`, checkedInAt])
+        ),
+      },
+      { new: true }
+    );
+    if (!checkedIn) {
+      return res.status(409).json({
+        success: false,
+        message: "Ticket was just used, please scan again.",
+        ticket,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "ticket.check-in",
+      target: {
+        type: "booking",
+        id: booking._id,
+        label: `${ticket.user} · ${ticket.movie}`,
+      },
+      before: { checkIns: ticket.checkIns },
+      after: { checkIns: checkedIn.checkIns },
+      details: { seats: seatsToCheckIn },
+    });
+
+    res.json({
+      success: true,
+      message: `Checked in ${seatsToCheckIn.join(", ")}.`,
+      ticket: { ...ticket, checkIns: checkedIn.checkIns },
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -3,6 +3,17 @@
 import Booking from "../models/Bookings.js";
 import { clerkClient } from "@clerk/express";
 import Movie from "../models/Movie.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import reminderConfig from "../configs/reminders.js";
+import notificationConfig from "../configs/notifications.js";
+import { EMAIL_LOCALES } from "../emails/templates.js";
+import { CHANNELS } from "../channels/index.js";
+import { rescheduleUserReminders } from "../utils/reminders.js";
+import {
+  OPTIONAL_CATEGORIES,
+  getNotificationPreferences,
+  unsubscribe,
+} from "../utils/notifications.js";
 
 export const getUserBookings = async (req, res) => {
   try {
@@ -21,6 +32,177 @@ export const getUserBookings = async (req, res) => {
   }
 };
 
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/; //E.164
+
+//API to get the user's notification preferences
+export const getPreferences = async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.auth().userId);
+    res.json({
+      success: true,
+      preferences,
+      reminderOffsetOptions: reminderConfig.offsetOptions,
+      locales: EMAIL_LOCALES,
+      channels: CHANNELS,
+      pushPublicKey: notificationConfig.webPush.publicKey,
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to update the user's notification preferences
+export const updatePreferences = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { reminderOffsets, locale, channels, phone } = req.body;
+
+    const update = {};
+    for (const field of [...OPTIONAL_CATEGORIES, "favoritesOnly"]) {
+      if (req.body[field] !== undefined) {
+        update[field] = Boolean(req.body[field]);
+      }
+    }
+    if (reminderOffsets !== undefined) {
+      if (
+        !Array.isArray(reminderOffsets) ||
+        !reminderOffsets.every((offset) =>
+          reminderConfig.offsetOptions.includes(offset)
+        )
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid reminder times." });
+      }
+      update.reminderOffsets = [...new Set(reminderOffsets)].sort(
+        (a, b) => b - a
+      );
+    }
+    if (locale !== undefined) {
+      if (!EMAIL_LOCALES.includes(locale)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Unsupported email language." });
+      }
+      update.locale = locale;
+    }
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Enter the phone number with its country code, like +919876543210.",
+      });
+    }
+    if (phone !== undefined || channels !== undefined) {
+      const current = await getNotificationPreferences(userId);
+      const hasPhone = phone !== undefined ? Boolean(phone) : current.phone;
+      const nextChannels = channels ?? current.channels;
+      if (
+        !Array.isArray(nextChannels) ||
+        !nextChannels.every((channel) => CHANNELS.includes(channel))
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid notification channels." });
+      }
+      if (
+        !hasPhone &&
+        (nextChannels.includes("sms") || nextChannels.includes("whatsapp"))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Add a phone number for SMS and WhatsApp.",
+        });
+      }
+      if (nextChannels.includes("push") && !current.pushSubscriptions.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Allow notifications in this browser first.",
+        });
+      }
+      if (nextChannels.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Choose at least one channel." });
+      }
+      if (phone !== undefined) update.phone = phone || null;
+      update.channels = [...new Set(nextChannels)];
+    }
+
+    const preferences = await NotificationPreference.findByIdAndUpdate(
+      userId,
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await rescheduleUserReminders(userId);
+    res.json({
+      success: true,
+      message: "Preferences updated.",
+      preferences,
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to save this browser's push subscription and turn on push notifications
+export const addPushSubscription = async (req, res) => {
+  try {
+    const userId = req.auth().userId;
+    const { endpoint, keys } = req.body.subscription || {};
+    if (!endpoint?.startsWith("https://") || !keys?.p256dh || !keys?.auth) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid push subscription." });
+    }
+
+    //replace an older subscription from the same browser
+    const preferences = await getNotificationPreferences(userId);
+    preferences.pushSubscriptions = preferences.pushSubscriptions.filter(
+      (subscription) => subscription.endpoint !== endpoint
+    );
+    preferences.pushSubscriptions.push({ endpoint, keys });
+    if (!preferences.channels.includes("push")) {
+      preferences.channels.push("push");
+    }
+    await preferences.save();
+
+    res.json({
+      success: true,
+      message: "Browser notifications turned on.",
+      preferences,
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API for the one-click unsubscribe link in emails. Works without signing in,
+//the signed token identifies the user.
+export const unsubscribeEmails = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const categories = await unsubscribe(token);
+    if (!categories) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid unsubscribe link." });
+    }
+    res.json({
+      success: true,
+      message: "You have been unsubscribed.",
+      categories,
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 //API controller function to update favourite movie in clerk user metadata
 export const updateFavorite = async (req,res)=>{
     try {
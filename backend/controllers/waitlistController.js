@@ -0,0 +1,117 @@
+import { inngest } from "../inngest/index.js";
+import Show from "../models/Show.js";
+import Waitlist from "../models/Waitlist.js";
+import waitlistConfig from "../configs/waitlist.js";
+import { endWaitlistOffer, getFreeSeats } from "../utils/waitlist.js";
+
+//API to join the waitlist of a sold-out show
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { userId } = req.auth();
+    const { showId } = req.body;
+    const seats = Number(req.body.seats);
+
+    if (
+      !Number.isInteger(seats) ||
+      seats < 1 ||
+      seats > waitlistConfig.maxSeats
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `You can wait for 1 to ${waitlistConfig.maxSeats} seats.`,
+      });
+    }
+
+    const show = await Show.findById(showId);
+    if (
+      !show ||
+      show.status === "cancelled" ||
+      show.showDateTime <= new Date()
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Show not found." });
+    }
+
+    if (getFreeSeats(show).length >= seats) {
+      return res.status(400).json({
+        success: false,
+        message: "Enough seats are available, please book them directly.",
+      });
+    }
+
+    const existing = await Waitlist.exists({
+      user: userId,
+      show: showId,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already on the waitlist for this show.",
+      });
+    }
+
+    await Waitlist.create({ user: userId, show: showId, seats });
+    res.json({
+      success: true,
+      message: "You're on the waitlist. We'll email you if seats free up.",
+    });
+  } catch (error) {
+    console.log(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to leave a waitlist, giving up any seats held for the user
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const { userId } = req.auth();
+    const { waitlistId } = req.params;
+
+    const entry = await Waitlist.findById(waitlistId);
+    if (!entry || entry.user !== userId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist entry not found." });
+    }
+
+    if (entry.status === "offered") {
+      const released = await endWaitlistOffer(waitlistId, "cancelled");
+      if (released.length) {
+        await inngest.send({
+          name: "app/seats.released",
+          data: { showId: entry.show },
+        });
+      }
+    } else {
+      await Waitlist.updateOne(
+        { _id: waitlistId, status: "waiting" },
+        { status: "cancelled" }
+      );
+    }
+
+    res.json({ success: true, message: "You have left the waitlist." });
+  } catch (error) {
+    console.log(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//API to get the user's active waitlist entries
+export const getUserWaitlist = async (req, res) => {
+  try {
+    const { userId } = req.auth();
+    const waitlist = await Waitlist.find({
+      user: userId,
+      status: { $in: ["waiting", "offered"] },
+    })
+      .populate({ path: "show", populate: { path: "movie" } })
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, waitlist });
+  } catch (error) {
+    console.error(error.message);
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+import { DEFAULT_LOCALE, EMAIL_LOCALES, emailTemplates } from "./templates.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
+
+//Renders the templates registered in templates.js. Files are compiled once
+//per locale, falling back to the default locale when there's no variant.
+
+const emailsDir = path.dirname(fileURLToPath(import.meta.url));
+
+export class EmailTemplateError extends Error {}
+
+const readFile = (...parts) => {
+  const file = path.join(emailsDir, ...parts);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+};
+
+//`name.locale.hbs`, then `name.default-locale.hbs`, then `name.hbs`
+const readVariant = (dir, name, locale) =>
+  readFile(dir, `${name}.${locale}.hbs`) ??
+  readFile(dir, `${name}.${DEFAULT_LOCALE}.hbs`) ??
+  readFile(dir, `${name}.hbs`);
+
+const intlLocales = { en: "en-IN", hi: "hi-IN" };
+
+const formatWith =
+  (options) =>
+  (value, { data }) =>
+    new Date(value).toLocaleString(intlLocales[data.root.locale], {
+      timeZone: data.root.timeZone || DEFAULT_TIME_ZONE,
+      ...options,
+    });
+
+//One handlebars environment per locale so partials resolve to its variants
+const createEnvironment = (locale) => {
+  const env = Handlebars.create();
+
+  env.registerHelper(
+    "formatDate",
+    formatWith({
+      weekday: "short",
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    })
+  );
+  env.registerHelper(
+    "formatTime",
+    formatWith({ hour: "numeric", minute: "2-digit", hour12: true })
+  );
+  env.registerHelper(
+    "formatDateTime",
+    formatWith({ dateStyle: "medium", timeStyle: "short" })
+  );
+  env.registerHelper("join", (items) => (items || []).join(", "));
+  env.registerHelper("eq", (a, b) => a === b);
+
+  const partialsDir = path.join(emailsDir, "partials");
+  const partialNames = new Set(
+    fs.readdirSync(partialsDir).map((file) => file.split(".")[0])
+  );
+  partialNames.forEach((name) => {
+    env.registerPartial(name, readVariant("partials", name, locale));
+  });
+
+  const compile = (source) => source && env.compile(source);
+  //subjects and plain text aren't HTML, so values are left unescaped
+  const compileText = (source) =>
+    source && env.compile(source, { noEscape: true });
+
+  const layouts = {};
+  const templates = {};
+  for (const [name, template] of Object.entries(emailTemplates)) {
+    layouts[template.layout] ??= compile(
+      readVariant("layouts", template.layout, locale)
+    );
+    //the plain-text variant has to match the language of the HTML body
+    const bodyLocale = readFile("templates", `${name}.${locale}.hbs`)
+      ? locale
+      : DEFAULT_LOCALE;
+    const html = readFile("templates", `${name}.${bodyLocale}.hbs`);
+    if (!html) {
+      throw new EmailTemplateError(`Email template ${name} has no body file.`);
+    }
+    templates[name] = {
+      html: compile(html),
+      text: compileText(readFile("templates", `${name}.${bodyLocale}.txt.hbs`)),
+      subject: compileText(
+        template.subject[locale] ?? template.subject[DEFAULT_LOCALE]
+      ),
+      message:
+        template.message &&
+        compileText(
+          template.message[locale] ?? template.message[DEFAULT_LOCALE]
+        ),
+      heading: compile(
+        template.heading[locale] ?? template.heading[DEFAULT_LOCALE]
+      ),
+    };
+  }
+  return { layouts, templates };
+};
+
+const environments = Object.fromEntries(
+  EMAIL_LOCALES.map((locale) => [locale, createEnvironment(locale)])
+);
+
+//Plain-text version of rendered HTML for templates without a .txt variant
+export const htmlToText = (html) =>
+  html
+    .replace(/<head[\s\S]*?<\/head>/gi, "")
+    .replace(/\s+/g, " ")
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|tr|table)>/gi, "\n")
+    .replace(/<\/td>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&copy;/g, "©")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&#x3D;/g, "=")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+//Render a named template. Resolves to { subject, html, text, message } or
+//throws an EmailTemplateError for an unknown template or missing variables.
+//message is the short text for other channels, null when there's none.
+export const renderEmail = (name, data, locale = DEFAULT_LOCALE) => {
+  const template = emailTemplates[name];
+  if (!template) {
+    throw new EmailTemplateError(`Unknown email template "${name}".`);
+  }
+
+  const missing = template.variables.filter(
+    (variable) => data[variable] === undefined || data[variable] === null
+  );
+  if (missing.length) {
+    throw new EmailTemplateError(
+      `Email template ${name} is missing: ${missing.join(", ")}.`
+    );
+  }
+
+  const resolvedLocale = EMAIL_LOCALES.includes(locale)
+    ? locale
+    : DEFAULT_LOCALE;
+  const { layouts, templates } = environments[resolvedLocale];
+  const compiled = templates[name];
+  const context = {
+    year: new Date().getFullYear(),
+    ...data,
+    locale: resolvedLocale,
+  };
+
+  const subject = compiled.subject(context);
+  const heading = compiled.heading(context);
+  const html = layouts[template.layout]({
+    ...context,
+    subject,
+    heading,
+    body: compiled.html(context),
+  });
+  const text = compiled.text ? compiled.text(context) : htmlToText(html);
+  const message = compiled.message ? compiled.message(context) : null;
+
+  return { subject, html, text, message };
+};
+
+//Template names with their locales and variables, for the admin preview
+export const listEmailTemplates = () =>
+  Object.entries(emailTemplates).map(([name, template]) => ({
+    name,
+    variables: template.variables,
+    locales: EMAIL_LOCALES,
+  }));
+
+//Render a template with its sample data
+export const previewEmail = (name, locale) => {
+  const template = emailTemplates[name];
+  if (!template) {
+    throw new EmailTemplateError(`Unknown email template "${name}".`);
+  }
+  return renderEmail(
+    name,
+    {
+      ...template.sample,
+      unsubscribeUrl: "https://example.com/unsubscribe",
+      preferencesUrl: "https://example.com/preferences",
+    },
+    locale
+  );
+};
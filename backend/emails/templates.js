@@ -0,0 +1,194 @@
+//Email template registry. Each template has a body in
+//templates/<name>.<locale>.hbs (and optionally a plain-text
+//<name>.<locale>.txt.hbs), rendered inside layouts/<layout>.<locale>.hbs.
+//Subjects and headings are compiled with the same data as the body.
+//Templates with a `message` can also go out as SMS, WhatsApp or push: it's
+//the short plain-text version those channels send.
+
+export const EMAIL_LOCALES = ["en", "hi"];
+export const DEFAULT_LOCALE = "en";
+
+const sampleShow = {
+  userName: "Alex Doe",
+  movieTitle: "Interstellar",
+  showDateTime: new Date("2025-08-15T14:00:00Z"),
+  seats: ["D4", "D5"],
+};
+
+export const emailTemplates = {
+  bookingConfirmation: {
+    layout: "default",
+    subject: {
+      en: 'Payment Confirmation: "{{movieTitle}}" booked!',
+      hi: 'भुगतान की पुष्टि: "{{movieTitle}}" बुक हो गई!',
+    },
+    heading: { en: "Booking Confirmed!", hi: "बुकिंग कन्फ़र्म!" },
+    message: {
+      en: 'Booking confirmed: "{{movieTitle}}" on {{formatDateTime showDateTime}}. Seats {{join seats}}. Booking ID {{bookingId}}.',
+      hi: 'बुकिंग कन्फ़र्म: "{{movieTitle}}" {{formatDateTime showDateTime}}. सीटें {{join seats}}. बुकिंग ID {{bookingId}}.',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "showDateTime",
+      "seats",
+      "amount",
+      "bookingId",
+      "qrCode",
+    ],
+    sample: {
+      ...sampleShow,
+      amount: 500,
+      bookingId: "66b1f0c2a4e5d6f7a8b9c0d1",
+      //1x1 transparent PNG standing in for the ticket QR code
+      qrCode:
+        "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+    },
+  },
+  bookingCancelled: {
+    layout: "default",
+    subject: {
+      en: 'Booking Cancelled: "{{movieTitle}}"',
+      hi: 'बुकिंग रद्द: "{{movieTitle}}"',
+    },
+    heading: { en: "Booking Cancelled", hi: "बुकिंग रद्द" },
+    message: {
+      en: 'Booking {{bookingId}} for "{{movieTitle}}" is cancelled. Refund: ₹{{refundAmount}}.',
+      hi: '"{{movieTitle}}" की बुकिंग {{bookingId}} रद्द हो गई है। रिफ़ंड: ₹{{refundAmount}}.',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "showDateTime",
+      "seats",
+      "bookingId",
+      "amount",
+      "cancellationFee",
+      "refundAmount",
+    ],
+    sample: {
+      ...sampleShow,
+      bookingId: "66b1f0c2a4e5d6f7a8b9c0d1",
+      amount: 500,
+      cancellationFee: 50,
+      refundAmount: 450,
+    },
+  },
+  showCancelled: {
+    layout: "default",
+    subject: {
+      en: 'Show Cancelled: "{{movieTitle}}"',
+      hi: 'शो रद्द: "{{movieTitle}}"',
+    },
+    heading: { en: "Show Cancelled", hi: "शो रद्द" },
+    message: {
+      en: 'The "{{movieTitle}}" show on {{formatDateTime showDateTime}} is cancelled. Booking {{bookingId}} is refunded in full: ₹{{refundAmount}}. Rebook: {{rebookUrl}}',
+      hi: '{{formatDateTime showDateTime}} का "{{movieTitle}}" शो रद्द हो गया है। बुकिंग {{bookingId}} का पूरा रिफ़ंड: ₹{{refundAmount}}. दोबारा बुक करें: {{rebookUrl}}',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "showDateTime",
+      "seats",
+      "bookingId",
+      "refundAmount",
+      "refundPending",
+      "reason",
+      "rebookUrl",
+    ],
+    sample: {
+      ...sampleShow,
+      bookingId: "66b1f0c2a4e5d6f7a8b9c0d1",
+      refundAmount: 500,
+      refundPending: false,
+      reason: "Projector maintenance",
+      rebookUrl: "https://example.com/movies/157336",
+    },
+  },
+  showRescheduled: {
+    layout: "default",
+    subject: {
+      en: 'New Show Time: "{{movieTitle}}"',
+      hi: 'शो का नया समय: "{{movieTitle}}"',
+    },
+    heading: { en: "Show Rescheduled", hi: "शो का समय बदला" },
+    message: {
+      en: '"{{movieTitle}}" moved to {{formatDateTime showDateTime}}. Seats {{join seats}} are kept. Cancel for a full refund: {{manageUrl}}',
+      hi: '"{{movieTitle}}" अब {{formatDateTime showDateTime}} पर है। सीटें {{join seats}} सुरक्षित हैं। पूरे रिफ़ंड के लिए रद्द करें: {{manageUrl}}',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "previousDateTime",
+      "showDateTime",
+      "seats",
+      "bookingId",
+      "manageUrl",
+    ],
+    sample: {
+      ...sampleShow,
+      previousDateTime: new Date("2025-08-15T10:00:00Z"),
+      bookingId: "66b1f0c2a4e5d6f7a8b9c0d1",
+      manageUrl: "https://example.com/my-bookings",
+    },
+  },
+  showReminder: {
+    layout: "default",
+    subject: {
+      en: 'Reminder: Your movie "{{movieTitle}}" starts soon!',
+      hi: 'याद दिलाना: आपकी फ़िल्म "{{movieTitle}}" जल्द शुरू होगी!',
+    },
+    heading: { en: "Showtime Reminder", hi: "शो का रिमाइंडर" },
+    message: {
+      en: 'Reminder: "{{movieTitle}}" starts {{formatDateTime showDateTime}}. Seats {{join seats}}.',
+      hi: 'याद दिलाना: "{{movieTitle}}" {{formatDateTime showDateTime}} पर शुरू होगी। सीटें {{join seats}}.',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "showDateTime",
+      "seats",
+      "hoursBefore",
+    ],
+    sample: { ...sampleShow, hoursBefore: 2 },
+  },
+  newShow: {
+    layout: "default",
+    subject: {
+      en: "🎬 New Show Added: {{movieTitle}}",
+      hi: "🎬 नया शो: {{movieTitle}}",
+    },
+    heading: { en: "Now Showing", hi: "अब दिखाया जा रहा है" },
+    variables: ["userName", "movieTitle", "movieUrl"],
+    sample: {
+      userName: sampleShow.userName,
+      movieTitle: sampleShow.movieTitle,
+      movieUrl: "https://example.com/movies/157336",
+    },
+  },
+  waitlistOffer: {
+    layout: "default",
+    subject: {
+      en: 'Seats available: "{{movieTitle}}"',
+      hi: 'सीटें उपलब्ध: "{{movieTitle}}"',
+    },
+    heading: { en: "Your Seats Are Waiting", hi: "आपकी सीटें तैयार हैं" },
+    message: {
+      en: 'Seats {{join seats}} for "{{movieTitle}}" are held for you until {{formatTime offerExpiresAt}}. Book: {{bookingUrl}}',
+      hi: '"{{movieTitle}}" की सीटें {{join seats}} आपके लिए {{formatTime offerExpiresAt}} तक रखी गई हैं। बुक करें: {{bookingUrl}}',
+    },
+    variables: [
+      "userName",
+      "movieTitle",
+      "showDateTime",
+      "seats",
+      "offerExpiresAt",
+      "bookingUrl",
+    ],
+    sample: {
+      ...sampleShow,
+      offerExpiresAt: new Date("2025-08-15T10:15:00Z"),
+      bookingUrl: "https://example.com/movies/157336/2025-08-15",
+    },
+  },
+};
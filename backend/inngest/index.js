@@ -2,7 +2,30 @@ import { Inngest } from "inngest";
 import User from "../models/User.js";
 import Booking from "../models/Bookings.js";
 import Show from "../models/Show.js";
-import sendEmail from "../configs/nodeMailer.js";
+import Waitlist from "../models/Waitlist.js";
+import Reminder from "../models/Reminder.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import { clerkClient } from "@clerk/express";
+import { forgetAdminAccess } from "../middleware/auth.js";
+import stripeInstance from "../configs/stripe.js";
+import { releaseSeats } from "../utils/seatReservation.js";
+import { releaseCoupon } from "../utils/coupons.js";
+import { createTicketQrCode } from "../utils/tickets.js";
+import { createTicketAttachments } from "../utils/ticketDocuments.js";
+import { endWaitlistOffer, offerReleasedSeats } from "../utils/waitlist.js";
+import { toZonedDateTime } from "../utils/timeZones.js";
+import {
+  getNotificationPreferences,
+  notifyUser,
+} from "../utils/notifications.js";
+import {
+  claimDueReminder,
+  scheduleBookingReminders,
+} from "../utils/reminders.js";
+import {
+  cancelBookingForShow,
+  rescheduleShowReminders,
+} from "../utils/showChanges.js";
 
 //create a lient to send and recieve events
 export const inngest = new Inngest({ id: "movie-ticket-booking" });
@@ -31,6 +54,8 @@ const syncUserDeletion = inngest.createFunction(
   async ({ event }) => {
     const { id } = event.data;
     await User.findByIdAndDelete(id);
+    await NotificationPreference.findByIdAndDelete(id);
+    forgetAdminAccess(id);
   }
 );
 
@@ -48,32 +73,129 @@ const syncUserUpdation = inngest.createFunction(
       image: image_url,
     };
     await User.findByIdAndUpdate(id, userData);
+    //the user's role may have changed
+    forgetAdminAccess(id);
   }
 );
 
-//Inngest function to cancel booking and release seats of show after 10 mins of booking created if payment is not made
-const releaseSeatsAndDeleteBooking = inngest.createFunction(
+//Inngest function to expire the booking and release seats of show after 10 mins of booking created if payment is not made
+const releaseSeatsAndExpireBooking = inngest.createFunction(
   { id: "release-seats-delete-booking" },
   { event: "app/checkpayment" },
   async ({ event, step }) => {
     const tenMinutesLater = new Date(Date.now() + 10 * 60 * 1000);
     await step.sleepUntil("wait-for-10-minutes", tenMinutesLater);
 
-    await step.run("check-payment-status", async () => {
+    const showId = await step.run("check-payment-status", async () => {
       const bookingId = event.data.bookingId;
-      const booking = await Booking.findById(bookingId);
-
-      //If payment is not made, release seats and delete booking
-      if (!booking.isPaid) {
-        const show = await Show.findById(booking.show);
-        booking.bookedSeats.forEach((seat) => {
-          delete show.occupiedSeats[seat];
-        });
-        show.markModified("occupiedSeats");
-        await show.save();
-        await Booking.findByIdAndDelete(booking._id);
+
+      //Only a booking that is still pending can expire
+      const booking = await Booking.transitionStatus(bookingId, "expired", {
+        paymentLink: "",
+      });
+      if (!booking) return null;
+
+      await releaseSeats(booking.show, booking.bookedSeats);
+      await releaseCoupon(booking);
+
+      //Close the checkout so the user can't pay for seats that were released
+      if (booking.stripeSessionId) {
+        try {
+          await stripeInstance.checkout.sessions.expire(
+            booking.stripeSessionId
+          );
+        } catch (error) {
+          console.error(
+            `Could not expire checkout session ${booking.stripeSessionId}:`,
+            error.message
+          );
+        }
       }
+      return booking.show;
     });
+
+    //Offer the released seats to the waitlist
+    if (showId) {
+      await step.sendEvent("offer-released-seats", {
+        name: "app/seats.released",
+        data: { showId },
+      });
+    }
+  }
+);
+
+//Inngest function to hold released seats for the next users on the waitlist.
+//Runs one at a time per show so the same seats aren't offered twice.
+const offerWaitlistSeats = inngest.createFunction(
+  {
+    id: "offer-waitlist-seats",
+    concurrency: { key: "event.data.showId", limit: 1 },
+  },
+  { event: "app/seats.released" },
+  async ({ event, step }) => {
+    const offered = await step.run("hold-seats-for-waitlist", () =>
+      offerReleasedSeats(event.data.showId)
+    );
+
+    if (offered.length) {
+      await step.sendEvent(
+        "notify-waitlist-offers",
+        offered.map((waitlistId) => ({
+          name: "app/waitlist.offered",
+          data: { waitlistId },
+        }))
+      );
+    }
+  }
+);
+
+//Inngest function to email a waitlist offer and release the held seats if
+//the user doesn't book them in time
+const handleWaitlistOffer = inngest.createFunction(
+  { id: "handle-waitlist-offer" },
+  { event: "app/waitlist.offered" },
+  async ({ event, step }) => {
+    const { waitlistId } = event.data;
+
+    const offer = await step.run("send-offer-email", async () => {
+      const entry = await Waitlist.findById(waitlistId)
+        .populate({ path: "show", populate: { path: "movie" } })
+        .populate("user");
+      if (!entry || entry.status !== "offered") return null;
+
+      const { show } = entry;
+      const { date } = toZonedDateTime(show.showDateTime, show.timeZone);
+      const link = `${process.env.CLIENT_URL}/movies/${show.movie._id}/${date}?show=${show._id}`;
+
+      await notifyUser(entry.user, {
+        template: "waitlistOffer",
+        data: {
+          movieTitle: show.movie.title,
+          showDateTime: show.showDateTime,
+          timeZone: show.timeZone,
+          seats: entry.offeredSeats,
+          offerExpiresAt: entry.offerExpiresAt,
+          bookingUrl: link,
+        },
+        url: link,
+      });
+      return { showId: show._id.toString(), expiresAt: entry.offerExpiresAt };
+    });
+    if (!offer) return;
+
+    await step.sleepUntil("wait-for-offer-expiry", offer.expiresAt);
+
+    const released = await step.run("expire-offer", () =>
+      endWaitlistOffer(waitlistId, "expired")
+    );
+
+    //Pass the seats on to the next user in line
+    if (released.length) {
+      await step.sendEvent("offer-to-next-user", {
+        name: "app/seats.released",
+        data: { showId: offer.showId },
+      });
+    }
   }
 );
 
@@ -82,6 +204,55 @@ const sendBookingConfirmationEmail = inngest.createFunction(
   { id: "send-booking-confirmation-email" },
   { event: "app/show.booked" },
   async ({ event, step }) => {
+    const { bookingId } = event.data;
+    const booking = await Booking.findById(bookingId)
+      .populate({
+        path: "show",
+        populate: [
+          { path: "movie", model: "Movie" },
+          { path: "screen", populate: { path: "theater" } },
+        ],
+      })
+      .populate("user");
+    const qrCode = await createTicketQrCode(booking._id);
+    const attachments = await createTicketAttachments(booking);
+    await notifyUser(booking.user, {
+      template: "bookingConfirmation",
+      data: {
+        movieTitle: booking.show.movie.title,
+        showDateTime: booking.show.showDateTime,
+        timeZone: booking.show.timeZone,
+        seats: booking.bookedSeats,
+        amount: booking.amount,
+        bookingId: booking._id.toString(),
+        qrCode,
+      },
+      attachments,
+    });
+
+    //the show moved while the booking was being paid for
+    if (booking.rescheduledFrom) {
+      await notifyUser(booking.user, {
+        template: "showRescheduled",
+        data: {
+          movieTitle: booking.show.movie.title,
+          previousDateTime: booking.rescheduledFrom,
+          showDateTime: booking.show.showDateTime,
+          timeZone: booking.show.timeZone,
+          seats: booking.bookedSeats,
+          bookingId: booking._id.toString(),
+          manageUrl: `${process.env.CLIENT_URL}/my-bookings`,
+        },
+      });
+    }
+  }
+);
+
+//inngest function to send a cancellation receipt to the user
+const sendCancellationEmail = inngest.createFunction(
+  { id: "send-cancellation-email" },
+  { event: "app/booking.cancelled" },
+  async ({ event }) => {
     const { bookingId } = event.data;
     const booking = await Booking.findById(bookingId)
       .populate({
@@ -89,223 +260,246 @@ const sendBookingConfirmationEmail = inngest.createFunction(
         populate: { path: "movie", model: "Movie" },
       })
       .populate("user");
-    await sendEmail({
-      to: booking.user.email,
-      subject: `Payment Confirmation: "${booking.show.movie.title}" booked!`,
-      body: `<!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Your Booking Confirmation</title>
-    </head>
-    <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
-
-      <table width="100%" border="0" cellpadding="0" cellspacing="0" bgcolor="#f4f4f4">
-        <tr>
-          <td>
-            <table align="center" border="0" cellpadding="0" cellspacing="0" width="600" style="border-collapse: collapse; margin-top: 20px; margin-bottom: 20px; border: 1px solid #cccccc; background-color: #ffffff;">
-
-              <tr>
-                <td align="center" bgcolor="#F84565" style="padding: 30px 0 30px 0;">
-                  <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Booking Confirmed!</h1>
-                </td>
-              </tr>
-
-              <tr>
-                <td style="padding: 40px 30px 40px 30px; line-height: 1.6;">
-                  <h2 style="margin-top: 0;">Hey, ${booking.user.name},</h2>
-                  <p>Thank you for booking with us. Your booking for the movie <strong style="color: #F84565;">${
-                    booking.show.movie.title
-                  }</strong> is confirmed.</p>
-
-                  <table width="100%" border="0" cellpadding="0" cellspacing="0" style="border: 1px solid #dddddd; padding: 20px; margin-top: 20px; margin-bottom: 20px;">
-                    <tr>
-                      <td style="padding-bottom: 10px;" colspan="2">
-                        <h3 style="margin: 0; color: #333333;">Your Booking Details:</h3>
-                      </td>
-                    </tr>
-                    <tr>
-                      <td width="100" style="padding: 5px 0;"><strong>Movie:</strong></td>
-                      <td style="padding: 5px 0;">${
-                        booking.show.movie.title
-                      }</td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 5px 0;"><strong>Date:</strong></td>
-                      <td style="padding: 5px 0;">${new Date(
-                        booking.show.showDateTime
-                      ).toLocaleDateString("en-GB", {
-                        timeZone: "Asia/Kolkata",
-                        day: "numeric",
-                        month: "long",
-                        year: "numeric",
-                      })}</td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 5px 0;"><strong>Time:</strong></td>
-                      <td style="padding: 5px 0;">${new Date(
-                        booking.show.showDateTime
-                      ).toLocaleTimeString("en-US", {
-                        timeZone: "Asia/Kolkata",
-                        hour: "numeric",
-                        minute: "2-digit",
-                        hour12: true,
-                      })}</td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 5px 0;"><strong>Seats:</strong></td>
-                      <td style="padding: 5px 0;">${booking.bookedSeats.join(
-                        ", "
-                      )}</td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 5px 0;"><strong>Amount:</strong></td>
-                      <td style="padding: 5px 0;">₹${booking.amount}</td>
-                    </tr>
-                  </table>
-
-                  <p>Enjoy the show! 🍿</p>
-                </td>
-              </tr>
-
-              <tr>
-                <td bgcolor="#333333" style="padding: 20px 30px 20px 30px;">
-                  <table width="100%" border="0" cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td style="color: #ffffff; font-size: 14px;">
-                        &copy; 2025 Get your Popcorn Team. All rights reserved.
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-
-            </table>
-          </td>
-        </tr>
-      </table>
-
-    </body>
-    </html>`,
+
+    await notifyUser(booking.user, {
+      template: "bookingCancelled",
+      data: {
+        movieTitle: booking.show.movie.title,
+        showDateTime: booking.show.showDateTime,
+        timeZone: booking.show.timeZone,
+        seats: booking.bookedSeats,
+        bookingId: booking._id.toString(),
+        amount: booking.amount,
+        cancellationFee: booking.cancellationFee,
+        refundAmount: booking.refundAmount,
+      },
     });
   }
 );
 
-//Inngest function to send reminder
+//Inngest function to schedule reminders for a paid booking at the offsets
+//the user chose
+const scheduleShowReminders = inngest.createFunction(
+  { id: "schedule-show-reminders" },
+  { event: "app/show.booked" },
+  async ({ event }) => {
+    const booking = await Booking.findById(event.data.bookingId).populate(
+      "show"
+    );
+    if (!booking || booking.status !== "paid") return;
+
+    const preferences = await getNotificationPreferences(booking.user);
+    if (!preferences.reminders) return;
+
+    await scheduleBookingReminders(
+      booking,
+      booking.show,
+      preferences.reminderOffsets
+    );
+  }
+);
 
-const sendShowReminder = inngest.createFunction(
+//Inngest function to send reminders that are due
+
+const sendShowReminders = inngest.createFunction(
   { id: "send-show-reminders" },
-  { cron: "0 */8 * * *" }, //Every 8 hours
+  { cron: "*/10 * * * *" }, //Every 10 minutes
   async ({ step }) => {
-    const now = new Date();
-    const in8Hours = new Date(now.getTime() + 8 * 60 * 60 * 1000);
-    const windowStart = new Date(in8Hours.getTime() - 10 * 60 * 1000);
-
-    //Prepare reminder tasks
-
-    const reminderTasks = await step.run("prepare-reminder-tasks", async () => {
-      const shows = await Show.find({
-        showTime: { $gte: windowStart, $lte: in8Hours },
-      }).populate("movie");
+    const results = await step.run("send-due-reminders", async () => {
+      const counts = { sent: 0, skipped: 0, failed: 0 };
+
+      let reminder;
+      while ((reminder = await claimDueReminder())) {
+        const booking = await Booking.findById(reminder.booking)
+          .populate({ path: "show", populate: { path: "movie" } })
+          .populate("user");
+
+        //Only paid bookings for shows that haven't started get reminded
+        if (
+          !booking?.user ||
+          booking.status !== "paid" ||
+          booking.show.showDateTime <= new Date()
+        ) {
+          await Reminder.updateOne(
+            { _id: reminder._id },
+            { status: "skipped" }
+          );
+          counts.skipped++;
+          continue;
+        }
 
-      const tasks = [];
+        const { show } = booking;
+        try {
+          const response = await notifyUser(booking.user, {
+            template: "showReminder",
+            category: "reminders",
+            data: {
+              movieTitle: show.movie.title,
+              showDateTime: show.showDateTime,
+              timeZone: show.timeZone,
+              seats: booking.bookedSeats,
+              hoursBefore: reminder.offsetHours,
+            },
+          });
+          //a null response means the user switched reminders off
+          await Reminder.updateOne(
+            { _id: reminder._id },
+            response
+              ? { status: "sent", sentAt: new Date() }
+              : { status: "skipped" }
+          );
+          counts[response ? "sent" : "skipped"]++;
+        } catch (error) {
+          await Reminder.updateOne(
+            { _id: reminder._id },
+            { status: "failed", error: error.message }
+          );
+          counts.failed++;
+        }
+      }
+      return counts;
+    });
 
-      for (const show of shows) {
-        if (!show.movie || !show.occupiedSeats) continue;
+    return {
+      ...results,
+      message: `Sent ${results.sent} reminder(s), ${results.skipped} skipped, ${results.failed} failed.`,
+    };
+  }
+);
 
-        const userIds = [...new Set(Object.values(show.occupiedSeats))];
-        if (userIds.length === 0) continue;
+//Inngest function to tell users about a new show. Each recipient is a step
+//of its own, so a retry doesn't mail the ones already told.
+const sendNewShowNotification = inngest.createFunction(
+  { id: "send-new-show-notification" },
+  { event: "app/show.added" },
+  async ({ event, step }) => {
+    const { movieTitle, movieId } = event.data;
 
-        const users = await User.find({ _id: { $in: userIds } }).select(
-          "name email"
-        );
+    const userIds = await step.run("find-users", async () => {
+      const users = await User.find({}, "_id");
+      return users.map((user) => user._id);
+    });
 
-        for (const user of users) {
-          tasks.push({
-            userEmail: user.email,
-            userName: user.name,
-            movieTitle: show.movie.title,
-            showTime: show.showTime,
+    let sent = 0;
+    for (const userId of userIds) {
+      const notified = await step.run(`notify-${userId}`, async () => {
+        const user = await User.findById(userId);
+        if (!user) return false;
+        const preferences =
+          (await NotificationPreference.findById(userId)) ??
+          new NotificationPreference({ _id: userId });
+        if (!preferences.newShows) return false;
+
+        try {
+          //favorites are kept in the user's clerk metadata
+          if (preferences.favoritesOnly) {
+            const clerkUser = await clerkClient.users.getUser(userId);
+            const favorites = clerkUser.privateMetadata.favorites || [];
+            if (!favorites.includes(movieId)) return false;
+          }
+
+          await notifyUser(user, {
+            template: "newShow",
+            category: "newShows",
+            data: {
+              movieTitle,
+              movieUrl: `${process.env.CLIENT_URL}/movies/${movieId}`,
+            },
+            preferences,
           });
+          return true;
+        } catch (error) {
+          console.error(`New show notice for ${userId} failed:`, error);
+          return false;
         }
-      }
-      return tasks;
-    });
-
-    if (reminderTasks.length === 0) {
-      return { sent: 0, message: "No reminders to send." };
+      });
+      if (notified) sent++;
     }
+    return { sent, message: "Notification sent." };
+  }
+);
 
-    //send reminder emails
-
-    const results = await step.run("send-all-reminders", async () => {
-      return await Promise.allSettled(
-        reminderTasks.map((task) =>
-          sendEmail({
-            to: task.userEmail,
-            subject: `Reminder: Your movie "${task.movieTitle}" starts soon!`,
-
-            body: `<div style="font-family: Arial, sans-serif; padding: 20px;">
-  <h2>Hello \${task.userName},</h2>
-  <p>This is a quick reminder that your movie:</p>
-  <h3 style="color: #F84565;">"${task.movieTitle}"</h3>
-  <p>
-    is scheduled for <strong>${new Date(task.showTime).toLocaleDateString(
-      "en-US",
-      { timeZone: "Asia/Kolkata" }
-    )}</strong> at
-    <strong> ${new Date(task.showTime).toLocaleTimeString("en-US", {
-      timeZone: "Asia/Kolkata",
-    })}</strong>.
-  </p>
-  <p>It starts in approximately <strong>8 hours</strong> - make sure you're ready!</p>
-  <br/>
-  <p>Enjoy the show!<br/>-   Team - Get your Popcorn</p>
-</div>`,
-          })
-        )
+//Inngest function to refund the bookings of a cancelled show and offer
+//their holders another show of the movie
+const handleShowCancellation = inngest.createFunction(
+  { id: "handle-show-cancellation" },
+  { event: "app/show.cancelled" },
+  async ({ event, step }) => {
+    const { showId } = event.data;
+    const bookingIds = await step.run("find-bookings", async () => {
+      const bookings = await Booking.find(
+        { show: showId, status: { $in: ["pending", "paid"] } },
+        "_id"
       );
+      return bookings.map((booking) => booking._id.toString());
     });
-    const sent = results.filter((r) => r.status === "fulfilled").length;
-    const failed = results.length - sent;
 
-    return {
-      sent,
-      failed,
-      message: `Send ${sent} reminder(s), ${failed} failed.`,
-    };
+    let refunded = 0;
+    for (const bookingId of bookingIds) {
+      const cancelled = await step.run(`cancel-${bookingId}`, async () => {
+        const booking = await cancelBookingForShow(bookingId);
+        if (!booking) return false;
+
+        await booking.populate([
+          { path: "show", populate: { path: "movie", model: "Movie" } },
+          { path: "user" },
+        ]);
+        const { show } = booking;
+        //the refund is done, a failed message mustn't repeat it
+        await notifyUser(booking.user, {
+          template: "showCancelled",
+          data: {
+            movieTitle: show.movie.title,
+            showDateTime: show.showDateTime,
+            timeZone: show.timeZone,
+            seats: booking.bookedSeats,
+            bookingId,
+            refundAmount: booking.refundAmount,
+            refundPending: booking.flaggedForReview,
+            reason: show.cancellationReason,
+            rebookUrl: `${process.env.CLIENT_URL}/movies/${show.movie._id}`,
+          },
+        }).catch((error) =>
+          console.error(`Cancellation notice for ${bookingId} failed:`, error)
+        );
+        return true;
+      });
+      if (cancelled) refunded++;
+    }
+    return { refunded, message: `Refunded ${refunded} booking(s).` };
   }
 );
 
-const sendNewShowNotification = inngest.createFunction(
-  { id: "send-new-show-notification" },
-  { event: "app/show.added" },
+//Inngest function to tell ticket holders a show moved and move its reminders
+const handleShowReschedule = inngest.createFunction(
+  { id: "handle-show-reschedule" },
+  { event: "app/show.rescheduled" },
   async ({ event }) => {
-    const { movieTitle } = event.data;
-
-    const users = await User.find({});
-
-    for (const user of users) {
-      const userEmail = user.email;
-      const userName = user.name;
-
-      const subject = `🎬 New Show Added: ${movieTitle}`;
-      const body = `<div style="font-family: Arial, sans-serif; padding: 20px">
-        <h2>Hi ${userName}, </h2>
-        <p>We've just added a new show to our library:</p>
-        <h3 style="color: #F84565;">"${movieTitle}"</h3>
-        <p>Visit our website</p>
-        <br/>
-        <p>Thanks, <br/>Team Get your Popcorn</p>
-        </div>`;
-      await sendEmail({
-        to: userEmail,
-        subject,
-        body,
+    const { showId, previousDateTime } = event.data;
+    const show = await Show.findById(showId).populate("movie");
+    await rescheduleShowReminders(show);
+
+    const bookings = await Booking.find({
+      show: showId,
+      status: "paid",
+    }).populate("user");
+    let sent = 0;
+    for (const booking of bookings) {
+      await notifyUser(booking.user, {
+        template: "showRescheduled",
+        data: {
+          movieTitle: show.movie.title,
+          previousDateTime,
+          showDateTime: show.showDateTime,
+          timeZone: show.timeZone,
+          seats: booking.bookedSeats,
+          bookingId: booking._id.toString(),
+          manageUrl: `${process.env.CLIENT_URL}/my-bookings`,
+        },
       });
+      sent++;
     }
-    return { message: "Notification sent." };
+    return { sent, message: "Notification sent." };
   }
 );
 
@@ -313,8 +507,14 @@ export const functions = [
   syncUserCreation,
   syncUserDeletion,
   syncUserUpdation,
-  releaseSeatsAndDeleteBooking,
+  releaseSeatsAndExpireBooking,
+  offerWaitlistSeats,
+  handleWaitlistOffer,
   sendBookingConfirmationEmail,
-  sendShowReminder,
+  sendCancellationEmail,
+  scheduleShowReminders,
+  sendShowReminders,
   sendNewShowNotification,
+  handleShowCancellation,
+  handleShowReschedule,
 ];
@@ -1,18 +1,76 @@
 import { clerkClient } from "@clerk/express";
+import roles, { LEGACY_ADMIN_ROLE } from "../configs/roles.js";
 
-export const protectAdmin = async (req,res, next) =>{
-    try {
-        const {userId} = req.auth();
+//Roles fetched from Clerk are reused for this long. A role change made in
+//Clerk clears the user's entry (see forgetAdminAccess); the expiry bounds how
+//long other server instances keep the old role.
+const ROLE_CACHE_MS = 60 * 1000;
+const ROLE_CACHE_SIZE = 1000;
+const roleCache = new Map();
 
-        const user = await clerkClient.users.getUser(userId)
+//{ userId, role, permissions, theaters } for staff, or null for everyone
+//else. `theaters` is null when the role isn't limited to some venues.
+const toAdminAccess = (userId, metadata = {}) => {
+  const role =
+    metadata.role === LEGACY_ADMIN_ROLE ? "super-admin" : metadata.role;
+  const config = roles[role];
+  if (!config) return null;
 
-        if(user.privateMetadata.role !== 'admin'){
-            return res.json({success: false, message: "not authorized"});
-        }
-        
-        next();
-    } catch (error) {
-        return res.json({success: false, message: "not authorized"});
+  return {
+    userId,
+    role,
+    permissions: config.permissions,
+    theaters: config.venueScoped ? (metadata.theaters || []).map(String) : null,
+  };
+};
+
+//The signed-in user's admin access, read from their private metadata in
+//Clerk, which only the backend and the Clerk dashboard can change
+export const getAdminAccess = async (req) => {
+  const { userId } = req.auth();
+  if (!userId) return null;
+
+  const cached = roleCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.access;
+
+  const user = await clerkClient.users.getUser(userId);
+  const access = toAdminAccess(userId, user.privateMetadata);
+  roleCache.delete(userId);
+  if (roleCache.size >= ROLE_CACHE_SIZE) {
+    roleCache.delete(roleCache.keys().next().value);
+  }
+  roleCache.set(userId, { access, expiresAt: Date.now() + ROLE_CACHE_MS });
+  return access;
+};
 
+//Drops a user's cached access so a changed or revoked role applies on their
+//next request
+export const forgetAdminAccess = (userId) => {
+  roleCache.delete(userId);
+};
+
+//Lets staff holding any of the given permissions through, with their access
+//on req.admin. Without permissions any admin role will do.
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const access = await getAdminAccess(req);
+      if (
+        !access ||
+        (permissions.length > 0 &&
+          !permissions.some((permission) =>
+            access.permissions.includes(permission)
+          ))
+      ) {
+        return res.json({ success: false, message: "not authorized" });
+      }
+
+      req.admin = access;
+      next();
+    } catch (error) {
+      return res.json({ success: false, message: "not authorized" });
     }
-}
\ No newline at end of file
+  };
+
+export const protectAdmin = requirePermission();
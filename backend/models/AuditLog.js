@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+//One entry per administrative change. Entries are only ever added: the
+//update and delete queries below refuse to run.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: { type: String, required: true, ref: "User" },
+      name: { type: String },
+      email: { type: String },
+      role: { type: String },
+    },
+    action: { type: String, required: true }, //like "show.reschedule"
+    target: {
+      type: { type: String, required: true }, //show, series, theater...
+      id: { type: String },
+      label: { type: String }, //readable name at the time of the change
+    },
+    //the fields that changed, before and after
+    before: { type: Object },
+    after: { type: Object },
+    details: { type: Object }, //anything else worth knowing, like a reason
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+const refuseChange = () => {
+  throw new Error("Audit log entries can't be changed or deleted.");
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  refuseChange
+);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) refuseChange();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -1,17 +1,73 @@
 import mongoose from "mongoose";
 
+//Allowed booking state changes. Each state also gets a `${status}At`
+//timestamp when the booking enters it.
+export const BOOKING_TRANSITIONS = {
+  pending: ["paid", "expired", "cancelled"],
+  paid: ["cancelled", "refunded"],
+  expired: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
 const bookingSchema = new mongoose.Schema(
   {
     user: { type: String, required: true, ref: "User" },
     show: { type: String, required: true, ref: "Show" },
     amount: { type: Number, required: true },
+    subtotal: { type: Number }, //amount before the coupon discount
+    discount: { type: Number, default: 0 },
+    coupon: { type: String }, //coupon code applied to this booking
     bookedSeats: { type: Array, required: true },
-    isPaid: { type: Boolean, default: false },
+    lineItems: { type: Array, default: [] },
+    status: {
+      type: String,
+      enum: Object.keys(BOOKING_TRANSITIONS),
+      default: "pending",
+    },
+    paidAt: { type: Date },
+    expiredAt: { type: Date },
+    cancelledAt: { type: Date },
+    refundedAt: { type: Date },
     paymentLink: { type: String },
+    stripeSessionId: { type: String },
+    paymentIntentId: { type: String, index: true },
+    lastPaymentError: { type: String },
+    refundId: { type: String },
+    cancellationFee: { type: Number },
+    refundAmount: { type: Number },
+    //set when the show is rescheduled: the customer may cancel without a fee
+    freeCancellation: { type: Boolean, default: false },
+    //the time the customer booked for, when the show moved during checkout
+    rescheduledFrom: { type: Date },
+    checkIns: { type: Object }, //seat ID -> time the seat was checked in
+    flaggedForReview: { type: Boolean, default: false },
+    flagReason: { type: String },
   },
   { timestamps: true }
 );
 
+//Atomically move a booking to a new status. Resolves to the updated booking,
+//or null when the booking isn't in a state that allows the transition.
+bookingSchema.statics.transitionStatus = function (
+  bookingId,
+  status,
+  update = {}
+) {
+  const allowedFrom = Object.keys(BOOKING_TRANSITIONS).filter((from) =>
+    BOOKING_TRANSITIONS[from].includes(status)
+  );
+
+  return this.findOneAndUpdate(
+    { _id: bookingId, status: { $in: allowedFrom } },
+    { ...update, status, [`${status}At`]: new Date() },
+    { new: true }
+  );
+};
+
+//sales reports and dashboard analytics filter paid bookings by date
+bookingSchema.index({ status: 1, createdAt: 1 });
+
 const Booking = mongoose.model("Booking", bookingSchema);
 
 export default Booking;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    discountValue: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number }, //cap for percentage coupons
+    minSeats: { type: Number, default: 1 },
+    validFrom: { type: Date, required: true },
+    validUntil: { type: Date, required: true },
+    usageLimit: { type: Number }, //total redemptions, unlimited when empty
+    perUserLimit: { type: Number }, //redemptions per user, unlimited when empty
+    usedCount: { type: Number, default: 0 },
+    userRedemptions: { type: Object, default: {} }, //user ID -> uses
+    movies: { type: [String], default: [] }, //restrict to these movie IDs
+    shows: { type: [String], default: [] }, //restrict to these show IDs
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
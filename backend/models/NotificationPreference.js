@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import reminderConfig from "../configs/reminders.js";
+import { DEFAULT_LOCALE, EMAIL_LOCALES } from "../emails/templates.js";
+import { CHANNELS } from "../channels/index.js";
+
+//A browser's Web Push subscription (PushSubscription.toJSON())
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+  },
+  { _id: false }
+);
+
+//Which optional notifications a user receives. Booking confirmations,
+//tickets and cancellations are always sent.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, //user ID
+    newShows: { type: Boolean, default: true },
+    favoritesOnly: { type: Boolean, default: false }, //new shows of favorites
+    reminders: { type: Boolean, default: true },
+    reminderOffsets: {
+      type: [Number],
+      default: () => reminderConfig.defaultOffsets,
+    },
+    promotions: { type: Boolean, default: true },
+    locale: { type: String, enum: EMAIL_LOCALES, default: DEFAULT_LOCALE }, //email language
+    //where tickets and reminders are sent
+    channels: {
+      type: [{ type: String, enum: CHANNELS }],
+      default: () => ["email"],
+    },
+    phone: { type: String }, //E.164, for SMS and WhatsApp
+    pushSubscriptions: { type: [pushSubscriptionSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+const NotificationPreference = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema
+);
+
+export default NotificationPreference;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+//One reminder email for a booking, sent offsetHours before the show
+const reminderSchema = new mongoose.Schema(
+  {
+    booking: { type: String, required: true, ref: "Booking" },
+    user: { type: String, required: true, ref: "User" },
+    offsetHours: { type: Number, required: true },
+    sendAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "skipped", "failed"],
+      default: "scheduled",
+    },
+    claimedAt: { type: Date }, //when a run started sending it
+    sentAt: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+//a booking gets at most one reminder per offset
+reminderSchema.index({ booking: 1, offsetHours: 1 }, { unique: true });
+reminderSchema.index({ status: 1, sendAt: 1 });
+
+const Reminder = mongoose.model("Reminder", reminderSchema);
+
+export default Reminder;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+import { defaultSeatLayout } from "../utils/seatMap.js";
+
+const screenSchema = new mongoose.Schema(
+  {
+    theater: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Theater",
+    },
+    name: { type: String, required: true },
+    seatLayout: { type: Object, default: defaultSeatLayout },
+  },
+  { timestamps: true }
+);
+
+const Screen = mongoose.model("Screen", screenSchema);
+
+export default Screen;
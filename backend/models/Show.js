@@ -1,11 +1,25 @@
 import mongoose from "mongoose";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
 
 const showSchema = new mongoose.Schema(
   {
     movie: { type: String, required: true, ref: "Movie" },
+    screen: { type: mongoose.Schema.Types.ObjectId, ref: "Screen" },
     showDateTime: { type: Date, required: true },
+    timeZone: { type: String, default: DEFAULT_TIME_ZONE }, //venue's zone when scheduled
     showPrice: { type: Number, required: true },
+    categoryPrices: { type: Object, default: {} },
     occupiedSeats: { type: Object, default: {} },
+    seatLayout: { type: Object },
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "ShowSeries" },
+    //cancelled shows stay so their bookings keep pointing somewhere
+    status: {
+      type: String,
+      enum: ["scheduled", "cancelled"],
+      default: "scheduled",
+    },
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
   },
   { minimize: false }
 );
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+//A recurring schedule. Its shows are created up front from the rule (see
+//utils/recurrence.js) and point back here through Show.series.
+const showSeriesSchema = new mongoose.Schema(
+  {
+    movie: { type: String, required: true, ref: "Movie" },
+    screen: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Screen",
+    },
+    timeZone: { type: String, required: true },
+    startDate: { type: String, required: true }, //YYYY-MM-DD, venue's clock
+    endDate: { type: String, required: true },
+    times: { type: [String], required: true }, //HH:mm
+    daysOfWeek: { type: [Number], required: true }, //0 = Sunday
+    showPrice: { type: Number, required: true },
+    categoryPrices: { type: Object, default: {} },
+    //shows moved off their slot: the slot isn't scheduled again and the
+    //show keeps its own time and prices when the series is edited
+    exceptions: {
+      type: [
+        {
+          _id: false,
+          showDateTime: { type: Date, required: true }, //the original slot
+          show: { type: mongoose.Schema.Types.ObjectId, ref: "Show" },
+        },
+      ],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+const ShowSeries = mongoose.model("ShowSeries", showSeriesSchema);
+
+export default ShowSeries;
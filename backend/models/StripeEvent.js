@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+//Ledger of processed Stripe webhook events, keyed by the Stripe event ID so a
+//redelivered event is recognised and skipped
+const stripeEventSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    type: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+const StripeEvent = mongoose.model("StripeEvent", stripeEventSchema);
+
+export default StripeEvent;
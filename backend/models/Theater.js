@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZones.js";
+
+const theaterSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    address: { type: String, required: true },
+    city: { type: String, required: true },
+    timeZone: { type: String, required: true, default: DEFAULT_TIME_ZONE }, //IANA zone
+  },
+  { timestamps: true }
+);
+
+const Theater = mongoose.model("Theater", theaterSchema);
+
+export default Theater;
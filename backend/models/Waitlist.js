@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    user: { type: String, required: true, ref: "User" },
+    show: { type: String, required: true, ref: "Show" },
+    seats: { type: Number, required: true }, //how many seats the user wants
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offeredSeats: { type: [String], default: [] },
+    offeredAt: { type: Date },
+    offerExpiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+waitlistSchema.index({ show: 1, status: 1, createdAt: 1 });
+
+const Waitlist = mongoose.model("Waitlist", waitlistSchema);
+
+export default Waitlist;
@@ -1,12 +1,68 @@
 import express from "express";
-import { protectAdmin } from "../middleware/auth.js";
-import { getAllBookings, getAllShows, getDashboardData, isAdmin } from "../controllers/adminController.js";
+import { protectAdmin, requirePermission } from "../middleware/auth.js";
+import { getAllBookings, getAllShows, getDashboardData, getShowMovies, isAdmin } from "../controllers/adminController.js";
+import {
+  addScreen,
+  addTheater,
+  deleteScreen,
+  deleteTheater,
+  getScreen,
+  getTheaters,
+  updateScreen,
+  updateSeatLayout,
+  updateTheater,
+} from "../controllers/theaterController.js";
+import {
+  addCoupon,
+  getCoupons,
+  updateCoupon,
+} from "../controllers/couponController.js";
+import { checkInTicket } from "../controllers/ticketController.js";
+import { getAnalytics } from "../controllers/analyticsController.js";
+import {
+  exportBookings,
+  exportShowSales,
+} from "../controllers/reportController.js";
+import {
+  getEmailTemplates,
+  previewEmailTemplate,
+} from "../controllers/emailTemplateController.js";
+import {
+  exportAuditLog,
+  getAuditLog,
+} from "../controllers/auditLogController.js";
 
 const adminRouter = express.Router();
 
 adminRouter.get("/is-admin", protectAdmin, isAdmin)
-adminRouter.get("/dashboard", protectAdmin, getDashboardData)
-adminRouter.get("/all-shows", protectAdmin, getAllShows)
-adminRouter.get("/all-bookings", protectAdmin, getAllBookings)
+adminRouter.get("/dashboard", requirePermission("dashboard:view"), getDashboardData)
+adminRouter.get("/analytics", requirePermission("dashboard:view"), getAnalytics)
+adminRouter.get("/all-shows", requirePermission("shows:view"), getAllShows)
+adminRouter.get("/all-bookings", requirePermission("bookings:view"), getAllBookings)
+adminRouter.get("/movies", requirePermission("shows:view", "bookings:view"), getShowMovies)
+adminRouter.get("/export/bookings", requirePermission("reports:export"), exportBookings)
+adminRouter.get("/export/show-sales", requirePermission("reports:export"), exportShowSales)
 
-export default adminRouter;
\ No newline at end of file
+adminRouter.get("/all-theaters", requirePermission("theaters:manage", "shows:manage"), getTheaters)
+adminRouter.post("/add-theater", requirePermission("theaters:admin"), addTheater)
+adminRouter.put("/theater/:theaterId", requirePermission("theaters:manage"), updateTheater)
+adminRouter.delete("/theater/:theaterId", requirePermission("theaters:admin"), deleteTheater)
+adminRouter.post("/add-screen", requirePermission("theaters:manage"), addScreen)
+adminRouter.get("/screen/:screenId", requirePermission("theaters:manage", "shows:manage"), getScreen)
+adminRouter.put("/screen/:screenId", requirePermission("theaters:manage"), updateScreen)
+adminRouter.put("/screen/:screenId/layout", requirePermission("theaters:manage"), updateSeatLayout)
+adminRouter.delete("/screen/:screenId", requirePermission("theaters:manage"), deleteScreen)
+
+adminRouter.get("/all-coupons", requirePermission("coupons:view", "coupons:manage"), getCoupons)
+adminRouter.post("/add-coupon", requirePermission("coupons:manage"), addCoupon)
+adminRouter.put("/coupon/:couponId", requirePermission("coupons:manage"), updateCoupon)
+
+adminRouter.post("/check-in", requirePermission("tickets:check-in"), checkInTicket)
+
+adminRouter.get("/email-templates", requirePermission("emails:view"), getEmailTemplates)
+adminRouter.get("/email-templates/:name/preview", requirePermission("emails:view"), previewEmailTemplate)
+
+adminRouter.get("/audit-log", requirePermission("audit:view"), getAuditLog)
+adminRouter.get("/export/audit-log", requirePermission("audit:view"), exportAuditLog)
+
+export default adminRouter;
@@ -1,12 +1,24 @@
 import express from "express";
 import {
+  applyCoupon,
+  cancelBooking,
   createBooking,
+  getCancellationPolicy,
   getOccupiedSeats,
 } from "../controllers/bookingController.js";
+import {
+  joinWaitlist,
+  leaveWaitlist,
+} from "../controllers/waitlistController.js";
 
 const bookingRouter = express.Router();
 
 bookingRouter.post("/create", createBooking);
 bookingRouter.get("/seats/:showId", getOccupiedSeats);
+bookingRouter.post("/apply-coupon", applyCoupon);
+bookingRouter.get("/cancellation-policy", getCancellationPolicy);
+bookingRouter.post("/cancel/:bookingId", cancelBooking);
+bookingRouter.post("/waitlist", joinWaitlist);
+bookingRouter.post("/waitlist/:waitlistId/leave", leaveWaitlist);
 
 export default bookingRouter;
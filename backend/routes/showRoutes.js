@@ -1,16 +1,75 @@
 import express from "express";
 import {
   addShow,
+  cancelShow,
+  checkShowConflicts,
+  exportShows,
   getNowPlayingMovies,
   getShow,
   getShows,
+  importShows,
+  rescheduleShow,
+  updateShowPrice,
 } from "../controllers/showController.js";
-import { protectAdmin } from "../middleware/auth.js";
+import {
+  cancelSeries,
+  getSeries,
+  previewSeries,
+  updateSeries,
+} from "../controllers/showSeriesController.js";
+import { requirePermission } from "../middleware/auth.js";
 
 const showRouter = express.Router();
 
-showRouter.get("/now-playing", protectAdmin, getNowPlayingMovies);
-showRouter.post("/add", protectAdmin, addShow);
+showRouter.get(
+  "/now-playing",
+  requirePermission("shows:manage"),
+  getNowPlayingMovies
+);
+showRouter.post("/add", requirePermission("shows:manage"), addShow);
+showRouter.post(
+  "/check-conflicts",
+  requirePermission("shows:manage"),
+  checkShowConflicts
+);
+showRouter.post(
+  "/import",
+  requirePermission("shows:manage"),
+  express.text({ type: "text/csv", limit: "2mb" }),
+  importShows
+);
+showRouter.get("/export", requirePermission("shows:view"), exportShows);
+showRouter.post(
+  "/series/preview",
+  requirePermission("shows:manage"),
+  previewSeries
+);
+showRouter.get("/series", requirePermission("shows:view"), getSeries);
+showRouter.put(
+  "/series/:seriesId",
+  requirePermission("shows:manage"),
+  updateSeries
+);
+showRouter.post(
+  "/series/:seriesId/cancel",
+  requirePermission("shows:manage"),
+  cancelSeries
+);
+showRouter.put(
+  "/:showId/price",
+  requirePermission("shows:manage"),
+  updateShowPrice
+);
+showRouter.put(
+  "/:showId/reschedule",
+  requirePermission("shows:manage"),
+  rescheduleShow
+);
+showRouter.post(
+  "/:showId/cancel",
+  requirePermission("shows:manage"),
+  cancelShow
+);
 showRouter.get("/all", getShows);
 showRouter.get("/:movieId", getShow);
 
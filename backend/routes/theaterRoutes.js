@@ -0,0 +1,9 @@
+import express from "express";
+import { getTheater, getTheaters } from "../controllers/theaterController.js";
+
+const theaterRouter = express.Router();
+
+theaterRouter.get("/all", getTheaters);
+theaterRouter.get("/:theaterId", getTheater);
+
+export default theaterRouter;
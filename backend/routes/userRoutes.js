@@ -1,14 +1,32 @@
 import express from "express";
 import {
+  addPushSubscription,
   getFavorites,
+  getPreferences,
   getUserBookings,
+  unsubscribeEmails,
   updateFavorite,
+  updatePreferences,
 } from "../controllers/userController.js";
+import {
+  downloadCalendarEvent,
+  downloadTicketPdf,
+  getTicket,
+} from "../controllers/ticketController.js";
+import { getUserWaitlist } from "../controllers/waitlistController.js";
 
 const userRouter = express.Router();
 
 userRouter.get("/bookings", getUserBookings);
 userRouter.post("/update-favorite", updateFavorite);
 userRouter.get("/favorites", getFavorites);
+userRouter.get("/ticket/:bookingId", getTicket);
+userRouter.get("/ticket/:bookingId/pdf", downloadTicketPdf);
+userRouter.get("/ticket/:bookingId/ics", downloadCalendarEvent);
+userRouter.get("/waitlist", getUserWaitlist);
+userRouter.get("/preferences", getPreferences);
+userRouter.put("/preferences", updatePreferences);
+userRouter.post("/push-subscription", addPushSubscription);
+userRouter.post("/unsubscribe", unsubscribeEmails);
 
 export default userRouter;
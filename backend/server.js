@@ -9,10 +9,14 @@ import showRouter from "./routes/showRoutes.js";
 import bookingRouter from "./routes/bookingsRoutes.js";
 import adminRouter from "./routes/adminRoutes.js";
 import userRouter from "./routes/userRoutes.js";
+import theaterRouter from "./routes/theaterRoutes.js";
 import { stripeWebhooks } from "./controllers/stripeWebhooks.js";
 
 const app = express();
 const port = 3000;
+//Vercel's proxy passes the client's address in X-Forwarded-For, which
+//req.ip reads for the audit log
+app.set("trust proxy", 1);
 
 await connectDB();
 
@@ -35,6 +39,7 @@ app.use("/api/show", showRouter);
 app.use("/api/booking", bookingRouter);
 app.use("/api/admin", adminRouter);
 app.use("/api/user", userRouter);
+app.use("/api/theater", theaterRouter);
 
 app.listen(port, () =>
   console.log(`Server Listening at http://localhost:${port}`)
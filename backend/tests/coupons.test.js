@@ -0,0 +1,138 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Booking from "../models/Bookings.js";
+import Coupon from "../models/Coupon.js";
+import {
+  redeemCoupon,
+  releaseCoupon,
+  validateCoupon,
+} from "../utils/coupons.js";
+import { useMemoryCollection } from "./helpers/memoryCollection.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const useCoupon = (t, fields = {}) => {
+  useMemoryCollection(t, Booking);
+  const [coupon] = useMemoryCollection(t, Coupon, [
+    {
+      _id: "coupon-1",
+      code: "SAVE50",
+      discountType: "flat",
+      discountValue: 50,
+      minSeats: 1,
+      validFrom: new Date(Date.now() - DAY),
+      validUntil: new Date(Date.now() + DAY),
+      movies: [],
+      shows: [],
+      isActive: true,
+      usageLimit: null,
+      perUserLimit: null,
+      usedCount: 0,
+      userRedemptions: {},
+      ...fields,
+    },
+  ]);
+  return coupon;
+};
+
+const validate = (userId = "user-1") =>
+  validateCoupon({
+    code: "save50",
+    userId,
+    show: { _id: "show-1", movie: "movie-1" },
+    seats: ["A1"],
+    subtotal: 200,
+  });
+
+describe("redeemCoupon", () => {
+  test("counts uses until the usage limit", async (t) => {
+    const coupon = useCoupon(t, { usageLimit: 2 });
+
+    assert.equal(await redeemCoupon(coupon, "user-1"), true);
+    assert.equal(await redeemCoupon(coupon, "user-2"), true);
+    assert.equal(await redeemCoupon(coupon, "user-3"), false);
+    assert.equal(coupon.usedCount, 2);
+  });
+
+  test("lets only one of two concurrent checkouts take the last use", async (t) => {
+    const coupon = useCoupon(t, { usageLimit: 1 });
+
+    const results = await Promise.all([
+      redeemCoupon(coupon, "user-1"),
+      redeemCoupon(coupon, "user-2"),
+    ]);
+
+    assert.deepEqual(results, [true, false]);
+    assert.equal(coupon.usedCount, 1);
+  });
+
+  test("limits each user separately", async (t) => {
+    const coupon = useCoupon(t, { perUserLimit: 1 });
+
+    const results = await Promise.all([
+      redeemCoupon(coupon, "user-1"),
+      redeemCoupon(coupon, "user-1"),
+      redeemCoupon(coupon, "user-2"),
+    ]);
+
+    assert.deepEqual(results, [true, false, true]);
+    assert.deepEqual(coupon.userRedemptions, { "user-1": 1, "user-2": 1 });
+  });
+
+  test("has no limit when the usage limit is empty", async (t) => {
+    const coupon = useCoupon(t, { usedCount: 1000 });
+
+    assert.equal(await redeemCoupon(coupon, "user-1"), true);
+  });
+});
+
+describe("releaseCoupon", () => {
+  test("gives back the use and the user's use", async (t) => {
+    const coupon = useCoupon(t, { usageLimit: 1, perUserLimit: 1 });
+    await redeemCoupon(coupon, "user-1");
+
+    await releaseCoupon({ coupon: "SAVE50", user: "user-1" });
+
+    assert.equal(coupon.usedCount, 0);
+    assert.deepEqual(coupon.userRedemptions, { "user-1": 0 });
+    assert.equal(await redeemCoupon(coupon, "user-1"), true);
+  });
+
+  test("doesn't count below zero", async (t) => {
+    const coupon = useCoupon(t);
+
+    await releaseCoupon({ coupon: "SAVE50", user: "user-1" });
+
+    assert.equal(coupon.usedCount, 0);
+  });
+});
+
+describe("validateCoupon", () => {
+  test("discounts a booking", async (t) => {
+    useCoupon(t);
+
+    const { error, discount } = await validate();
+
+    assert.equal(error, undefined);
+    assert.equal(discount, 50);
+  });
+
+  test("refuses a fully redeemed coupon, as redemption would", async (t) => {
+    for (const usageLimit of [0, 3]) {
+      const coupon = useCoupon(t, { usageLimit, usedCount: usageLimit });
+
+      const { error } = await validate();
+
+      assert.equal(error, "This coupon has been fully redeemed.");
+      assert.equal(await redeemCoupon(coupon, "user-1"), false);
+    }
+  });
+
+  test("refuses a discount below the minimum charge", async (t) => {
+    useCoupon(t, { discountValue: 199.8 });
+
+    const { error } = await validate();
+
+    assert.match(error, /below ₹0.50/);
+  });
+});
@@ -0,0 +1,178 @@
+//An in-memory stand-in for a model's MongoDB collection, so the tests run
+//without a database. Each call matches and updates in one synchronous step,
+//which keeps single-document updates atomic the way MongoDB does: of two
+//concurrent conditional updates only the first can match.
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join("."));
+  if (keys.length === 0) delete doc[last];
+  else if (parent) delete parent[last];
+};
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !(value instanceof Date) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+//null matches a missing field, as it does in MongoDB
+const equals = (value, expected) => {
+  if (expected === null || expected === undefined) return value == null;
+  if (value == null) return false;
+  return String(value) === String(expected);
+};
+
+const compare = (value, expected, test) =>
+  value != null && expected != null && test(value, expected);
+
+const FIELD_OPERATORS = {
+  $in: (value, list) => list.some((expected) => equals(value, expected)),
+  $ne: (value, expected) => !equals(value, expected),
+  $exists: (value, exists) => (value !== undefined) === Boolean(exists),
+  $gt: (value, expected) => compare(value, expected, (a, b) => a > b),
+  $gte: (value, expected) => compare(value, expected, (a, b) => a >= b),
+  $lt: (value, expected) => compare(value, expected, (a, b) => a < b),
+  $lte: (value, expected) => compare(value, expected, (a, b) => a <= b),
+  $not: (value, condition) => !matchesValue(value, condition),
+};
+
+const matchesValue = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([operator, argument]) => {
+    if (!FIELD_OPERATORS[operator]) {
+      throw new Error(`memoryCollection doesn't support ${operator}`);
+    }
+    return FIELD_OPERATORS[operator](value, argument);
+  });
+};
+
+//Aggregation expressions, as used in $expr
+const evaluate = (doc, expression) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (!isOperatorObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const [a, b] = args.map((arg) => evaluate(doc, arg));
+  switch (operator) {
+    case "$ifNull":
+      return a ?? b;
+    case "$eq":
+      return a === b;
+    case "$lt":
+      return a < b;
+    case "$lte":
+      return a <= b;
+    case "$gt":
+      return a > b;
+    case "$gte":
+      return a >= b;
+    default:
+      throw new Error(`memoryCollection doesn't support ${operator}`);
+  }
+};
+
+export const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$expr") return Boolean(evaluate(doc, condition));
+    return matchesValue(getPath(doc, key), condition);
+  });
+
+//Applies $set, $unset and $inc. A plain object is a $set, as in Mongoose.
+const applyUpdate = (doc, update) => {
+  const operators = isOperatorObject(update) ? update : { $set: update };
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === "$set") setPath(doc, path, value);
+      else if (operator === "$unset") unsetPath(doc, path);
+      else if (operator === "$inc") {
+        setPath(doc, path, (getPath(doc, path) ?? 0) + value);
+      } else {
+        throw new Error(`memoryCollection doesn't support ${operator}`);
+      }
+    }
+  }
+};
+
+//What a Mongoose query resolves to, with the chain methods the code uses
+const query = (value) => ({
+  lean: () => query(value),
+  populate: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  catch: (reject) => Promise.resolve(value).catch(reject),
+});
+
+const copy = (doc) => (doc ? structuredClone(doc) : null);
+
+//Replaces the model's query methods with ones over `documents` for the
+//current test. Resolves documents as plain objects. Returns the array, which
+//the test can inspect after the calls.
+export const useMemoryCollection = (t, Model, documents = []) => {
+  const findOne = (filter) => documents.find((doc) => matches(doc, filter));
+
+  const findOneAndUpdate = (filter, update, options = {}) => {
+    const doc = findOne(filter);
+    if (!doc) return query(null);
+    const before = copy(doc);
+    applyUpdate(doc, update);
+    return query(options.new ? copy(doc) : before);
+  };
+
+  const updateOne = (filter, update) => {
+    const doc = findOne(filter);
+    if (doc) applyUpdate(doc, update);
+    return query({
+      matchedCount: doc ? 1 : 0,
+      modifiedCount: doc ? 1 : 0,
+    });
+  };
+
+  const methods = {
+    findOne: (filter) => query(copy(findOne(filter))),
+    findById: (id) => query(copy(findOne({ _id: id }))),
+    find: (filter = {}) =>
+      query(documents.filter((doc) => matches(doc, filter)).map(copy)),
+    countDocuments: (filter = {}) =>
+      query(documents.filter((doc) => matches(doc, filter)).length),
+    exists: (filter) =>
+      query(findOne(filter) ? { _id: findOne(filter)._id } : null),
+    findOneAndUpdate,
+    findByIdAndUpdate: (id, update, options) =>
+      findOneAndUpdate({ _id: id }, update, options),
+    updateOne,
+    create: async (doc) => {
+      if (doc._id !== undefined && findOne({ _id: doc._id })) {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      }
+      documents.push(copy(doc));
+      return copy(doc);
+    },
+    deleteOne: (filter) => {
+      const index = documents.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) documents.splice(index, 1);
+      return query({ deletedCount: index === -1 ? 0 : 1 });
+    },
+  };
+
+  for (const [name, implementation] of Object.entries(methods)) {
+    t.mock.method(Model, name, implementation);
+  }
+  return documents;
+};
@@ -0,0 +1,66 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { expandRecurrence } from "../utils/recurrence.js";
+
+const BEFORE_ALL = new Date("2026-01-01T00:00:00Z");
+
+describe("expandRecurrence", () => {
+  test("keeps the venue's clock time across a daylight saving change", () => {
+    const occurrences = expandRecurrence(
+      {
+        startDate: "2026-03-07",
+        endDate: "2026-03-09",
+        times: ["19:00"],
+        daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+      },
+      "America/New_York",
+      BEFORE_ALL
+    );
+
+    assert.deepEqual(
+      occurrences.map(({ showDateTime }) => showDateTime.toISOString()),
+      [
+        "2026-03-08T00:00:00.000Z",
+        "2026-03-08T23:00:00.000Z",
+        "2026-03-09T23:00:00.000Z",
+      ]
+    );
+  });
+
+  test("leaves out times the clocks skip", () => {
+    const occurrences = expandRecurrence(
+      {
+        startDate: "2026-03-07",
+        endDate: "2026-03-09",
+        times: ["02:30"],
+        daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+      },
+      "America/New_York",
+      BEFORE_ALL
+    );
+
+    assert.deepEqual(
+      occurrences.map(({ date }) => date),
+      ["2026-03-07", "2026-03-09"]
+    );
+  });
+
+  test("runs only on the chosen weekdays and after `from`", () => {
+    const occurrences = expandRecurrence(
+      {
+        startDate: "2026-10-19",
+        endDate: "2026-10-25",
+        times: ["18:00"],
+        daysOfWeek: [0, 1, 3, 4, 5, 6],
+      },
+      "Asia/Kolkata",
+      new Date("2026-10-20T00:00:00Z")
+    );
+
+    //the 19th is before `from` and the 20th is a Tuesday
+    assert.deepEqual(
+      occurrences.map(({ date }) => date),
+      ["2026-10-21", "2026-10-22", "2026-10-23", "2026-10-24", "2026-10-25"]
+    );
+  });
+});
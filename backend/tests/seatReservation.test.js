@@ -0,0 +1,133 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Show from "../models/Show.js";
+import {
+  claimSeats,
+  holdSeats,
+  releaseHeldSeats,
+  unclaimSeats,
+} from "../utils/seatReservation.js";
+import { useMemoryCollection } from "./helpers/memoryCollection.js";
+
+const SHOW_ID = "show-1";
+
+const useShow = (t, occupiedSeats = {}) =>
+  useMemoryCollection(t, Show, [{ _id: SHOW_ID, occupiedSeats }])[0];
+
+describe("claimSeats", () => {
+  test("claims free seats for the user", async (t) => {
+    const show = useShow(t, { A1: "someone" });
+
+    const result = await claimSeats(SHOW_ID, ["A2", "A3"], "user-1");
+
+    assert.deepEqual(result, { claimed: true, takenSeats: [], heldSeats: [] });
+    assert.deepEqual(show.occupiedSeats, {
+      A1: "someone",
+      A2: "user-1",
+      A3: "user-1",
+    });
+  });
+
+  test("claims nothing when one of the seats is taken", async (t) => {
+    const show = useShow(t, { A2: "someone" });
+
+    const result = await claimSeats(SHOW_ID, ["A1", "A2"], "user-1");
+
+    assert.deepEqual(result, { claimed: false, takenSeats: ["A2"] });
+    assert.deepEqual(show.occupiedSeats, { A2: "someone" });
+  });
+
+  test("lets only one of two concurrent claims on a seat win", async (t) => {
+    const show = useShow(t);
+
+    const results = await Promise.all([
+      claimSeats(SHOW_ID, ["A1", "A2"], "user-1"),
+      claimSeats(SHOW_ID, ["A2", "A3"], "user-2"),
+    ]);
+
+    assert.deepEqual(
+      results.map((result) => result.claimed),
+      [true, false]
+    );
+    assert.deepEqual(results[1].takenSeats, ["A2"]);
+    assert.deepEqual(show.occupiedSeats, { A1: "user-1", A2: "user-1" });
+  });
+
+  test("claims seats held for the user and reports them", async (t) => {
+    const show = useShow(t, { A1: "hold:user-1" });
+
+    const result = await claimSeats(SHOW_ID, ["A1", "A2"], "user-1");
+
+    assert.deepEqual(result.heldSeats, ["A1"]);
+    assert.deepEqual(show.occupiedSeats, { A1: "user-1", A2: "user-1" });
+  });
+
+  test("doesn't claim seats held for another user", async (t) => {
+    useShow(t, { A1: "hold:user-2" });
+
+    const result = await claimSeats(SHOW_ID, ["A1"], "user-1");
+
+    assert.deepEqual(result, { claimed: false, takenSeats: ["A1"] });
+  });
+});
+
+describe("unclaimSeats", () => {
+  test("frees claimed seats and gives back the user's holds", async (t) => {
+    const show = useShow(t, { A1: "hold:user-1", B1: "someone" });
+    const { heldSeats } = await claimSeats(SHOW_ID, ["A1", "A2"], "user-1");
+
+    await unclaimSeats(SHOW_ID, ["A1", "A2"], "user-1", heldSeats);
+
+    assert.deepEqual(show.occupiedSeats, { A1: "hold:user-1", B1: "someone" });
+  });
+});
+
+describe("holdSeats", () => {
+  test("holds free seats for the user", async (t) => {
+    const show = useShow(t);
+
+    const result = await holdSeats(SHOW_ID, ["A1"], "user-1");
+
+    assert.equal(result.claimed, true);
+    assert.deepEqual(show.occupiedSeats, { A1: "hold:user-1" });
+  });
+
+  test("doesn't hold seats someone booked meanwhile", async (t) => {
+    const show = useShow(t, { A1: "user-2" });
+
+    const result = await holdSeats(SHOW_ID, ["A1", "A2"], "user-1");
+
+    assert.deepEqual(result, { claimed: false, takenSeats: ["A1"] });
+    assert.deepEqual(show.occupiedSeats, { A1: "user-2" });
+  });
+});
+
+describe("releaseHeldSeats", () => {
+  test("frees only the seats still held for the user", async (t) => {
+    const show = useShow(t, {
+      A1: "hold:user-1",
+      A2: "user-1",
+      A3: "hold:user-2",
+    });
+
+    const released = await releaseHeldSeats(
+      SHOW_ID,
+      ["A1", "A2", "A3"],
+      "user-1"
+    );
+
+    assert.deepEqual(released, ["A1"]);
+    assert.deepEqual(show.occupiedSeats, { A2: "user-1", A3: "hold:user-2" });
+  });
+
+  test("releases a seat once when called twice", async (t) => {
+    useShow(t, { A1: "hold:user-1" });
+
+    const results = await Promise.all([
+      releaseHeldSeats(SHOW_ID, ["A1"], "user-1"),
+      releaseHeldSeats(SHOW_ID, ["A1"], "user-1"),
+    ]);
+
+    assert.deepEqual(results, [["A1"], []]);
+  });
+});
@@ -0,0 +1,155 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STRIPE_SECRET_KEY ??= "sk_test_webhooks";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+
+const { default: stripeInstance } = await import("../configs/stripe.js");
+const { default: Booking } = await import("../models/Bookings.js");
+const { default: Coupon } = await import("../models/Coupon.js");
+const { default: Show } = await import("../models/Show.js");
+const { default: StripeEvent } = await import("../models/StripeEvent.js");
+const { inngest } = await import("../inngest/index.js");
+const { stripeWebhooks } = await import("../controllers/stripeWebhooks.js");
+const { useMemoryCollection } = await import("./helpers/memoryCollection.js");
+
+//Delivers a signed Stripe event to the webhook and resolves to the response
+const deliver = async (event, { secret = "whsec_test" } = {}) => {
+  const payload = JSON.stringify(event);
+  const request = {
+    body: Buffer.from(payload),
+    headers: {
+      "stripe-signature": stripeInstance.webhooks.generateTestHeaderString({
+        payload,
+        secret,
+      }),
+    },
+  };
+  const response = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+    send(body) {
+      this.body = body;
+    },
+  };
+  await stripeWebhooks(request, response);
+  return response;
+};
+
+const checkoutCompleted = (id) => ({
+  id,
+  type: "checkout.session.completed",
+  data: {
+    object: {
+      payment_status: "paid",
+      payment_intent: "pi_1",
+      metadata: { bookingId: "booking-1" },
+    },
+  },
+});
+
+const chargeRefunded = (id) => ({
+  id,
+  type: "charge.refunded",
+  data: {
+    object: { payment_intent: "pi_1", refunded: true, amount_refunded: 40000 },
+  },
+});
+
+describe("stripeWebhooks", () => {
+  let booking;
+  let show;
+  let events;
+  let sent;
+
+  beforeEach((t) => {
+    [booking] = useMemoryCollection(t, Booking, [
+      {
+        _id: "booking-1",
+        user: "user-1",
+        show: "show-1",
+        amount: 400,
+        bookedSeats: ["A1", "A2"],
+        status: "pending",
+      },
+    ]);
+    [show] = useMemoryCollection(t, Show, [
+      { _id: "show-1", occupiedSeats: { A1: "user-1", A2: "user-1" } },
+    ]);
+    useMemoryCollection(t, Coupon);
+    events = useMemoryCollection(t, StripeEvent);
+    sent = [];
+    t.mock.method(inngest, "send", async (event) => {
+      sent.push(event);
+    });
+  });
+
+  test("rejects an event without a valid signature", async () => {
+    const response = await deliver(checkoutCompleted("evt_1"), {
+      secret: "whsec_other",
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(booking.status, "pending");
+    assert.equal(events.length, 0);
+  });
+
+  test("handles a redelivered event once", async () => {
+    const first = await deliver(checkoutCompleted("evt_1"));
+    const second = await deliver(checkoutCompleted("evt_1"));
+
+    assert.deepEqual(first.body, { received: true });
+    assert.deepEqual(second.body, { received: true, duplicate: true });
+    assert.equal(booking.status, "paid");
+    assert.equal(booking.paymentIntentId, "pi_1");
+    assert.deepEqual(
+      sent.map((event) => event.name),
+      ["app/show.booked"]
+    );
+  });
+
+  test("processes an event again after a failed attempt", async (t) => {
+    t.mock.method(console, "error", () => {});
+    inngest.send.mock.mockImplementationOnce(async () => {
+      throw new Error("Inngest is down");
+    });
+
+    const failed = await deliver(checkoutCompleted("evt_1"));
+    assert.equal(failed.statusCode, 500);
+    assert.equal(events.length, 0);
+
+    const retried = await deliver(checkoutCompleted("evt_1"));
+    assert.deepEqual(retried.body, { received: true });
+    assert.equal(booking.status, "paid");
+    assert.deepEqual(sent, [
+      {
+        id: "show-booked-booking-1",
+        name: "app/show.booked",
+        data: { bookingId: "booking-1" },
+      },
+    ]);
+  });
+
+  test("frees the seats once for a paid booking refunded from Stripe", async () => {
+    await deliver(checkoutCompleted("evt_1"));
+
+    //Stripe can send the same change under two event IDs
+    await deliver(chargeRefunded("evt_2"));
+    show.occupiedSeats.A1 = "user-2";
+    await deliver(chargeRefunded("evt_3"));
+
+    assert.equal(booking.status, "refunded");
+    assert.equal(booking.refundAmount, 400);
+    assert.deepEqual(show.occupiedSeats, { A1: "user-2" });
+    assert.deepEqual(
+      sent.map((event) => event.name),
+      ["app/show.booked", "app/seats.released"]
+    );
+  });
+});
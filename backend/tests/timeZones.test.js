@@ -0,0 +1,67 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { fromZonedDateTime, toZonedDateTime } from "../utils/timeZones.js";
+
+const iso = (date) => date?.toISOString() ?? null;
+
+describe("fromZonedDateTime", () => {
+  test("reads a wall-clock time in the venue's zone", () => {
+    assert.equal(
+      iso(fromZonedDateTime("2026-10-20", "18:30", "Asia/Kolkata")),
+      "2026-10-20T13:00:00.000Z"
+    );
+    assert.equal(
+      iso(fromZonedDateTime("2026-07-01", "20:00", "America/New_York")),
+      "2026-07-02T00:00:00.000Z"
+    );
+  });
+
+  test("returns null for times skipped when the clocks go forward", () => {
+    assert.equal(
+      fromZonedDateTime("2026-03-08", "02:30", "America/New_York"),
+      null
+    );
+    assert.equal(
+      fromZonedDateTime("2026-03-29", "01:30", "Europe/London"),
+      null
+    );
+  });
+
+  test("reads the times just around the gap", () => {
+    assert.equal(
+      iso(fromZonedDateTime("2026-03-08", "01:59", "America/New_York")),
+      "2026-03-08T06:59:00.000Z"
+    );
+    assert.equal(
+      iso(fromZonedDateTime("2026-03-08", "03:00", "America/New_York")),
+      "2026-03-08T07:00:00.000Z"
+    );
+  });
+
+  test("takes the first of the two times when the clocks go back", () => {
+    assert.equal(
+      iso(fromZonedDateTime("2026-11-01", "01:30", "America/New_York")),
+      "2026-11-01T05:30:00.000Z"
+    );
+  });
+
+  test("returns null for malformed input", () => {
+    for (const [date, time] of [
+      ["2026-02-30", "10:00"],
+      ["2026-10-20", "24:00"],
+      ["20-10-2026", "10:00"],
+      ["2026-10-20", "9:00"],
+    ]) {
+      assert.equal(fromZonedDateTime(date, time, "Asia/Kolkata"), null);
+    }
+  });
+
+  test("round-trips with toZonedDateTime", () => {
+    const date = fromZonedDateTime("2026-12-31", "23:45", "Australia/Sydney");
+
+    assert.deepEqual(toZonedDateTime(date, "Australia/Sydney"), {
+      date: "2026-12-31",
+      time: "23:45",
+    });
+  });
+});
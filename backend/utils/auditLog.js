@@ -0,0 +1,60 @@
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+
+//Fields that change on every write and say nothing about what an admin did
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+//A JSON copy of a document or plain object: ids and dates become strings
+const toPlain = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+//The fields that differ between two versions of a document, as before and
+//after objects holding only those fields. A created document has no before
+//and a deleted one no after.
+export const diffDocuments = (before, after) => {
+  const oldValues = toPlain(before);
+  const newValues = toPlain(after);
+  const diff = {
+    before: oldValues && {},
+    after: newValues && {},
+  };
+
+  const fields = new Set([
+    ...Object.keys(oldValues || {}),
+    ...Object.keys(newValues || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = oldValues?.[field];
+    const newValue = newValues?.[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    if (diff.before && oldValue !== undefined) diff.before[field] = oldValue;
+    if (diff.after && newValue !== undefined) diff.after[field] = newValue;
+  }
+  return diff;
+};
+
+//Adds an entry to the audit log for a change made through an admin API.
+//`target` is { type, id, label }; `before` and `after` are the target as it
+//was and is, of which only the changed fields are kept. A failed write is
+//logged but doesn't undo the change it describes.
+export const recordAudit = async (
+  req,
+  { action, target, before, after, details }
+) => {
+  try {
+    const { userId, role } = req.admin;
+    const user = await User.findById(userId, "name email").lean();
+
+    await AuditLog.create({
+      actor: { userId, name: user?.name, email: user?.email, role },
+      action,
+      target: { ...target, id: target.id?.toString() },
+      ...diffDocuments(before, after),
+      details,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    console.error(`Could not record ${action} in the audit log:`, error);
+  }
+};
@@ -0,0 +1,116 @@
+import Booking from "../models/Bookings.js";
+import Coupon from "../models/Coupon.js";
+
+//Stripe's smallest charge in rupees. Checkout can't take less, so a coupon
+//may not bring an order below it.
+export const MIN_CHARGE = 0.5;
+
+export const calculateDiscount = (coupon, subtotal) => {
+  let discount =
+    coupon.discountType === "percentage"
+      ? (subtotal * coupon.discountValue) / 100
+      : coupon.discountValue;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+//Checks a coupon against a booking being made. Resolves to
+//{ coupon, discount } or { error } with a message for the customer.
+export const validateCoupon = async ({
+  code,
+  userId,
+  show,
+  seats,
+  subtotal,
+}) => {
+  const coupon = await Coupon.findOne({
+    code: String(code).toUpperCase().trim(),
+  });
+  if (!coupon || !coupon.isActive) {
+    return { error: "Invalid coupon code." };
+  }
+
+  const now = new Date();
+  if (now < coupon.validFrom || now > coupon.validUntil) {
+    return { error: "This coupon is not valid right now." };
+  }
+  if (seats.length < coupon.minSeats) {
+    return { error: `This coupon needs at least ${coupon.minSeats} seats.` };
+  }
+  const movieId = String(show.movie._id ?? show.movie);
+  if (coupon.movies.length && !coupon.movies.includes(movieId)) {
+    return { error: "This coupon isn't valid for this movie." };
+  }
+  if (coupon.shows.length && !coupon.shows.includes(show._id.toString())) {
+    return { error: "This coupon isn't valid for this show." };
+  }
+  //an empty limit means unlimited, the same rule redeemCoupon applies
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has been fully redeemed." };
+  }
+  if (coupon.perUserLimit != null) {
+    const userRedemptions = await Booking.countDocuments({
+      user: userId,
+      coupon: coupon.code,
+      status: { $in: ["pending", "paid"] },
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon." };
+    }
+  }
+
+  const discount = calculateDiscount(coupon, subtotal);
+  if (subtotal - discount < MIN_CHARGE) {
+    return {
+      error: `This coupon can't bring the total below ₹${MIN_CHARGE.toFixed(2)}.`,
+    };
+  }
+
+  return { coupon, discount };
+};
+
+//Count one use of a coupon by a user, failing if the global or per-user
+//limit was reached meanwhile. Uses per user are counted on the coupon so
+//both limits are checked in the same update.
+export const redeemCoupon = async (coupon, userId) => {
+  const userCount = `userRedemptions.${userId}`;
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $and: [
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+          ],
+        },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [{ $ifNull: [`$${userCount}`, 0] }, "$perUserLimit"],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    { $inc: { usedCount: 1, [userCount]: 1 } }
+  );
+  return Boolean(redeemed);
+};
+
+//Give a use back when a booking with a coupon expires or is cancelled
+export const releaseCoupon = async (booking) => {
+  if (!booking.coupon) return;
+  await Coupon.updateOne(
+    { code: booking.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  const userCount = `userRedemptions.${booking.user}`;
+  await Coupon.updateOne(
+    { code: booking.coupon, [userCount]: { $gt: 0 } },
+    { $inc: { [userCount]: -1 } }
+  );
+};
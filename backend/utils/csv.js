@@ -0,0 +1,90 @@
+//CSV reading and writing for spreadsheet imports and exports (RFC 4180:
+//comma separated, double quotes around values with commas, quotes or line
+//breaks, quotes inside doubled).
+
+export class CsvError extends Error {}
+
+//Parses CSV text into records of { line, values }, where line is the
+//1-based line the record starts on so errors can point at a spreadsheet row.
+//Blank lines are skipped.
+export const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.some((item) => item.trim() !== "")) {
+      records.push({ line: startLine, values });
+    }
+    values = [];
+    value = "";
+  };
+
+  //spreadsheet apps often start UTF-8 files with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new CsvError(`Unclosed quote in the record on line ${startLine}.`);
+  }
+  if (value || values.length) endRecord();
+  return records;
+};
+
+//Parses CSV with a header row into objects keyed by the lower-cased header
+//names, each with the `line` it came from
+export const parseCsvObjects = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new CsvError("The file is empty.");
+
+  const columns = header.values.map((name) => name.trim().toLowerCase());
+  return records.map(({ line, values }) => {
+    const row = { line };
+    columns.forEach((column, index) => {
+      row[column] = (values[index] ?? "").trim();
+    });
+    return row;
+  });
+};
+
+//Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => `${values.map(toCsvValue).join(",")}\r\n`;
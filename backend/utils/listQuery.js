@@ -0,0 +1,48 @@
+//Paging, sorting and search for the admin lists. Out of range values fall
+//back to the defaults rather than failing, so a stale link still loads.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const toPositiveInt = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+//Reads page, limit, sort and order from the query string. `sortFields` lists
+//the fields a list may be sorted by; ties are broken by _id so pages don't
+//overlap.
+export const parseListQuery = (
+  { page, limit, sort, order },
+  { sortFields, defaultSort, defaultOrder = "desc" }
+) => {
+  const pageSize = Math.min(
+    toPositiveInt(limit, DEFAULT_PAGE_SIZE),
+    MAX_PAGE_SIZE
+  );
+  const currentPage = toPositiveInt(page, 1);
+  const sortField = sortFields.includes(sort) ? sort : defaultSort;
+  const direction =
+    (["asc", "desc"].includes(order) ? order : defaultOrder) === "asc" ? 1 : -1;
+
+  return {
+    page: currentPage,
+    limit: pageSize,
+    skip: (currentPage - 1) * pageSize,
+    sort: { [sortField]: direction, _id: direction },
+  };
+};
+
+export const getPageInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.max(Math.ceil(total / limit), 1),
+});
+
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+//A case-insensitive "contains" match for user-typed search text
+export const searchPattern = (text) =>
+  new RegExp(escapeRegex(text.trim()), "i");
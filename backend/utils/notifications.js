@@ -0,0 +1,137 @@
+import { renderEmail } from "../emails/index.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import { sendOnChannel } from "../channels/index.js";
+import { createSignedToken, verifySignedToken } from "./signedTokens.js";
+
+//Email categories a user can switch off. Anything else (confirmations,
+//tickets, cancellations, waitlist offers) is always sent.
+export const OPTIONAL_CATEGORIES = ["newShows", "reminders", "promotions"];
+
+//Saved preferences, or the defaults for users who never changed them
+export const getNotificationPreferences = async (userId) =>
+  (await NotificationPreference.findById(userId)) ??
+  new NotificationPreference({ _id: userId });
+
+//An unsubscribe token is `${userId}:${category}` signed with
+//UNSUBSCRIBE_SECRET, where category "all" covers every optional category
+export const createUnsubscribeToken = (userId, category) =>
+  createSignedToken(`${userId}:${category}`, "UNSUBSCRIBE_SECRET");
+
+//Switches off the categories in a genuine token. Resolves to the categories
+//switched off, or null for an invalid token.
+export const unsubscribe = async (token) => {
+  const payload = verifySignedToken(token, "UNSUBSCRIBE_SECRET");
+  if (!payload) return null;
+
+  const separator = payload.lastIndexOf(":");
+  const userId = payload.slice(0, separator);
+  const category = payload.slice(separator + 1);
+  const categories = category === "all" ? OPTIONAL_CATEGORIES : [category];
+  if (!categories.every((item) => OPTIONAL_CATEGORIES.includes(item))) {
+    return null;
+  }
+
+  await NotificationPreference.updateOne(
+    { _id: userId },
+    { $set: Object.fromEntries(categories.map((item) => [item, false])) },
+    { upsert: true }
+  );
+  return categories;
+};
+
+//Where a channel reaches the user, or null when it can't
+const channelAddress = (channel, user, preferences) => {
+  if (channel === "email") return user.email;
+  if (channel === "push") {
+    return preferences.pushSubscriptions.length
+      ? preferences.pushSubscriptions
+      : null;
+  }
+  return preferences.phone || null; //sms and whatsapp
+};
+
+//Send a template to the channels the user prefers. Email gets the full
+//template with attachments and a one-click unsubscribe link; SMS, WhatsApp
+//and push get its short message, so templates without one go by email only.
+//Email is the fallback when no preferred channel can be used.
+//Emails in an optional category are skipped when the user switched it off.
+//Pass preferences when they're already loaded to save a lookup. Resolves to
+//null when skipped, otherwise [{ channel, sent, error }]. Throws when every
+//channel failed so the caller can retry.
+export const notifyUser = async (
+  user,
+  { template, data, category, attachments, url, preferences }
+) => {
+  const prefs = preferences ?? (await getNotificationPreferences(user._id));
+  if (category && !prefs[category]) return null;
+
+  const token = encodeURIComponent(
+    createUnsubscribeToken(user._id, category || "all")
+  );
+  const { subject, html, text, message } = renderEmail(
+    template,
+    {
+      userName: user.name,
+      ...data,
+      unsubscribeUrl: `${process.env.CLIENT_URL}/unsubscribe?token=${token}`,
+      preferencesUrl: `${process.env.CLIENT_URL}/preferences`,
+    },
+    prefs.locale
+  );
+
+  let channels = prefs.channels.filter(
+    (channel) =>
+      (channel === "email" || message) && channelAddress(channel, user, prefs)
+  );
+  if (!channels.length) channels = ["email"];
+
+  const results = await Promise.all(
+    channels.map(async (channel) => {
+      const to = channelAddress(channel, user, prefs);
+      try {
+        const response = await sendOnChannel(
+          channel,
+          channel === "email"
+            ? {
+                to,
+                subject,
+                html,
+                text,
+                attachments,
+                //lets mail clients show their own unsubscribe button (RFC 8058)
+                headers: {
+                  "List-Unsubscribe": `<${process.env.SERVER_URL}/api/user/unsubscribe?token=${token}>`,
+                  "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+                },
+              }
+            : {
+                to,
+                subject,
+                text: message,
+                url: url || `${process.env.CLIENT_URL}/my-bookings`,
+              }
+        );
+        //forget browsers that unsubscribed from push
+        if (response?.expired?.length) {
+          await NotificationPreference.updateOne(
+            { _id: user._id },
+            {
+              $pull: {
+                pushSubscriptions: { endpoint: { $in: response.expired } },
+              },
+            }
+          );
+        }
+        return { channel, sent: true };
+      } catch (error) {
+        console.error(`${channel} notification failed:`, error.message);
+        return { channel, sent: false, error: error.message };
+      }
+    })
+  );
+
+  if (!results.some((result) => result.sent)) {
+    throw new Error(results.map((result) => result.error).join(" "));
+  }
+  return results;
+};
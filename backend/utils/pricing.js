@@ -0,0 +1,37 @@
+import {
+  getSeatCategories,
+  getSeatCategoryMap,
+  getSeatLayout,
+} from "./seatMap.js";
+
+//Price of every seat category on a show. Categories without their own price
+//fall back to the show's base price.
+export const getCategoryPrices = (show) => {
+  const layout = getSeatLayout(show);
+  return getSeatCategories(layout).map((category) => ({
+    ...category,
+    price: show.categoryPrices?.[category.key] ?? show.showPrice,
+  }));
+};
+
+//Groups the selected seats by category and totals them:
+//{ total, lineItems: [{ category, name, unitPrice, seats }] }
+export const priceSeats = (show, seats) => {
+  const categoryMap = getSeatCategoryMap(getSeatLayout(show));
+  const categories = getCategoryPrices(show);
+
+  const lineItems = categories
+    .map((category) => ({
+      category: category.key,
+      name: category.name,
+      unitPrice: category.price,
+      seats: seats.filter((seat) => categoryMap[seat] === category.key),
+    }))
+    .filter((item) => item.seats.length > 0);
+
+  const total = lineItems.reduce(
+    (acc, item) => acc + item.unitPrice * item.seats.length,
+    0
+  );
+  return { total, lineItems };
+};
@@ -0,0 +1,78 @@
+import { fromZonedDateTime } from "./timeZones.js";
+
+//Recurring show schedules. A rule is
+//{ startDate, endDate, times: ["HH:mm"], daysOfWeek: [0-6] } where dates are
+//"YYYY-MM-DD" on the venue's clock and daysOfWeek lists the weekdays shows
+//run on (0 = Sunday), so "skip Tuesdays" is every day but 2.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_SERIES_DAYS = 366;
+export const MAX_SERIES_OCCURRENCES = 500;
+
+const parseDate = (date) =>
+  DATE_PATTERN.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+
+//Returns an error message for an invalid rule, or null when it's valid
+export const validateRecurrence = (rule) => {
+  if (!rule) return "Recurrence rule missing.";
+  const { startDate, endDate, times, daysOfWeek } = rule;
+
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return "Start and end dates must be valid dates.";
+  }
+  if (end < start) return "End date must be on or after the start date.";
+  if ((end - start) / DAY_MS >= MAX_SERIES_DAYS) {
+    return `A series can span at most ${MAX_SERIES_DAYS} days.`;
+  }
+
+  if (!Array.isArray(times) || times.length === 0) {
+    return "Add at least one show time.";
+  }
+  if (!times.every((time) => TIME_PATTERN.test(time))) {
+    return "Show times must be in HH:mm format.";
+  }
+
+  if (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return "Choose at least one day of the week.";
+  }
+  return null;
+};
+
+//Keeps only the known fields, sorted and without duplicates
+export const normalizeRecurrence = (rule) => ({
+  startDate: rule.startDate,
+  endDate: rule.endDate,
+  times: [...new Set(rule.times)].sort(),
+  daysOfWeek: [...new Set(rule.daysOfWeek)].sort(),
+});
+
+//Every occurrence of a valid rule as { date, time, showDateTime }. Times a
+//daylight saving change skips don't exist on the venue's clock and are left
+//out, as are occurrences before `from`.
+export const expandRecurrence = (rule, timeZone, from = new Date()) => {
+  const occurrences = [];
+  const end = parseDate(rule.endDate);
+
+  for (let day = parseDate(rule.startDate); day <= end; day += DAY_MS) {
+    const current = new Date(day);
+    if (!rule.daysOfWeek.includes(current.getUTCDay())) continue;
+
+    const date = current.toISOString().split("T")[0];
+    for (const time of [...rule.times].sort()) {
+      const showDateTime = fromZonedDateTime(date, time, timeZone);
+      if (showDateTime && showDateTime >= from) {
+        occurrences.push({ date, time, showDateTime });
+      }
+    }
+  }
+  return occurrences;
+};
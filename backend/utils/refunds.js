@@ -0,0 +1,26 @@
+import stripeInstance from "../configs/stripe.js";
+
+//Bookings paid before payment intents were stored only have the session
+export const getPaymentIntentId = async (booking) => {
+  if (booking.paymentIntentId) return booking.paymentIntentId;
+  if (!booking.stripeSessionId) return null;
+
+  const session = await stripeInstance.checkout.sessions.retrieve(
+    booking.stripeSessionId
+  );
+  return session.payment_intent;
+};
+
+//Refund `amount` (in rupees) of a booking's payment through Stripe
+export const refundPayment = async (booking, amount) => {
+  const paymentIntentId = await getPaymentIntentId(booking);
+  if (!paymentIntentId) {
+    throw new Error("No Stripe payment found for this booking.");
+  }
+
+  return stripeInstance.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: Math.round(amount * 100),
+    metadata: { bookingId: booking._id.toString() },
+  });
+};
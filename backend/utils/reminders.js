@@ -0,0 +1,74 @@
+import Booking from "../models/Bookings.js";
+import Reminder from "../models/Reminder.js";
+import reminderConfig from "../configs/reminders.js";
+import { getNotificationPreferences } from "./notifications.js";
+
+const HOUR = 60 * 60 * 1000;
+
+//Create the reminders for a paid booking at each offset still in the future.
+//Existing reminders are left alone, so this is safe to run more than once.
+export const scheduleBookingReminders = async (booking, show, offsets) => {
+  const now = Date.now();
+  const showTime = new Date(show.showDateTime).getTime();
+
+  await Promise.all(
+    offsets
+      .filter((offsetHours) => showTime - offsetHours * HOUR > now)
+      .map((offsetHours) =>
+        Reminder.updateOne(
+          { booking: booking._id.toString(), offsetHours },
+          {
+            $setOnInsert: {
+              user: booking.user,
+              sendAt: new Date(showTime - offsetHours * HOUR),
+            },
+          },
+          { upsert: true }
+        )
+      )
+  );
+};
+
+//Bring a user's pending reminders in line with their notification preferences
+export const rescheduleUserReminders = async (userId) => {
+  const preferences = await getNotificationPreferences(userId);
+  const offsets = preferences.reminders ? preferences.reminderOffsets : [];
+
+  await Reminder.deleteMany({
+    user: userId,
+    status: "scheduled",
+    offsetHours: { $nin: offsets },
+  });
+  if (offsets.length === 0) return;
+
+  const bookings = await Booking.find({
+    user: userId,
+    status: "paid",
+  }).populate("show");
+  for (const booking of bookings) {
+    if (booking.show && booking.show.showDateTime > new Date()) {
+      await scheduleBookingReminders(booking, booking.show, offsets);
+    }
+  }
+};
+
+//Atomically take the next due reminder so overlapping runs can't send it
+//twice. Reminders left "sending" by a run that died are taken again once
+//their lease runs out.
+export const claimDueReminder = () => {
+  const now = new Date();
+  const leaseExpired = new Date(
+    now.getTime() - reminderConfig.claimLeaseMinutes * 60 * 1000
+  );
+  return Reminder.findOneAndUpdate(
+    {
+      sendAt: { $lte: now },
+      $or: [
+        { status: "scheduled" },
+        { status: "sending", claimedAt: { $not: { $gte: leaseExpired } } },
+      ],
+    },
+    { status: "sending", claimedAt: now },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
@@ -0,0 +1,114 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { toCsvRow } from "./csv.js";
+import {
+  DEFAULT_TIME_ZONE,
+  fromZonedDateTime,
+  toZonedDateTime,
+} from "./timeZones.js";
+import { BOOKING_TRANSITIONS } from "../models/Bookings.js";
+
+//Spreadsheet reports for the finance team. Rows come from an async iterable
+//and are written to the response as they arrive, so a report never has to
+//fit in memory.
+
+export const REPORT_FORMATS = ["csv", "xlsx"];
+
+export class ReportError extends Error {}
+
+const contentTypes = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+//A query condition for from/to dates (YYYY-MM-DD, inclusive, on the
+//business's clock), or null when neither is given. Throws a ReportError for
+//invalid dates.
+export const parseDateRange = (from, to) => {
+  const range = {};
+  if (from) {
+    range.$gte = fromZonedDateTime(from, "00:00", DEFAULT_TIME_ZONE);
+    if (!range.$gte) throw new ReportError("Invalid start date.");
+  }
+  if (to) {
+    const end = fromZonedDateTime(to, "00:00", DEFAULT_TIME_ZONE);
+    if (!end) throw new ReportError("Invalid end date.");
+    range.$lt = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+  if (range.$gte && range.$lt && range.$gte >= range.$lt) {
+    throw new ReportError("End date must be on or after the start date.");
+  }
+  return Object.keys(range).length ? range : null;
+};
+
+//Reads the filters shared by every report from the query string: from/to
+//dates (YYYY-MM-DD, inclusive, on the business's clock), a movie ID and a
+//booking status. Throws a ReportError for invalid values.
+export const parseReportFilters = ({
+  format = "csv",
+  from,
+  to,
+  movie,
+  status,
+}) => {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new ReportError(
+      `Format must be one of ${REPORT_FORMATS.join(", ")}.`
+    );
+  }
+  if (status && !(status in BOOKING_TRANSITIONS)) {
+    throw new ReportError(`Unknown booking status "${status}".`);
+  }
+
+  return {
+    format,
+    range: parseDateRange(from, to),
+    movie: movie || null,
+    status: status || null,
+  };
+};
+
+//"YYYY-MM-DD HH:mm" on a venue's clock, or blank
+export const formatReportTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!date) return "";
+  const { date: day, time } = toZonedDateTime(date, timeZone);
+  return `${day} ${time}`;
+};
+
+//Streams a report as a CSV or XLSX download. `columns` are
+//{ header, width } and each row is an array of values in column order.
+export const writeReport = async (res, { format, filename, columns, rows }) => {
+  res.setHeader("Content-Type", contentTypes[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet(filename);
+    sheet.columns = columns.map(({ header, width }) => ({
+      header,
+      width: width || 15,
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    for await (const row of rows) {
+      sheet.addRow(row).commit();
+    }
+    await sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  //the byte order mark tells spreadsheet apps the file is UTF-8
+  res.write("\uFEFF" + toCsvRow(columns.map(({ header }) => header)));
+  for await (const row of rows) {
+    //wait for the client to catch up instead of buffering the whole report
+    if (!res.write(toCsvRow(row))) await once(res, "drain");
+  }
+  res.end();
+};
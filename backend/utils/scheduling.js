@@ -0,0 +1,109 @@
+import Show from "../models/Show.js";
+import schedulingConfig from "../configs/scheduling.js";
+import { activeShowFilter } from "./showChanges.js";
+
+const MINUTE = 60 * 1000;
+//longer than any show keeps a screen, bounds the lookup of earlier shows
+const LOOKBEHIND = 12 * 60 * MINUTE;
+
+//Minutes a show of a movie keeps its screen busy
+export const getScreenMinutes = (runtime) =>
+  schedulingConfig.adMinutes +
+  (runtime || schedulingConfig.defaultRuntime) +
+  schedulingConfig.cleaningMinutes;
+
+//The { start, end } span of screen time a show takes up
+export const getShowBlock = (showDateTime, runtime) => {
+  const start = new Date(showDateTime);
+  return {
+    start,
+    end: new Date(start.getTime() + getScreenMinutes(runtime) * MINUTE),
+  };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+//Shows on a screen that use it at some point between `from` and `to`
+export const getScreenSchedule = async (
+  screenId,
+  from,
+  to,
+  excludeShowIds = []
+) => {
+  const shows = await Show.find({
+    _id: { $nin: excludeShowIds },
+    screen: screenId,
+    ...activeShowFilter,
+    showDateTime: { $gte: new Date(from.getTime() - LOOKBEHIND), $lt: to },
+  })
+    .populate("movie", "title runtime")
+    .sort({ showDateTime: 1 })
+    .lean();
+
+  return shows
+    .map((show) => ({
+      showId: show._id,
+      movieTitle: show.movie?.title,
+      ...getShowBlock(show.showDateTime, show.movie?.runtime),
+    }))
+    .filter((block) => block.end > from);
+};
+
+//Checks shows about to be scheduled on a screen, given as
+//[{ showDateTime, runtime }], against the shows already on it and against
+//each other. Returns each proposed block (with the `index` of its show) and
+//what it collides with, the existing shows in the same period and how many
+//blocks conflict.
+export const checkScreenConflicts = async (
+  screenId,
+  shows,
+  { excludeShowIds = [] } = {}
+) => {
+  const proposed = shows
+    .map(({ showDateTime, runtime }, index) => ({
+      ...getShowBlock(showDateTime, runtime),
+      index,
+      conflicts: [],
+    }))
+    .sort((a, b) => a.start - b.start);
+  if (proposed.length === 0) {
+    return { proposed, existing: [], conflictCount: 0 };
+  }
+
+  const to = new Date(Math.max(...proposed.map((block) => block.end)));
+  const existing = await getScreenSchedule(
+    screenId,
+    proposed[0].start,
+    to,
+    excludeShowIds
+  );
+
+  proposed.forEach((block, index) => {
+    existing.forEach((show) => {
+      if (overlaps(block, show)) {
+        block.conflicts.push(show);
+        show.conflict = true;
+      }
+    });
+    //blocks are sorted, so only the next few can overlap this one
+    for (const other of proposed.slice(index + 1)) {
+      if (other.start >= block.end) break;
+      block.conflicts.push({
+        start: other.start,
+        end: other.end,
+        index: other.index,
+      });
+      other.conflicts.push({
+        start: block.start,
+        end: block.end,
+        index: block.index,
+      });
+    }
+  });
+
+  return {
+    proposed,
+    existing,
+    conflictCount: proposed.filter((block) => block.conflicts.length).length,
+  };
+};
@@ -0,0 +1,154 @@
+//Seat map helpers. A layout is stored on a screen (and copied onto each show)
+//as { categories: [{ key, name, color }],
+//     rows: [{ label, aisleAfter, cells: [{ type, number, blocked, category }] }] }
+//where type is "seat", "wheelchair" or "gap". Seat IDs are `${label}${number}`.
+
+const ROW_LABEL_PATTERN = /^[A-Z]{1,2}$/;
+const CATEGORY_KEY_PATTERN = /^[a-z0-9-]{1,30}$/;
+const CELL_TYPES = ["seat", "wheelchair", "gap"];
+
+const defaultCategories = () => [
+  { key: "standard", name: "Standard", color: "#f84565" },
+];
+
+//The original fixed A-J grid with 9 seats per row
+export const defaultSeatLayout = () => ({
+  categories: defaultCategories(),
+  rows: ["A", "B", "C", "D", "E", "F", "G", "H", "I", "J"].map((label) => ({
+    label,
+    aisleAfter: label === "B",
+    cells: Array.from({ length: 9 }, (_, i) => ({
+      type: "seat",
+      number: i + 1,
+      blocked: false,
+      category: "standard",
+    })),
+  })),
+});
+
+//Layouts saved before categories existed price every seat as standard
+export const getSeatCategories = (layout) =>
+  layout.categories?.length ? layout.categories : defaultCategories();
+
+//Map of seat ID -> category key for every seat on the layout
+export const getSeatCategoryMap = (layout) => {
+  const fallback = getSeatCategories(layout)[0].key;
+  const categoryMap = {};
+  layout.rows.forEach((row) => {
+    row.cells.forEach((cell) => {
+      if (cell.type !== "gap") {
+        categoryMap[`${row.label}${cell.number}`] = cell.category || fallback;
+      }
+    });
+  });
+  return categoryMap;
+};
+
+//Per-category show prices must use the layout's categories. Returns the
+//first invalid category key, or null.
+export const findInvalidCategoryPrice = (layout, categoryPrices) => {
+  const categoryKeys = getSeatCategories(layout).map((c) => c.key);
+  const invalid = Object.entries(categoryPrices).find(
+    ([key, price]) =>
+      !categoryKeys.includes(key) || typeof price !== "number" || price < 0
+  );
+  return invalid ? invalid[0] : null;
+};
+
+export const getSeatLayout = (source) =>
+  source?.seatLayout || defaultSeatLayout();
+
+//Seat IDs that can be sold: real seats that aren't gaps or blocked
+export const getBookableSeatIds = (layout) => {
+  const seatIds = new Set();
+  layout.rows.forEach((row) => {
+    row.cells.forEach((cell) => {
+      if (cell.type !== "gap" && !cell.blocked) {
+        seatIds.add(`${row.label}${cell.number}`);
+      }
+    });
+  });
+  return seatIds;
+};
+
+//Returns an error message for an invalid layout, or null when it's valid
+export const validateSeatLayout = (layout) => {
+  if (!layout || !Array.isArray(layout.rows) || layout.rows.length === 0) {
+    return "Seat layout must have at least one row.";
+  }
+
+  if (!Array.isArray(layout.categories) || layout.categories.length === 0) {
+    return "Seat layout must have at least one seat category.";
+  }
+  const categoryKeys = new Set();
+  for (const category of layout.categories) {
+    if (!CATEGORY_KEY_PATTERN.test(category.key) || !category.name) {
+      return `Invalid seat category "${category.key}".`;
+    }
+    if (categoryKeys.has(category.key)) {
+      return `Seat category ${category.key} is defined more than once.`;
+    }
+    categoryKeys.add(category.key);
+  }
+
+  const labels = new Set();
+  for (const row of layout.rows) {
+    if (!ROW_LABEL_PATTERN.test(row.label)) {
+      return `Invalid row label "${row.label}".`;
+    }
+    if (labels.has(row.label)) {
+      return `Row ${row.label} is defined more than once.`;
+    }
+    labels.add(row.label);
+
+    if (!Array.isArray(row.cells) || row.cells.length === 0) {
+      return `Row ${row.label} has no seats.`;
+    }
+
+    const numbers = new Set();
+    for (const cell of row.cells) {
+      if (!CELL_TYPES.includes(cell.type)) {
+        return `Row ${row.label} has an unknown cell type "${cell.type}".`;
+      }
+      if (cell.type === "gap") continue;
+      if (!Number.isInteger(cell.number) || cell.number < 1) {
+        return `Row ${row.label} has an invalid seat number.`;
+      }
+      if (numbers.has(cell.number)) {
+        return `Seat ${row.label}${cell.number} is defined more than once.`;
+      }
+      numbers.add(cell.number);
+      if (!categoryKeys.has(cell.category)) {
+        return `Seat ${row.label}${cell.number} has an unknown category.`;
+      }
+    }
+  }
+
+  if (getBookableSeatIds(layout).size === 0) {
+    return "Seat layout must have at least one bookable seat.";
+  }
+  return null;
+};
+
+//Keeps only the known fields so arbitrary client input isn't stored
+export const normalizeSeatLayout = (layout) => ({
+  categories: layout.categories.map((category) => ({
+    key: category.key,
+    name: category.name,
+    color: category.color || "#f84565",
+  })),
+  rows: layout.rows.map((row) => ({
+    label: row.label,
+    aisleAfter: Boolean(row.aisleAfter),
+    cells: row.cells.map((cell) =>
+      cell.type === "gap"
+        ? { type: "gap" }
+        : {
+            type: cell.type,
+            number: cell.number,
+            blocked: Boolean(cell.blocked),
+            category: cell.category,
+          }
+    ),
+  })),
+});
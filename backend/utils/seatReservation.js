@@ -0,0 +1,111 @@
+import Show from "../models/Show.js";
+
+const SEAT_ID_PATTERN = /^[A-Z]+[0-9]+$/;
+
+export const isValidSeatId = (seat) =>
+  typeof seat === "string" && SEAT_ID_PATTERN.test(seat);
+
+//Seats held for a waitlisted user are stored as `hold:${userId}` in
+//occupiedSeats until they book them or the offer expires.
+const holdFor = (userId) => `hold:${userId}`;
+
+//Seats of a show taken by bookings, leaving out waitlist holds
+export const countSoldSeats = (show) =>
+  Object.values(show.occupiedSeats || {}).filter(
+    (value) => !String(value).startsWith("hold:")
+  ).length;
+
+//Atomically occupy seats on a show. The update only matches when none of the
+//seats are present in occupiedSeats (or they are held for this user), so two
+//concurrent claims can't both win. `heldSeats` are the seats that were held
+//for the user until now.
+const occupySeats = async (showId, seats, userId, value) => {
+  const filter = { _id: showId };
+  const update = {};
+  const projection = {};
+  seats.forEach((seat) => {
+    filter[`occupiedSeats.${seat}`] = { $in: [null, holdFor(userId)] };
+    update[`occupiedSeats.${seat}`] = value;
+    projection[`occupiedSeats.${seat}`] = 1;
+  });
+
+  //resolves to the show as it was before the update
+  const previous = await Show.findOneAndUpdate(
+    filter,
+    { $set: update },
+    { projection }
+  ).lean();
+  if (previous) {
+    const heldSeats = seats.filter(
+      (seat) => previous.occupiedSeats?.[seat] === holdFor(userId)
+    );
+    return { claimed: true, takenSeats: [], heldSeats };
+  }
+
+  const show = await Show.findById(showId);
+  if (!show) throw new Error("Show not found.");
+
+  const takenSeats = seats.filter(
+    (seat) =>
+      show.occupiedSeats[seat] && show.occupiedSeats[seat] !== holdFor(userId)
+  );
+  return { claimed: false, takenSeats };
+};
+
+export const claimSeats = (showId, seats, userId) =>
+  occupySeats(showId, seats, userId, userId);
+
+export const holdSeats = (showId, seats, userId) =>
+  occupySeats(showId, seats, userId, holdFor(userId));
+
+//Seats on a show currently held for this user
+export const getHeldSeats = (show, userId) =>
+  Object.keys(show.occupiedSeats || {}).filter(
+    (seat) => userId && show.occupiedSeats[seat] === holdFor(userId)
+  );
+
+//Free the seats still held for a user, leaving any they have since booked.
+//Resolves to the seats that were released.
+export const releaseHeldSeats = async (showId, seats, userId) => {
+  const released = [];
+  for (const seat of seats) {
+    const result = await Show.updateOne(
+      { _id: showId, [`occupiedSeats.${seat}`]: holdFor(userId) },
+      { $unset: { [`occupiedSeats.${seat}`]: "" } }
+    );
+    if (result.modifiedCount === 1) released.push(seat);
+  }
+  return released;
+};
+
+//Undo claimSeats for a booking that didn't go through. Seats that were held
+//for the user from the waitlist go back to being held; the rest are freed.
+export const unclaimSeats = async (showId, seats, userId, heldSeats = []) => {
+  if (!seats.length) return;
+  const restore = {};
+  const free = {};
+  seats.forEach((seat) => {
+    if (heldSeats.includes(seat)) {
+      restore[`occupiedSeats.${seat}`] = holdFor(userId);
+    } else {
+      free[`occupiedSeats.${seat}`] = "";
+    }
+  });
+  await Show.updateOne(
+    { _id: showId },
+    {
+      ...(Object.keys(restore).length && { $set: restore }),
+      ...(Object.keys(free).length && { $unset: free }),
+    }
+  );
+};
+
+//Free seats previously claimed with claimSeats
+export const releaseSeats = async (showId, seats) => {
+  if (!seats.length) return;
+  const update = {};
+  seats.forEach((seat) => {
+    update[`occupiedSeats.${seat}`] = "";
+  });
+  await Show.updateOne({ _id: showId }, { $unset: update });
+};
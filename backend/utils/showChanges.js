@@ -0,0 +1,79 @@
+import Booking from "../models/Bookings.js";
+import Reminder from "../models/Reminder.js";
+import stripeInstance from "../configs/stripe.js";
+import { releaseCoupon } from "./coupons.js";
+import { refundPayment } from "./refunds.js";
+import { getNotificationPreferences } from "./notifications.js";
+import { scheduleBookingReminders } from "./reminders.js";
+
+//Shows the theater cancelled are hidden from listings, booking and the
+//screen schedule. Shows saved before shows had a status count as scheduled.
+export const activeShowFilter = { status: { $ne: "cancelled" } };
+
+//Cancel one booking of a cancelled show. Open checkouts are closed; paid
+//bookings are refunded in full, with no cancellation fee. Resolves to the
+//cancelled paid booking, or null when there's nobody to refund.
+export const cancelBookingForShow = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+
+  if (booking?.status === "pending") {
+    const cancelled = await Booking.transitionStatus(bookingId, "cancelled", {
+      paymentLink: "",
+    });
+    if (cancelled) {
+      await releaseCoupon(booking);
+      if (booking.stripeSessionId) {
+        await stripeInstance.checkout.sessions
+          .expire(booking.stripeSessionId)
+          .catch((error) => console.error(error.message));
+      }
+    }
+    return null;
+  }
+
+  //move to cancelled first so a retried run can't refund twice
+  const cancelled = await Booking.transitionStatus(bookingId, "cancelled", {
+    cancellationFee: 0,
+    refundAmount: booking?.amount,
+  });
+  if (!cancelled) return null;
+  await releaseCoupon(booking);
+
+  try {
+    const refund = await refundPayment(cancelled, cancelled.refundAmount);
+    cancelled.refundId = refund.id;
+    await cancelled.save();
+    if (refund.status === "succeeded") {
+      return Booking.transitionStatus(bookingId, "refunded");
+    }
+  } catch (error) {
+    console.error(`Refund failed for booking ${bookingId}:`, error.message);
+    cancelled.flaggedForReview = true;
+    cancelled.flagReason = `Show cancellation refund failed: ${error.message}`;
+    await cancelled.save();
+  }
+  return cancelled;
+};
+
+//Move the reminders of a rescheduled show's paid bookings to its new time
+export const rescheduleShowReminders = async (show) => {
+  const bookings = await Booking.find({
+    show: show._id.toString(),
+    status: "paid",
+  });
+
+  await Reminder.deleteMany({
+    booking: { $in: bookings.map((booking) => booking._id.toString()) },
+    status: { $ne: "sending" },
+  });
+  for (const booking of bookings) {
+    const preferences = await getNotificationPreferences(booking.user);
+    if (preferences.reminders) {
+      await scheduleBookingReminders(
+        booking,
+        show,
+        preferences.reminderOffsets
+      );
+    }
+  }
+};
@@ -0,0 +1,36 @@
+import crypto from "crypto";
+
+//Tokens of the form `${payload}.${signature}`, where the signature is an
+//HMAC of the payload with the secret held in the named environment variable.
+
+const sign = (payload, secretName) => {
+  const secret = process.env[secretName];
+  if (!secret) {
+    throw new Error(`${secretName} is not configured.`);
+  }
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+};
+
+export const createSignedToken = (payload, secretName) =>
+  `${payload}.${sign(payload, secretName)}`;
+
+//Returns the payload of a genuine token, or null
+export const verifySignedToken = (token, secretName) => {
+  const value = String(token || "").trim();
+  const separator = value.lastIndexOf(".");
+  if (separator <= 0) return null;
+
+  const payload = value.slice(0, separator);
+  const expected = Buffer.from(sign(payload, secretName));
+  const received = Buffer.from(value.slice(separator + 1));
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+  return payload;
+};
@@ -0,0 +1,161 @@
+import axios from "axios";
+import PDFDocument from "pdfkit";
+import { createTicketQrCode } from "./tickets.js";
+
+//PDF ticket and calendar invite for a paid booking. Both expect the booking
+//with show.movie and show.screen.theater populated.
+
+const POSTER_BASE_URL = "https://image.tmdb.org/t/p/w342";
+const BRAND_COLOR = "#F84565";
+
+//Show times print on the venue's clock
+const formatShowTime = (show) =>
+  new Date(show.showDateTime).toLocaleString("en-GB", {
+    timeZone: show.timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+const getVenue = ({ screen }) =>
+  screen
+    ? [screen.theater?.name, screen.name, screen.theater?.address]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+const getPoster = async (posterPath) => {
+  try {
+    const { data } = await axios.get(POSTER_BASE_URL + posterPath, {
+      responseType: "arraybuffer",
+      timeout: 5000,
+    });
+    return Buffer.from(data);
+  } catch (error) {
+    //the ticket is still valid without artwork
+    console.error(`Could not load poster ${posterPath}:`, error.message);
+    return null;
+  }
+};
+
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+
+export const createTicketPdf = async (booking) => {
+  const { show } = booking;
+  const [poster, qrCode] = await Promise.all([
+    getPoster(show.movie.poster_path),
+    createTicketQrCode(booking._id),
+  ]);
+
+  const doc = new PDFDocument({ size: "A5", layout: "landscape", margin: 0 });
+  const { width, height } = doc.page;
+
+  doc.rect(0, 0, width, 60).fill(BRAND_COLOR);
+  doc
+    .fillColor("#ffffff")
+    .fontSize(22)
+    .text("Movie Ticket", 30, 20, { width: width - 60 });
+
+  if (poster) {
+    doc.image(poster, 30, 85, { fit: [150, 225] });
+  }
+
+  const left = poster ? 200 : 30;
+  const details = [
+    ["Date & Time", formatShowTime(show)],
+    ["Venue", getVenue(show)],
+    ["Seats", booking.bookedSeats.join(", ")],
+    ["Amount", `INR ${booking.amount}`],
+    ["Booking ID", booking._id.toString()],
+  ].filter(([, value]) => value);
+
+  doc
+    .fillColor("#111111")
+    .fontSize(18)
+    .text(show.movie.title, left, 85, { width: width - left - 180 });
+  doc.moveDown(0.5);
+  details.forEach(([label, value]) => {
+    doc.fontSize(9).fillColor("#777777").text(label.toUpperCase());
+    doc.fontSize(12).fillColor("#111111").text(value).moveDown(0.4);
+  });
+
+  doc.image(qrCode, width - 170, 85, { width: 140 });
+  doc
+    .fontSize(8)
+    .fillColor("#777777")
+    .text("Show this code at the entrance", width - 170, 230, {
+      width: 140,
+      align: "center",
+    });
+
+  return toBuffer(doc);
+};
+
+//RFC 5545 text values escape these characters
+const escapeIcsText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\n/g, "\\n");
+
+const formatIcsDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+//Lines longer than 75 characters are folded onto continuation lines
+const foldIcsLine = (line) => line.match(/.{1,74}/g).join("\r\n ");
+
+export const createCalendarEvent = (booking) => {
+  const { show } = booking;
+  const start = new Date(show.showDateTime);
+  const end = new Date(start.getTime() + (show.movie.runtime || 0) * 60 * 1000);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Get your Popcorn//Tickets//EN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${booking._id}@getyourpopcorn`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(show.movie.title)}`,
+    `LOCATION:${escapeIcsText(getVenue(show))}`,
+    `DESCRIPTION:${escapeIcsText(
+      `Seats: ${booking.bookedSeats.join(", ")}\nBooking ID: ${booking._id}`
+    )}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+};
+
+//Attachments for the booking confirmation email
+export const createTicketAttachments = async (booking) => [
+  {
+    filename: `ticket-${booking._id}.pdf`,
+    content: await createTicketPdf(booking),
+    contentType: "application/pdf",
+  },
+  {
+    filename: `show-${booking._id}.ics`,
+    content: createCalendarEvent(booking),
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+  },
+];
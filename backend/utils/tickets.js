@@ -0,0 +1,16 @@
+import QRCode from "qrcode";
+import { createSignedToken, verifySignedToken } from "./signedTokens.js";
+
+//A ticket token is the booking ID signed with TICKET_SECRET. Staff scan it
+//at the door to check the booking in.
+
+export const createTicketToken = (bookingId) =>
+  createSignedToken(bookingId.toString(), "TICKET_SECRET");
+
+//Returns the booking ID for a genuine token, or null
+export const verifyTicketToken = (token) =>
+  verifySignedToken(token, "TICKET_SECRET");
+
+//QR code image for a booking's ticket, as a PNG data URL
+export const createTicketQrCode = (bookingId) =>
+  QRCode.toDataURL(createTicketToken(bookingId), { margin: 1, width: 240 });
@@ -0,0 +1,82 @@
+//Venue time zone helpers. Show times are stored as UTC instants; admins enter
+//them as wall-clock times in the theater's IANA zone and every response,
+//email and ticket renders them back in that zone.
+
+//Zone for theaters (and shows) saved before venues had one
+export const DEFAULT_TIME_ZONE =
+  process.env.DEFAULT_TIME_ZONE || "Asia/Kolkata";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = {};
+const getFormatter = (timeZone) =>
+  (formatters[timeZone] ??= new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }));
+
+//Wall-clock parts of an instant in a zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return parts;
+};
+
+//How far the zone is ahead of UTC at an instant, in milliseconds
+const getOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone
+  );
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+//Splits an instant into the venue's local { date: "YYYY-MM-DD", time: "HH:mm" }
+export const toZonedDateTime = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(
+    new Date(date),
+    timeZone
+  );
+  return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+};
+
+//The instant a venue's wall clock shows `date` ("YYYY-MM-DD") and `time`
+//("HH:mm"). Returns null for malformed input and for times skipped by a
+//daylight saving change.
+export const fromZonedDateTime = (date, time, timeZone) => {
+  if (!DATE_PATTERN.test(date) || !TIME_PATTERN.test(time)) return null;
+
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  //the offset can change between the guess and the result around DST
+  let instant = wallClock - getOffset(new Date(wallClock), timeZone);
+  instant = wallClock - getOffset(new Date(instant), timeZone);
+
+  const result = new Date(instant);
+  const check = toZonedDateTime(result, timeZone);
+  return check.date === date && check.time === time ? result : null;
+};
@@ -0,0 +1,41 @@
+import Screen from "../models/Screen.js";
+import Show from "../models/Show.js";
+
+//Venue scoping for staff whose role covers only some theaters. `admin` is
+//req.admin; its theaters are null when the role covers every venue, and
+//requests without an admin (public routes) aren't limited either.
+
+export const canAccessTheater = (admin, theaterId) =>
+  !admin?.theaters || admin.theaters.includes(String(theaterId));
+
+//IDs of the screens the admin may see, or null for every screen
+export const getScopedScreenIds = async (admin) =>
+  admin?.theaters
+    ? Screen.distinct("_id", { theater: { $in: admin.theaters } })
+    : null;
+
+//Condition limiting shows to the admin's venues
+export const getShowScope = async (admin) => {
+  const screenIds = await getScopedScreenIds(admin);
+  return screenIds ? { screen: { $in: screenIds } } : {};
+};
+
+//Condition limiting bookings to shows at the admin's venues. Bookings store
+//show IDs as strings.
+export const getBookingScope = async (admin) => {
+  const screenIds = await getScopedScreenIds(admin);
+  if (!screenIds) return {};
+  const showIds = await Show.distinct("_id", { screen: { $in: screenIds } });
+  return { show: { $in: showIds.map((id) => id.toString()) } };
+};
+
+export const canAccessScreen = async (admin, screenId) => {
+  if (!admin?.theaters) return true;
+  const screen = await Screen.findById(screenId, "theater");
+  return !!screen && canAccessTheater(admin, screen.theater);
+};
+
+//Shows from before screens existed belong to no venue, so only staff
+//covering every venue can reach them
+export const canAccessShow = async (admin, show) =>
+  show.screen ? canAccessScreen(admin, show.screen) : !admin?.theaters;
@@ -0,0 +1,80 @@
+import Show from "../models/Show.js";
+import Waitlist from "../models/Waitlist.js";
+import waitlistConfig from "../configs/waitlist.js";
+import { getBookableSeatIds, getSeatLayout } from "./seatMap.js";
+import {
+  getHeldSeats,
+  holdSeats,
+  releaseHeldSeats,
+} from "./seatReservation.js";
+
+//Bookable seats on a show that nobody has claimed or held, in layout order
+export const getFreeSeats = (show) =>
+  [...getBookableSeatIds(getSeatLayout(show))].filter(
+    (seat) => !show.occupiedSeats?.[seat]
+  );
+
+//Hold free seats for waitlisted users, oldest entry first. Entries asking for
+//more seats than are free are skipped so smaller requests aren't blocked.
+//Resolves to the IDs of the entries that received an offer.
+export const offerReleasedSeats = async (showId) => {
+  const show = await Show.findById(showId);
+  if (!show || show.status === "cancelled" || show.showDateTime <= new Date()) {
+    return [];
+  }
+
+  let freeSeats = getFreeSeats(show);
+  const entries = await Waitlist.find({ show: showId, status: "waiting" }).sort(
+    { createdAt: 1 }
+  );
+
+  const offered = [];
+  for (const entry of entries) {
+    if (entry.seats > freeSeats.length) continue;
+
+    const seats = freeSeats.slice(0, entry.seats);
+    const { claimed } = await holdSeats(showId, seats, entry.user);
+    if (!claimed) break; //someone booked meanwhile, the next release retries
+
+    freeSeats = freeSeats.slice(entry.seats);
+    const now = new Date();
+    await Waitlist.updateOne(
+      { _id: entry._id },
+      {
+        status: "offered",
+        offeredSeats: seats,
+        offeredAt: now,
+        offerExpiresAt: new Date(
+          now.getTime() + waitlistConfig.holdMinutes * 60 * 1000
+        ),
+      }
+    );
+    offered.push(entry._id.toString());
+  }
+  return offered;
+};
+
+//Called when a user books a show they hold an offer for. Marks the offer as
+//used and frees held seats they didn't book. Resolves to the released seats.
+export const completeWaitlistOffer = async (show, userId, bookedSeats) => {
+  const entry = await Waitlist.findOneAndUpdate(
+    { show: show._id.toString(), user: userId, status: "offered" },
+    { status: "booked" }
+  );
+  if (!entry) return [];
+
+  const leftover = getHeldSeats(show, userId).filter(
+    (seat) => !bookedSeats.includes(seat)
+  );
+  return releaseHeldSeats(show._id, leftover, userId);
+};
+
+//Ends an offer that wasn't used. Resolves to the released seats.
+export const endWaitlistOffer = async (waitlistId, status) => {
+  const entry = await Waitlist.findOneAndUpdate(
+    { _id: waitlistId, status: "offered" },
+    { status }
+  );
+  if (!entry) return [];
+  return releaseHeldSeats(entry.show, entry.offeredSeats, entry.user);
+};
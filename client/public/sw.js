@@ -0,0 +1,16 @@
+//Service worker for booking notifications sent with Web Push
+self.addEventListener("push", (event) => {
+  const { title, body, url } = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(title || "Get your Popcorn", {
+      body,
+      icon: "/favicon.svg",
+      data: { url: url || "/my-bookings" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
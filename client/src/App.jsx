@@ -7,13 +7,24 @@ import MovieDetails from "./pages/MovieDetails";
 import SeatLayout from "./pages/SeatLayout";
 import MyBookings from "./pages/MyBookings";
 import Favorite from "./pages/Favorite";
+import Theaters from "./pages/Theaters";
+import TheaterDetails from "./pages/TheaterDetails";
+import Preferences from "./pages/Preferences";
+import Unsubscribe from "./pages/Unsubscribe";
 import { Toaster } from "react-hot-toast";
 import Footer from "./components/Footer";
 import Layout from "./pages/admin/Layout";
 import Dashboard from "./pages/admin/Dashboard";
 import AddShows from "./pages/admin/AddShows";
 import ListShows from "./pages/admin/ListShows";
+import ShowSeries from "./pages/admin/ShowSeries";
 import ListBookings from "./pages/admin/ListBookings";
+import ManageTheaters from "./pages/admin/Theaters";
+import SeatMapEditor from "./pages/admin/SeatMapEditor";
+import Coupons from "./pages/admin/Coupons";
+import CheckIn from "./pages/admin/CheckIn";
+import EmailTemplates from "./pages/admin/EmailTemplates";
+import AuditLog from "./pages/admin/AuditLog";
 import { useAppContext } from "./context/AppContext";
 import { SignIn } from "@clerk/clerk-react";
 import Loading from "./components/Loading";
@@ -30,7 +41,11 @@ const App = () => {
         <Route path="/movies" element={<Movies />} />
         <Route path="/movies/:id" element={<MovieDetails />} />
         <Route path="/movies/:id/:date" element={<SeatLayout />} />
+        <Route path="/theaters" element={<Theaters />} />
+        <Route path="/theaters/:id" element={<TheaterDetails />} />
         <Route path="/my-bookings" element={<MyBookings />} />
+        <Route path="/preferences" element={<Preferences />} />
+        <Route path="/unsubscribe" element={<Unsubscribe />} />
         <Route path="/loading/:nextUrl" element={<Loading />} />
 
         <Route path="/favorite" element={<Favorite />} />
@@ -48,7 +63,14 @@ const App = () => {
           <Route index element={<Dashboard />} />
           <Route path="add-shows" element={<AddShows />} />
           <Route path="list-shows" element={<ListShows />} />
+          <Route path="show-series" element={<ShowSeries />} />
           <Route path="list-bookings" element={<ListBookings />} />
+          <Route path="theaters" element={<ManageTheaters />} />
+          <Route path="seat-map/:screenId" element={<SeatMapEditor />} />
+          <Route path="coupons" element={<Coupons />} />
+          <Route path="check-in" element={<CheckIn />} />
+          <Route path="email-templates" element={<EmailTemplates />} />
+          <Route path="audit-log" element={<AuditLog />} />
         </Route>
       </Routes>
       {!isAdminRoute && <Footer />}
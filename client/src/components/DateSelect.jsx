@@ -33,10 +33,12 @@ const DateSelect = ({ dateTime, id }) => {
                       ? "bg-primary text-white"
                       : "border border-primary/70"
                   }`}>
-                  <span>{new Date(date).getDate()}</span>
+                  {/* date keys are calendar dates, read them as UTC */}
+                  <span>{new Date(date).getUTCDate()}</span>
                   <span>
                     {new Date(date).toLocaleDateString("en-US", {
                       month: "short",
+                      timeZone: "UTC",
                     })}
                   </span>
                 </button>
@@ -1,7 +1,13 @@
 import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { assets } from "../assets/assets";
-import { MenuIcon, SearchIcon, TicketPlus, XIcon } from "lucide-react";
+import {
+  BellIcon,
+  MenuIcon,
+  SearchIcon,
+  TicketPlus,
+  XIcon,
+} from "lucide-react";
 import { useClerk, UserButton, useUser } from "@clerk/clerk-react";
 import { useAppContext } from "../context/AppContext";
 
@@ -47,7 +53,7 @@ const Navbar = () => {
             scrollTo(0, 0);
             setIsOpen(false);
           }}
-          to="/">
+          to="/theaters">
           Theatre
         </Link>
         <Link
@@ -86,6 +92,11 @@ const Navbar = () => {
                 labelIcon={<TicketPlus width={15} />}
                 onClick={() => navigate("/my-Bookings")}
               />
+              <UserButton.Action
+                label="Email Preferences"
+                labelIcon={<BellIcon width={15} />}
+                onClick={() => navigate("/preferences")}
+              />
             </UserButton.MenuItems>
           </UserButton>
         )}
@@ -0,0 +1,94 @@
+import React from "react";
+import { AccessibilityIcon } from "lucide-react";
+
+//Renders a screen seat layout. Used for seat selection and by the admin
+//seat map editor (showGaps makes empty cells clickable there).
+const SeatMap = ({
+  layout,
+  categories = layout.categories || [],
+  occupiedSeats = [],
+  selectedSeats = [],
+  onCellClick,
+  showGaps = false,
+}) => {
+  const currency = import.meta.env.VITE_CURRENCY;
+
+  const renderCell = (row, cell, rowIndex, cellIndex) => {
+    const key = `${row.label}-${cellIndex}`;
+    const handleClick = () => onCellClick?.(rowIndex, cellIndex);
+
+    if (cell.type === "gap") {
+      return showGaps ? (
+        <button
+          key={key}
+          onClick={handleClick}
+          className="h-8 w-8 rounded border border-dashed border-gray-700 cursor-pointer"
+        />
+      ) : (
+        <span key={key} className="h-8 w-8" />
+      );
+    }
+
+    const seatId = `${row.label}${cell.number}`;
+    const isSelected = selectedSeats.includes(seatId);
+    const isOccupied = occupiedSeats.includes(seatId);
+    const category =
+      categories.find((item) => item.key === cell.category) || categories[0];
+    const title = [
+      seatId,
+      category?.name,
+      category?.price !== undefined && `${currency}${category.price}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    return (
+      <button
+        key={key}
+        title={title}
+        onClick={handleClick}
+        style={
+          category?.color && !cell.blocked && !isSelected
+            ? { borderColor: category.color }
+            : undefined
+        }
+        className={`flex items-center justify-center h-8 w-8 rounded border cursor-pointer ${
+          cell.blocked
+            ? "border-gray-700 text-gray-600 line-through"
+            : "border-primary/60"
+        } ${isSelected ? "bg-primary text-white" : ""} ${
+          isOccupied ? "opacity-50 cursor-not-allowed" : ""
+        }`}>
+        {cell.type === "wheelchair" ? (
+          <AccessibilityIcon className="w-4 h-4" />
+        ) : (
+          seatId
+        )}
+      </button>
+    );
+  };
+
+  return (
+    <div className="max-w-full overflow-x-auto pb-2">
+      <div className="flex flex-col items-center w-max mx-auto text-xs text-gray-300">
+        {layout.rows.map((row, rowIndex) => (
+          <div
+            key={row.label}
+            className={`flex items-center gap-2 mt-2 ${
+              row.aisleAfter ? "mb-8" : ""
+            }`}>
+            <span className="w-5 text-gray-500">{row.label}</span>
+            <div className="flex gap-2">
+              {row.cells.map((cell, cellIndex) =>
+                renderCell(row, cell, rowIndex, cellIndex)
+              )}
+            </div>
+            <span className="w-5 text-right text-gray-500">{row.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SeatMap;
@@ -1,30 +1,21 @@
 import React from "react";
 import { assets } from "../../assets/assets";
-import {
-  LayoutDashboardIcon,
-  ListCollapseIcon,
-  ListIcon,
-  PlusSquareIcon,
-} from "lucide-react";
 import { Navigate, NavLink } from "react-router-dom";
+import adminLinks from "../../lib/adminLinks";
+import { useAppContext } from "../../context/AppContext";
 
 const AdminSidebar = () => {
+  const { adminAccess, hasPermission } = useAppContext();
   const user = {
     firstName: "Admin",
     lastName: "User",
     imageUrl: assets.profile,
   };
 
-  const adminNavlinks = [
-    { name: "Dashboard", path: "/admin", icon: LayoutDashboardIcon },
-    { name: "Add Shows", path: "/admin/add-shows", icon: PlusSquareIcon },
-    { name: "List Shows", path: "/admin/list-shows", icon: ListIcon },
-    {
-      name: "List Bookings",
-      path: "/admin/list-bookings",
-      icon: ListCollapseIcon,
-    },
-  ];
+  //sections the staff member's role doesn't open are left out
+  const adminNavlinks = adminLinks.filter((link) =>
+    hasPermission(...link.permissions)
+  );
 
   return (
     <div className="h-[calc(100vh-64px)] md:flex flex-col items-center pt-8 max-w-13 md:max-w-60 w-full border-r border-gray-300/20 text-sm">
@@ -37,6 +28,11 @@ const AdminSidebar = () => {
         {user.firstName}
         {user.lastName}
       </p>
+      {adminAccess?.roleName && (
+        <p className="text-xs text-gray-400 max-md:hidden">
+          {adminAccess.roleName}
+        </p>
+      )}
       <div className="w-full">
         {adminNavlinks.map((link, index) => (
           <NavLink
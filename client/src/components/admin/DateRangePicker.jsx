@@ -0,0 +1,69 @@
+import React from "react";
+import { daysAgo } from "../../lib/daysAgo";
+
+const intervals = ["day", "week", "month"];
+
+const presets = [
+  { label: "7 days", days: 7, interval: "day" },
+  { label: "30 days", days: 30, interval: "day" },
+  { label: "90 days", days: 90, interval: "week" },
+  { label: "12 months", days: 365, interval: "month" },
+];
+
+//From/to dates with quick presets and a day/week/month grouping. `value` is
+//{ from, to, interval }.
+const DateRangePicker = ({ value, onChange }) => {
+  const inputClass =
+    "border border-gray-600 bg-transparent px-3 py-1.5 rounded-md outline-none";
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 text-sm">
+      {[
+        ["from", "From"],
+        ["to", "To"],
+      ].map(([field, label]) => (
+        <label key={field} className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">{label}</span>
+          <input
+            type="date"
+            value={value[field]}
+            max={daysAgo(0)}
+            onChange={(e) => onChange({ ...value, [field]: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+      ))}
+      <label className="flex flex-col gap-1">
+        <span className="text-xs text-gray-400">Group by</span>
+        <select
+          value={value.interval}
+          onChange={(e) => onChange({ ...value, interval: e.target.value })}
+          className={inputClass}>
+          {intervals.map((interval) => (
+            <option key={interval} value={interval} className="bg-gray-900">
+              {interval[0].toUpperCase() + interval.slice(1)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="flex flex-wrap gap-2">
+        {presets.map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() =>
+              onChange({
+                from: daysAgo(preset.days - 1),
+                to: daysAgo(0),
+                interval: preset.interval,
+              })
+            }
+            className="px-3 py-1.5 rounded-full border border-gray-600 hover:border-primary cursor-pointer transition">
+            {preset.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DateRangePicker;
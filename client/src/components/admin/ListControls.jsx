@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import { SearchIcon } from "lucide-react";
+
+//Search box and filters for a paged admin list. `fields` describes the
+//filters as { name, label, type: "select" | "date" | "text", options } and
+//`query` holds their values; `onChange` is its state setter. Changing any of
+//them goes back to page 1.
+const ListControls = ({ query, onChange, fields, searchPlaceholder }) => {
+  const [search, setSearch] = useState(query.search);
+
+  //waits for a pause in typing before searching
+  useEffect(() => {
+    if (search === query.search) return;
+    const timer = setTimeout(
+      () => onChange((prev) => ({ ...prev, search, page: 1 })),
+      400
+    );
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const update = (name, value) =>
+    onChange({ ...query, [name]: value, page: 1 });
+
+  const clear = () => {
+    setSearch("");
+    onChange({
+      ...query,
+      ...Object.fromEntries(fields.map((field) => [field.name, ""])),
+      search: "",
+      page: 1,
+    });
+  };
+
+  const inputClass =
+    "border border-gray-600 bg-transparent px-3 py-1.5 rounded-md outline-none";
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs text-gray-400">Search</span>
+        <div className={`flex items-center gap-2 ${inputClass}`}>
+          <SearchIcon className="w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={searchPlaceholder}
+            className="outline-none bg-transparent w-52"
+          />
+        </div>
+      </label>
+      {fields.map((field) => (
+        <label key={field.name} className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">{field.label}</span>
+          {field.type === "select" ? (
+            <select
+              value={query[field.name]}
+              onChange={(e) => update(field.name, e.target.value)}
+              className={inputClass}>
+              {field.options.map(([value, label]) => (
+                <option key={value} value={value} className="bg-gray-900">
+                  {label}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type={field.type}
+              value={query[field.name]}
+              onChange={(e) => update(field.name, e.target.value)}
+              className={inputClass}
+            />
+          )}
+        </label>
+      ))}
+      <button
+        onClick={clear}
+        className="px-3 py-1.5 text-gray-400 hover:text-white cursor-pointer">
+        Clear
+      </button>
+    </div>
+  );
+};
+
+export default ListControls;
@@ -0,0 +1,40 @@
+import React from "react";
+
+//Page position and previous/next buttons for a paged admin list.
+//`pagination` is the { page, limit, total, totalPages } the API returns.
+const Pagination = ({ pagination, onPageChange }) => {
+  if (!pagination) return null;
+  const { page, limit, total, totalPages } = pagination;
+  const first = total ? (page - 1) * limit + 1 : 0;
+  const last = Math.min(page * limit, total);
+
+  const buttonClass =
+    "border border-gray-600 px-3 py-1 rounded enabled:hover:border-primary enabled:cursor-pointer disabled:opacity-40";
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 mt-4 text-sm text-gray-400">
+      <p>
+        {first}–{last} of {total}
+      </p>
+      <div className="flex items-center gap-3">
+        <button
+          disabled={page <= 1}
+          onClick={() => onPageChange(page - 1)}
+          className={buttonClass}>
+          Previous
+        </button>
+        <span>
+          Page {page} of {totalPages}
+        </span>
+        <button
+          disabled={page >= totalPages}
+          onClick={() => onPageChange(page + 1)}
+          className={buttonClass}>
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
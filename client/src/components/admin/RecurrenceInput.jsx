@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { DeleteIcon } from "lucide-react";
+
+const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+//Date range, show times and weekdays of a recurring show series. Used when
+//adding a series and when editing one.
+const RecurrenceInput = ({ value, onChange }) => {
+  const [timeInput, setTimeInput] = useState("");
+
+  const update = (field, fieldValue) =>
+    onChange({ ...value, [field]: fieldValue });
+
+  const addTime = () => {
+    if (!timeInput || value.times.includes(timeInput)) return;
+    update("times", [...value.times, timeInput].sort());
+  };
+
+  const toggleDay = (day) =>
+    update(
+      "daysOfWeek",
+      value.daysOfWeek.includes(day)
+        ? value.daysOfWeek.filter((item) => item !== day)
+        : [...value.daysOfWeek, day].sort()
+    );
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap gap-4">
+        {[
+          ["startDate", "From"],
+          ["endDate", "Until"],
+        ].map(([field, label]) => (
+          <div key={field}>
+            <label className="block font-medium mb-2">{label}</label>
+            <input
+              type="date"
+              value={value[field]}
+              onChange={(e) => update(field, e.target.value)}
+              className="border border-gray-600 px-3 py-2 rounded-md outline-none"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <label className="block font-medium mb-2">Show times</label>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="inline-flex gap-2 border border-gray-600 p-1 pl-3 rounded-lg">
+            <input
+              type="time"
+              value={timeInput}
+              onChange={(e) => setTimeInput(e.target.value)}
+              className="outline-none"
+            />
+            <button
+              onClick={addTime}
+              className="bg-primary/80 text-white px-3 py-1.5 rounded-lg hover:bg-primary cursor-pointer">
+              Add Time
+            </button>
+          </div>
+          {value.times.map((time) => (
+            <div
+              key={time}
+              className="border border-primary px-2 py-1 flex items-center rounded">
+              <span>{time}</span>
+              <DeleteIcon
+                onClick={() =>
+                  update(
+                    "times",
+                    value.times.filter((item) => item !== time)
+                  )
+                }
+                width={15}
+                className="ml-2 text-red-500 hover:text-red-700 cursor-pointer"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block font-medium mb-2">Runs on</label>
+        <div className="flex flex-wrap gap-2">
+          {weekdays.map((name, day) => (
+            <button
+              key={name}
+              onClick={() => toggleDay(day)}
+              className={`px-3 py-1 rounded-full border cursor-pointer transition ${
+                value.daysOfWeek.includes(day)
+                  ? "bg-primary border-primary text-white"
+                  : "border-gray-600 hover:border-primary"
+              }`}>
+              {name}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurrenceInput;
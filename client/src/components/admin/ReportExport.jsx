@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../../context/AppContext";
+import downloadFile from "../../lib/downloadFile";
+
+const statuses = ["pending", "paid", "cancelled", "refunded", "expired"];
+
+//Filters and CSV/XLSX download buttons for an admin report. `report` is the
+//name of an /api/admin/export endpoint; `movies` fills the movie filter.
+const ReportExport = ({ report, title, dateLabel, anyStatusLabel, movies }) => {
+  const { axios, getToken } = useAppContext();
+  const [filters, setFilters] = useState({
+    from: "",
+    to: "",
+    movie: "",
+    status: "",
+  });
+  const [downloading, setDownloading] = useState(false);
+
+  const updateFilter = (field, value) =>
+    setFilters((prev) => ({ ...prev, [field]: value }));
+
+  const download = async (format) => {
+    setDownloading(true);
+    try {
+      await downloadFile(axios, `/api/admin/export/${report}`, {
+        token: await getToken(),
+        filename: `${report}-${new Date().toISOString().split("T")[0]}.${format}`,
+        params: {
+          format,
+          ...Object.fromEntries(
+            Object.entries(filters).filter(([, value]) => value)
+          ),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      toast.error("Could not download the report.");
+    }
+    setDownloading(false);
+  };
+
+  const inputClass =
+    "border border-gray-600 bg-transparent px-3 py-1.5 rounded-md outline-none";
+
+  return (
+    <div className="max-w-4xl mt-6 bg-primary/5 border border-primary/20 rounded-md p-4 text-sm">
+      <p className="font-medium">{title}</p>
+      <div className="flex flex-wrap items-end gap-3 mt-3">
+        {[
+          ["from", `${dateLabel} from`],
+          ["to", "To"],
+        ].map(([field, label]) => (
+          <label key={field} className="flex flex-col gap-1">
+            <span className="text-xs text-gray-400">{label}</span>
+            <input
+              type="date"
+              value={filters[field]}
+              onChange={(e) => updateFilter(field, e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">Movie</span>
+          <select
+            value={filters.movie}
+            onChange={(e) => updateFilter("movie", e.target.value)}
+            className={inputClass}>
+            <option value="" className="bg-gray-900">
+              All movies
+            </option>
+            {movies.map((movie) => (
+              <option key={movie._id} value={movie._id} className="bg-gray-900">
+                {movie.title}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">Bookings</span>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter("status", e.target.value)}
+            className={`${inputClass} capitalize`}>
+            <option value="" className="bg-gray-900">
+              {anyStatusLabel}
+            </option>
+            {statuses.map((status) => (
+              <option key={status} value={status} className="bg-gray-900">
+                {status}
+              </option>
+            ))}
+          </select>
+        </label>
+        {["csv", "xlsx"].map((format) => (
+          <button
+            key={format}
+            onClick={() => download(format)}
+            disabled={downloading}
+            className="bg-primary text-white px-4 py-1.5 rounded hover:bg-primary/90 transition cursor-pointer uppercase">
+            {format}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { useAppContext } from "../../context/AppContext";
+import { daysAgo } from "../../lib/daysAgo";
+import { dateFormat } from "../../lib/dateFormat";
+import DateRangePicker from "./DateRangePicker";
+
+const primary = "#f84565";
+const secondary = "#9ca3af";
+const axisProps = { stroke: secondary, fontSize: 12, tickLine: false };
+const tooltipProps = {
+  contentStyle: {
+    background: "#111827",
+    border: `1px solid ${primary}33`,
+    borderRadius: 6,
+    fontSize: 12,
+  },
+  cursor: { fill: `${primary}1a` },
+};
+
+//Axis label for a period starting on `period` ("YYYY-MM-DD")
+const formatPeriod = (period, interval) =>
+  new Date(`${period}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    ...(interval === "month"
+      ? { month: "short", year: "numeric" }
+      : { month: "short", day: "numeric" }),
+  });
+
+const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? "am" : "pm"}`;
+
+const ChartCard = ({ title, subtitle, children }) => (
+  <div className="bg-primary/5 border border-primary/20 rounded-md p-4">
+    <p className="font-medium">{title}</p>
+    {subtitle && <p className="text-xs text-gray-400 mt-0.5">{subtitle}</p>}
+    <div className="h-64 mt-4">
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+//Sales charts for a date range: revenue and tickets over time, top movies,
+//bookings by hour of day and occupancy of recent shows
+const SalesAnalytics = () => {
+  const { axios, getToken, user } = useAppContext();
+  const currency = import.meta.env.VITE_CURRENCY;
+  const [range, setRange] = useState({
+    from: daysAgo(29),
+    to: daysAgo(0),
+    interval: "day",
+  });
+  const [analytics, setAnalytics] = useState(null);
+
+  const fetchAnalytics = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/analytics", {
+        params: range,
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setAnalytics(data.analytics);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user && range.from && range.to) {
+      fetchAnalytics();
+    }
+  }, [user, range]);
+
+  const money = (value) => `${currency}${value.toLocaleString()}`;
+
+  const summaryCards = analytics
+    ? [
+        { title: "Revenue", value: money(analytics.summary.revenue) },
+        { title: "Tickets Sold", value: analytics.summary.tickets },
+        {
+          title: "Avg Ticket Price",
+          value: money(analytics.summary.averageTicketPrice),
+        },
+        {
+          title: "Avg Occupancy",
+          value: `${analytics.occupancy.averageOccupancy}%`,
+        },
+      ]
+    : [];
+
+  return (
+    <div className="mt-10 max-w-5xl">
+      <p className="text-lg font-medium">Sales Analytics</p>
+      <div className="mt-4">
+        <DateRangePicker value={range} onChange={setRange} />
+      </div>
+
+      {analytics && (
+        <>
+          <div className="flex flex-wrap gap-4 mt-6">
+            {summaryCards.map((card) => (
+              <div
+                key={card.title}
+                className="px-4 py-3 bg-primary/10 border border-primary/20 rounded-md max-w-50 w-full">
+                <h1 className="text-sm">{card.title}</h1>
+                <p className="text-xl font-medium mt-1">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-4 mt-6 text-sm">
+            <div className="lg:col-span-2">
+              <ChartCard
+                title="Revenue and tickets"
+                subtitle={`Paid bookings by ${analytics.interval}, ${analytics.timeZone} time`}>
+                <ComposedChart data={analytics.timeline}>
+                  <CartesianGrid stroke="#374151" strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="period"
+                    tickFormatter={(period) =>
+                      formatPeriod(period, analytics.interval)
+                    }
+                    {...axisProps}
+                  />
+                  <YAxis yAxisId="revenue" {...axisProps} />
+                  <YAxis
+                    yAxisId="tickets"
+                    orientation="right"
+                    allowDecimals={false}
+                    {...axisProps}
+                  />
+                  <Tooltip
+                    {...tooltipProps}
+                    labelFormatter={(period) =>
+                      formatPeriod(period, analytics.interval)
+                    }
+                    formatter={(value, name) =>
+                      name === "Revenue" ? money(value) : value
+                    }
+                  />
+                  <Bar
+                    yAxisId="tickets"
+                    dataKey="tickets"
+                    name="Tickets"
+                    fill={`${primary}55`}
+                  />
+                  <Line
+                    yAxisId="revenue"
+                    dataKey="revenue"
+                    name="Revenue"
+                    stroke={primary}
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                </ComposedChart>
+              </ChartCard>
+            </div>
+
+            <ChartCard title="Top movies" subtitle="By revenue">
+              <BarChart
+                data={analytics.topMovies}
+                layout="vertical"
+                margin={{ left: 20 }}>
+                <XAxis type="number" {...axisProps} />
+                <YAxis
+                  type="category"
+                  dataKey="title"
+                  width={100}
+                  tickFormatter={(title) =>
+                    title.length > 14 ? `${title.slice(0, 13)}…` : title
+                  }
+                  {...axisProps}
+                />
+                <Tooltip
+                  {...tooltipProps}
+                  formatter={(value) => money(value)}
+                />
+                <Bar dataKey="revenue" name="Revenue" fill={primary} />
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard
+              title="Sales by hour of day"
+              subtitle={`Tickets sold, ${analytics.timeZone} time`}>
+              <BarChart data={analytics.salesByHour}>
+                <XAxis
+                  dataKey="hour"
+                  tickFormatter={formatHour}
+                  interval={2}
+                  {...axisProps}
+                />
+                <YAxis allowDecimals={false} {...axisProps} />
+                <Tooltip {...tooltipProps} labelFormatter={formatHour} />
+                <Bar dataKey="tickets" name="Tickets" fill={primary} />
+              </BarChart>
+            </ChartCard>
+
+            <div className="lg:col-span-2">
+              <ChartCard
+                title="Occupancy per show"
+                subtitle="Seats sold out of bookable seats for the latest shows in the range">
+                <BarChart data={analytics.occupancy.shows}>
+                  <XAxis dataKey="showId" tick={false} {...axisProps} />
+                  <YAxis domain={[0, 100]} unit="%" {...axisProps} />
+                  <Tooltip
+                    {...tooltipProps}
+                    labelFormatter={(showId, payload) => {
+                      const show = payload[0]?.payload;
+                      return show
+                        ? `${show.title} · ${dateFormat(show.showDateTime, show.timeZone)}`
+                        : showId;
+                    }}
+                    formatter={(value, name, { payload }) => [
+                      `${value}% (${payload.seatsSold}/${payload.capacity})`,
+                      "Occupancy",
+                    ]}
+                  />
+                  <Bar dataKey="occupancy" fill={primary} />
+                </BarChart>
+              </ChartCard>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SalesAnalytics;
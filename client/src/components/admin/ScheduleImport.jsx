@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../../context/AppContext";
+
+//Uploads a schedule spreadsheet saved as CSV. "Check File" validates every
+//row without adding anything; problems are listed by line.
+const ScheduleImport = ({ onImported }) => {
+  const { axios, getToken } = useAppContext();
+  const [file, setFile] = useState(null);
+  const [allowConflicts, setAllowConflicts] = useState(false);
+  const [result, setResult] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  const upload = async (dryRun) => {
+    if (!file) return toast("Choose a CSV file first.");
+    setUploading(true);
+    try {
+      const { data } = await axios.post("/api/show/import", await file.text(), {
+        params: { dryRun, allowConflicts },
+        headers: {
+          "Content-Type": "text/csv",
+          Authorization: `Bearer ${await getToken()}`,
+        },
+      });
+      setResult(data);
+      if (data.success && !dryRun) {
+        toast.success(data.message);
+        onImported();
+      }
+    } catch (error) {
+      setResult(
+        error.response?.data || { success: false, message: error.message }
+      );
+    }
+    setUploading(false);
+  };
+
+  return (
+    <div className="max-w-4xl mt-6 bg-primary/5 border border-primary/20 rounded-md p-4 text-sm">
+      <p className="font-medium">Import schedule</p>
+      <p className="text-xs text-gray-400 mt-1">
+        One show per row with the columns movieId (TMDB ID), theater, screen,
+        date (YYYY-MM-DD), time (HH:mm, venue time) and showPrice, plus optional
+        categoryPrices like "premium=350; recliner=500". Exported files can be
+        edited and imported again.
+      </p>
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setResult(null);
+          }}
+          className="text-gray-300 file:mr-3 file:px-3 file:py-1 file:rounded file:border-0 file:bg-primary/80 file:text-white file:cursor-pointer"
+        />
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allowConflicts}
+            onChange={(e) => setAllowConflicts(e.target.checked)}
+            className="accent-primary"
+          />
+          Allow overlapping shows
+        </label>
+      </div>
+      <div className="flex gap-3 mt-3">
+        <button
+          onClick={() => upload(true)}
+          disabled={uploading}
+          className="border border-primary px-4 py-1.5 rounded hover:bg-primary/20 transition cursor-pointer">
+          Check File
+        </button>
+        <button
+          onClick={() => upload(false)}
+          disabled={uploading}
+          className="bg-primary text-white px-4 py-1.5 rounded hover:bg-primary/90 transition cursor-pointer">
+          Import Shows
+        </button>
+      </div>
+
+      {result && (
+        <div className="mt-4">
+          <p className={result.success ? "text-green-500" : "text-red-500"}>
+            {result.message}
+          </p>
+          {result.errors?.length > 0 && (
+            <div className="mt-2 max-h-60 overflow-y-auto">
+              <table className="w-full border-collapse">
+                <thead>
+                  <tr className="text-left text-gray-400">
+                    <th className="p-1 w-16 font-medium">Line</th>
+                    <th className="p-1 font-medium">Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.errors.map((error) => (
+                    <tr key={error.line} className="border-t border-primary/10">
+                      <td className="p-1 align-top">{error.line}</td>
+                      <td className="p-1">
+                        {error.messages.map((message) => (
+                          <p key={message}>{message}</p>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleImport;
@@ -0,0 +1,111 @@
+import React from "react";
+import showDate from "../../lib/showDate";
+import isoTimeFormat from "../../lib/isoTimeFormat";
+
+const DAY_MINUTES = 24 * 60;
+
+//Minutes since midnight on the venue's clock
+const minuteOfDay = (dateTime, timeZone) => {
+  const [hour, minute] = new Date(dateTime)
+    .toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      timeZone,
+    })
+    .split(":")
+    .map(Number);
+  return hour * 60 + minute;
+};
+
+//Day-by-day view of a screen: shows already on it above the ones being added,
+//overlaps in red. `schedule` is the /api/show/check-conflicts response.
+const ScreenTimeline = ({ schedule }) => {
+  const { timeZone, proposed, existing, conflictCount } = schedule;
+
+  const days = {};
+  proposed.forEach((block) => {
+    (days[showDate(block.start, timeZone)] ??= {
+      existing: [],
+      proposed: [],
+    }).proposed.push(block);
+  });
+  existing.forEach((block) => {
+    days[showDate(block.start, timeZone)]?.existing.push(block);
+  });
+
+  const renderBlock = (block, index, isNew) => {
+    const start = minuteOfDay(block.start, timeZone);
+    const length = (new Date(block.end) - new Date(block.start)) / 60000;
+    const conflict = isNew ? block.conflicts.length > 0 : block.conflict;
+    const label = isNew ? "New show" : block.movieTitle;
+    return (
+      <div
+        key={index}
+        title={`${label}: ${isoTimeFormat(block.start, timeZone)} - ${isoTimeFormat(
+          block.end,
+          timeZone
+        )}`}
+        className={`absolute h-4 rounded px-1 text-[10px] leading-4 truncate ${
+          isNew ? "bottom-1" : "top-1"
+        } ${
+          conflict
+            ? "bg-red-500/80 text-white"
+            : isNew
+              ? "bg-primary/80 text-white"
+              : "bg-gray-500/60"
+        }`}
+        style={{
+          left: `${(start / DAY_MINUTES) * 100}%`,
+          width: `${(Math.min(length, DAY_MINUTES - start) / DAY_MINUTES) * 100}%`,
+        }}>
+        {label}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-6 max-w-3xl text-sm">
+      <p className="font-medium">Screen timeline</p>
+      <p className="text-xs text-gray-400 mt-1">
+        Each show holds the screen for {schedule.adMinutes} min of ads and
+        trailers, the {schedule.runtime} min movie and{" "}
+        {schedule.cleaningMinutes} min of cleaning. Times are in {timeZone}{" "}
+        time.
+      </p>
+      <p className={`mt-2 ${conflictCount ? "text-red-500" : "text-gray-300"}`}>
+        {conflictCount
+          ? `${conflictCount} of the new shows overlap other shows on this screen.`
+          : "No conflicts with other shows on this screen."}
+      </p>
+
+      <div className="mt-3 max-h-80 overflow-y-auto pr-2 space-y-1">
+        <div className="flex text-[10px] text-gray-400">
+          <span className="w-24 shrink-0" />
+          <div className="flex-1 flex justify-between">
+            {[0, 6, 12, 18, 24].map((hour) => (
+              <span key={hour}>{String(hour).padStart(2, "0")}:00</span>
+            ))}
+          </div>
+        </div>
+        {Object.keys(days)
+          .sort()
+          .map((day) => (
+            <div key={day} className="flex items-center">
+              <span className="w-24 shrink-0 text-gray-400">{day}</span>
+              <div className="relative flex-1 h-11 bg-primary/5 border border-primary/10 rounded">
+                {days[day].existing.map((block, index) =>
+                  renderBlock(block, index, false)
+                )}
+                {days[day].proposed.map((block, index) =>
+                  renderBlock(block, `new-${index}`, true)
+                )}
+              </div>
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default ScreenTimeline;
@@ -0,0 +1,29 @@
+import React from "react";
+import { ArrowDownIcon, ArrowUpIcon } from "lucide-react";
+
+//A table heading that sorts the list by `field`. Clicking the current sort
+//column flips its order.
+const SortHeader = ({ label, field, query, onChange, className = "" }) => {
+  const active = query.sort === field;
+  const Arrow = query.order === "asc" ? ArrowUpIcon : ArrowDownIcon;
+
+  return (
+    <th className={`p-2 font-medium ${className}`}>
+      <button
+        onClick={() =>
+          onChange({
+            ...query,
+            sort: field,
+            order: active && query.order === "desc" ? "asc" : "desc",
+            page: 1,
+          })
+        }
+        className="inline-flex items-center gap-1 cursor-pointer hover:text-primary">
+        {label}
+        {active && <Arrow className="w-3.5 h-3.5" />}
+      </button>
+    </th>
+  );
+};
+
+export default SortHeader;
@@ -10,6 +10,8 @@ export const AppContext = createContext();
 
 export const AppProvider = ({ children }) => {
   const [isAdmin, setIsAdmin] = useState(false);
+  //the staff member's { role, roleName, permissions, theaters }
+  const [adminAccess, setAdminAccess] = useState(null);
   const [shows, setShows] = useState([]);
   const [showsLoading, setShowsLoading] = useState(true);
   const [favoriteMovies, setFavoriteMovies] = useState([]);
@@ -28,6 +30,16 @@ export const AppProvider = ({ children }) => {
         },
       });
       setIsAdmin(data.isAdmin);
+      setAdminAccess(
+        data.isAdmin
+          ? {
+              role: data.role,
+              roleName: data.roleName,
+              permissions: data.permissions,
+              theaters: data.theaters,
+            }
+          : null
+      );
 
       if (!data.isAdmin && location.pathname.startsWith("/admin")) {
         navigate("/");
@@ -38,6 +50,12 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  //true when the staff member has any of the given permissions
+  const hasPermission = (...permissions) =>
+    permissions.some((permission) =>
+      adminAccess?.permissions?.includes(permission)
+    );
+
   const fetchShows = async () => {
     setShowsLoading(true);
     try {
@@ -90,6 +108,8 @@ export const AppProvider = ({ children }) => {
     getToken,
     navigate,
     isAdmin,
+    adminAccess,
+    hasPermission,
     shows,
     showsLoading,
     favoriteMovies,
@@ -0,0 +1,78 @@
+import {
+  Building2Icon,
+  HistoryIcon,
+  LayoutDashboardIcon,
+  ListCollapseIcon,
+  ListIcon,
+  MailIcon,
+  PlusSquareIcon,
+  RepeatIcon,
+  ScanLineIcon,
+  TicketPercentIcon,
+} from "lucide-react";
+
+//Admin sections with the permissions that open them (any one will do)
+const adminLinks = [
+  {
+    name: "Dashboard",
+    path: "/admin",
+    icon: LayoutDashboardIcon,
+    permissions: ["dashboard:view"],
+  },
+  {
+    name: "Add Shows",
+    path: "/admin/add-shows",
+    icon: PlusSquareIcon,
+    permissions: ["shows:manage"],
+  },
+  {
+    name: "List Shows",
+    path: "/admin/list-shows",
+    icon: ListIcon,
+    permissions: ["shows:view"],
+  },
+  {
+    name: "Show Series",
+    path: "/admin/show-series",
+    icon: RepeatIcon,
+    permissions: ["shows:view"],
+  },
+  {
+    name: "List Bookings",
+    path: "/admin/list-bookings",
+    icon: ListCollapseIcon,
+    permissions: ["bookings:view"],
+  },
+  {
+    name: "Theaters",
+    path: "/admin/theaters",
+    icon: Building2Icon,
+    permissions: ["theaters:manage"],
+  },
+  {
+    name: "Promo Codes",
+    path: "/admin/coupons",
+    icon: TicketPercentIcon,
+    permissions: ["coupons:view", "coupons:manage"],
+  },
+  {
+    name: "Check-In",
+    path: "/admin/check-in",
+    icon: ScanLineIcon,
+    permissions: ["tickets:check-in"],
+  },
+  {
+    name: "Emails",
+    path: "/admin/email-templates",
+    icon: MailIcon,
+    permissions: ["emails:view"],
+  },
+  {
+    name: "Audit Log",
+    path: "/admin/audit-log",
+    icon: HistoryIcon,
+    permissions: ["audit:view"],
+  },
+];
+
+export default adminLinks;
@@ -1,9 +1,12 @@
-export const dateFormat = (date) => {
+//Pass the venue's timeZone for show times so they read the same for every
+//viewer; without one the browser's zone is used
+export const dateFormat = (date, timeZone) => {
   return new Date(date).toLocaleString("en-US", {
     weekday: "short",
     month: "long",
     day: "numeric",
     hour: "numeric",
     minute: "numeric",
+    ...(timeZone && { timeZone, timeZoneName: "short" }),
   });
 };
@@ -0,0 +1,6 @@
+//"YYYY-MM-DD" for the local day `days` ago
+export const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toLocaleDateString("en-CA");
+};
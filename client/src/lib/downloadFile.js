@@ -0,0 +1,16 @@
+//Saves a file from an admin API endpoint. The request needs the auth header,
+//so the file is fetched as a blob instead of opened as a link.
+const downloadFile = async (axios, url, { token, filename, params }) => {
+  const { data } = await axios.get(url, {
+    params,
+    responseType: "blob",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(data);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+export default downloadFile;
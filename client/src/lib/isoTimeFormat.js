@@ -1,9 +1,11 @@
-const isoTimeFormat = (dateTime) => {
+//Time of day of an instant, on the venue's clock when timeZone is given
+const isoTimeFormat = (dateTime, timeZone) => {
   const date = new Date(dateTime);
   const localTime = date.toLocaleTimeString("en-US", {
     hour: "2-digit",
     minute: "2-digit",
     hour12: true,
+    timeZone,
   });
   return localTime;
 };
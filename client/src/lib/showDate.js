@@ -0,0 +1,6 @@
+//The "YYYY-MM-DD" calendar date of a show on the venue's clock, as used in
+//the /movies/:id/:date route
+const showDate = (dateTime, timeZone) =>
+  new Date(dateTime).toLocaleDateString("en-CA", { timeZone });
+
+export default showDate;
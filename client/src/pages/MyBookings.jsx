@@ -1,11 +1,13 @@
 import React, { useEffect, useState } from "react";
-import { dummyBookingData } from "../assets/assets";
 import Loading from "../components/Loading";
 import BlurCircle from "../components/BlurCircle";
 import timeFormat from "../lib/timeFormat";
 import { dateFormat } from "../lib/dateFormat";
+import showDate from "../lib/showDate";
 import { useAppContext } from "../context/AppContext";
 import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { CalendarPlusIcon, DownloadIcon, XIcon } from "lucide-react";
 
 const MyBookings = () => {
   const currency = import.meta.env.VITE_CURRENCY;
@@ -13,6 +15,9 @@ const MyBookings = () => {
   const { axios, getToken, user, image_base_url } = useAppContext();
   const [bookings, setBookings] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [policy, setPolicy] = useState(null);
+  const [ticket, setTicket] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
 
   const getMyBookings = async () => {
     try {
@@ -29,9 +34,125 @@ const MyBookings = () => {
     setIsLoading(false);
   };
 
+  const getWaitlist = async () => {
+    try {
+      const { data } = await axios.get("/api/user/waitlist", {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setWaitlist(data.waitlist);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const leaveWaitlist = async (entry) => {
+    if (!window.confirm("Leave the waitlist for this show?")) return;
+    try {
+      const { data } = await axios.post(
+        `/api/booking/waitlist/${entry._id}/leave`,
+        {},
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getWaitlist();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const getCancellationPolicy = async () => {
+    try {
+      const { data } = await axios.get("/api/booking/cancellation-policy");
+      if (data.success) {
+        setPolicy(data.policy);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const canCancel = (booking) =>
+    policy &&
+    ["pending", "paid"].includes(booking.status) &&
+    new Date(booking.show.showDateTime).getTime() - Date.now() >
+      policy.cutoffHours * 60 * 60 * 1000;
+
+  const cancelBooking = async (booking) => {
+    const fee = Math.round(booking.amount * policy.feePercent) / 100;
+    //bookings for a rescheduled show are refunded in full
+    const confirmMessage =
+      booking.status !== "paid"
+        ? "Cancel this booking?"
+        : booking.freeCancellation
+          ? `Cancel this booking? The show was rescheduled, so you will be refunded the full ${currency}${booking.amount}.`
+          : `Cancel this booking? A ${policy.feePercent}% fee applies, you will be refunded ${currency}${booking.amount - fee}.`;
+    if (!window.confirm(confirmMessage)) return;
+
+    try {
+      const { data } = await axios.post(
+        `/api/booking/cancel/${booking._id}`,
+        {},
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getMyBookings();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const viewTicket = async (booking) => {
+    try {
+      const { data } = await axios.get(`/api/user/ticket/${booking._id}`, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setTicket({ booking, qrCode: data.qrCode, checkIns: data.checkIns });
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  //type is "pdf" for the ticket or "ics" for the calendar event
+  const downloadFile = async (booking, type) => {
+    try {
+      const { data } = await axios.get(
+        `/api/user/ticket/${booking._id}/${type}`,
+        {
+          headers: { Authorization: `Bearer ${await getToken()}` },
+          responseType: "blob",
+        }
+      );
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${type === "pdf" ? "ticket" : "show"}-${booking._id}.${type}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log(error);
+      toast.error("Could not download the file.");
+    }
+  };
+
   useEffect(() => {
     if (user) {
       getMyBookings();
+      getWaitlist();
+      getCancellationPolicy();
     }
   }, [user]);
 
@@ -41,7 +162,62 @@ const MyBookings = () => {
       <div>
         <BlurCircle bottom="0" left="600px" />
       </div>
+      {waitlist.length > 0 && (
+        <div className="mb-10 max-w-3xl">
+          <h1 className="text-lg font-semibold mb-4">Waitlist</h1>
+          {waitlist.map((entry) => (
+            <div
+              key={entry._id}
+              className="flex flex-wrap items-center justify-between gap-4 bg-primary/8 border border-primary/20 rounded-lg mt-2 px-4 py-3 text-sm">
+              <div>
+                <p className="font-semibold">{entry.show.movie.title}</p>
+                <p className="text-gray-400">
+                  {dateFormat(entry.show.showDateTime, entry.show.timeZone)}
+                </p>
+              </div>
+              {entry.status === "offered" ? (
+                <p>
+                  Seats {entry.offeredSeats.join(", ")} held until{" "}
+                  {new Date(entry.offerExpiresAt).toLocaleTimeString("en-US", {
+                    hour: "numeric",
+                    minute: "2-digit",
+                  })}
+                </p>
+              ) : (
+                <p className="text-gray-400">
+                  Waiting for {entry.seats} seat{entry.seats > 1 && "s"}
+                </p>
+              )}
+              <div className="flex items-center gap-4">
+                {entry.status === "offered" && (
+                  <Link
+                    to={`/movies/${entry.show.movie._id}/${showDate(
+                      entry.show.showDateTime,
+                      entry.show.timeZone
+                    )}?show=${entry.show._id}`}
+                    className="bg-primary px-4 py-1.5 rounded-full font-medium">
+                    Book Now
+                  </Link>
+                )}
+                <button
+                  onClick={() => leaveWaitlist(entry)}
+                  className="text-primary hover:underline cursor-pointer">
+                  Leave
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <h1 className="text-lg font-semibold mb-4">My Bookings</h1>
+      <p className="text-sm text-gray-400 mb-2">
+        Choose when we remind you about your shows in{" "}
+        <Link to="/preferences" className="text-primary hover:underline">
+          email preferences
+        </Link>
+        .
+      </p>
 
       {bookings.map((item, index) => (
         <div
@@ -59,7 +235,7 @@ const MyBookings = () => {
                 {timeFormat(item.show.movie.runtime)}
               </p>
               <p className="text-gray-400 text-sm mt-auto">
-                {dateFormat(item.show.showDateTime)}
+                {dateFormat(item.show.showDateTime, item.show.timeZone)}
               </p>
             </div>
           </div>
@@ -69,13 +245,18 @@ const MyBookings = () => {
                 {currency}
                 {item.amount}
               </p>
-              {!item.isPaid && (
+              {item.status === "pending" && item.paymentLink && (
                 <Link
                   to={item.paymentLink}
                   className="bg-primary px-4 py-1.5 mb-3 text-sm rounded-full font-medium cursor-pointer">
                   Pay Now
                 </Link>
               )}
+              {["expired", "cancelled", "refunded"].includes(item.status) && (
+                <span className="border border-gray-500 text-gray-400 px-3 py-1 mb-3 text-sm rounded-full capitalize">
+                  {item.status}
+                </span>
+              )}
             </div>
 
             <div className="text-sm">
@@ -87,10 +268,107 @@ const MyBookings = () => {
                 <span className="text-gray-400 ">Seats Booked: </span>
                 {item.bookedSeats.join(", ")}
               </p>
+              {item.coupon && (
+                <p>
+                  <span className="text-gray-400 ">Coupon {item.coupon}: </span>
+                  -{currency}
+                  {item.discount}
+                </p>
+              )}
+              {item.status === "pending" && item.lastPaymentError && (
+                <p className="text-red-400">{item.lastPaymentError}</p>
+              )}
+              {item.refundAmount !== undefined && (
+                <p>
+                  <span className="text-gray-400 ">Refund: </span>
+                  {currency}
+                  {item.refundAmount}
+                </p>
+              )}
+              {item.status === "paid" && (
+                <button
+                  onClick={() => viewTicket(item)}
+                  className="block text-primary hover:underline mt-2 cursor-pointer">
+                  View Ticket
+                </button>
+              )}
+              {canCancel(item) && (
+                <button
+                  onClick={() => cancelBooking(item)}
+                  className="text-primary hover:underline mt-2 cursor-pointer">
+                  Cancel Booking
+                </button>
+              )}
             </div>
           </div>
         </div>
       ))}
+
+      {/* E-ticket */}
+      {ticket && (
+        <div
+          onClick={() => setTicket(null)}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 px-6">
+          <div
+            onClick={(e) => e.stopPropagation()}
+            className="relative bg-white text-black rounded-lg p-6 w-full max-w-xs text-center">
+            <XIcon
+              onClick={() => setTicket(null)}
+              className="absolute top-3 right-3 w-5 h-5 cursor-pointer"
+            />
+            <p className="font-semibold">{ticket.booking.show.movie.title}</p>
+            <p className="text-sm text-gray-600">
+              {dateFormat(
+                ticket.booking.show.showDateTime,
+                ticket.booking.show.timeZone
+              )}
+            </p>
+            <img
+              src={ticket.qrCode}
+              alt="Ticket QR code"
+              className="mx-auto my-4 w-52 h-52"
+            />
+            <div className="flex flex-wrap justify-center gap-2 text-xs">
+              {ticket.booking.bookedSeats.map((seat) => (
+                <span
+                  key={seat}
+                  title={
+                    ticket.checkIns[seat]
+                      ? `Checked in ${dateFormat(
+                          ticket.checkIns[seat],
+                          ticket.booking.show.timeZone
+                        )}`
+                      : "Not checked in"
+                  }
+                  className={`px-2 py-1 rounded border ${
+                    ticket.checkIns[seat]
+                      ? "border-gray-300 text-gray-400 line-through"
+                      : "border-primary text-primary"
+                  }`}>
+                  {seat}
+                </span>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-4">
+              Show this code at the entrance.
+            </p>
+            <div className="flex justify-center gap-4 mt-4 text-sm">
+              <button
+                onClick={() => downloadFile(ticket.booking, "pdf")}
+                className="flex items-center gap-1 text-primary hover:underline cursor-pointer">
+                <DownloadIcon className="w-4 h-4" />
+                PDF Ticket
+              </button>
+              <button
+                onClick={() => downloadFile(ticket.booking, "ics")}
+                className="flex items-center gap-1 text-primary hover:underline cursor-pointer">
+                <CalendarPlusIcon className="w-4 h-4" />
+                Add to Calendar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   ) : (
     <Loading />
@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import BlurCircle from "../components/BlurCircle";
+import Loading from "../components/Loading";
+import { useAppContext } from "../context/AppContext";
+
+const options = [
+  {
+    field: "newShows",
+    label: "New shows",
+    description: "Hear about movies as soon as shows are scheduled.",
+  },
+  {
+    field: "favoritesOnly",
+    label: "Only my favorites",
+    description: "Limit new show emails to movies in your favorites.",
+    dependsOn: "newShows",
+  },
+  {
+    field: "reminders",
+    label: "Show reminders",
+    description: "Get a reminder before the shows you've booked.",
+  },
+  {
+    field: "promotions",
+    label: "Offers and promo codes",
+    description: "Discounts and special screenings.",
+  },
+];
+
+const localeNames = { en: "English", hi: "हिन्दी (Hindi)" };
+
+const channelNames = {
+  email: "Email",
+  sms: "SMS",
+  whatsapp: "WhatsApp",
+  push: "Browser notifications",
+};
+
+//VAPID keys are base64url, PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+const Preferences = () => {
+  const { axios, getToken, user } = useAppContext();
+  const [preferences, setPreferences] = useState(null);
+  const [reminderOffsetOptions, setReminderOffsetOptions] = useState([]);
+  const [locales, setLocales] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [pushPublicKey, setPushPublicKey] = useState(null);
+  const [phone, setPhone] = useState("");
+
+  const getPreferences = async () => {
+    try {
+      const { data } = await axios.get("/api/user/preferences", {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setPreferences(data.preferences);
+        setReminderOffsetOptions(data.reminderOffsetOptions);
+        setLocales(data.locales);
+        setChannels(data.channels);
+        setPushPublicKey(data.pushPublicKey);
+        setPhone(data.preferences.phone || "");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //saves a change right away, like a settings toggle
+  const updatePreferences = async (update) => {
+    try {
+      const { data } = await axios.put("/api/user/preferences", update, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setPreferences(data.preferences);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const toggleReminderOffset = (offset) => {
+    const { reminderOffsets } = preferences;
+    updatePreferences({
+      reminderOffsets: reminderOffsets.includes(offset)
+        ? reminderOffsets.filter((item) => item !== offset)
+        : [...reminderOffsets, offset],
+    });
+  };
+
+  //subscribes this browser to push and saves the subscription
+  const enablePush = async () => {
+    if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+      return toast.error("This browser doesn't support notifications.");
+    }
+    if (!pushPublicKey) {
+      return toast.error("Browser notifications aren't available yet.");
+    }
+    try {
+      if ((await Notification.requestPermission()) !== "granted") {
+        return toast.error("Notifications are blocked for this site.");
+      }
+      const registration = await navigator.serviceWorker.register("/sw.js");
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(pushPublicKey),
+      });
+      const { data } = await axios.post(
+        "/api/user/push-subscription",
+        { subscription: subscription.toJSON() },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        setPreferences(data.preferences);
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const toggleChannel = (channel) => {
+    const selected = preferences.channels;
+    if (selected.includes(channel)) {
+      return updatePreferences({
+        channels: selected.filter((item) => item !== channel),
+      });
+    }
+    if (channel === "push" && !preferences.pushSubscriptions.length) {
+      return enablePush();
+    }
+    updatePreferences({ channels: [...selected, channel] });
+  };
+
+  useEffect(() => {
+    if (user) {
+      getPreferences();
+    }
+  }, [user]);
+
+  if (!preferences) return <Loading />;
+
+  return (
+    <div className="relative px-6 md:px-16 lg:px-40 pt-30 md:pt-40 min-h-[80vh]">
+      <BlurCircle top="100px" left="100px" />
+      <h1 className="text-lg font-semibold mb-2">Email Preferences</h1>
+      <p className="text-sm text-gray-400 mb-6">
+        Booking confirmations, tickets and cancellations are always sent.
+      </p>
+
+      <div className="max-w-xl space-y-3">
+        <label className="flex items-center justify-between gap-4 bg-primary/8 border border-primary/20 rounded-lg p-4">
+          <div>
+            <p className="font-medium">Email language</p>
+            <p className="text-sm text-gray-400">
+              The language we write to you in.
+            </p>
+          </div>
+          <select
+            value={preferences.locale}
+            onChange={(e) => updatePreferences({ locale: e.target.value })}
+            className="bg-black border border-gray-600 rounded px-2 py-1 outline-none">
+            {locales.map((locale) => (
+              <option key={locale} value={locale}>
+                {localeNames[locale] || locale}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="bg-primary/8 border border-primary/20 rounded-lg p-4">
+          <p className="font-medium">Tickets and reminders</p>
+          <p className="text-sm text-gray-400">
+            Where we send booking confirmations, reminders and waitlist offers.
+            Other emails only go by email.
+          </p>
+          <div className="flex flex-wrap gap-2 mt-3 text-sm">
+            {channels.map((channel) => (
+              <button
+                key={channel}
+                onClick={() => toggleChannel(channel)}
+                className={`px-3 py-1 rounded-full border cursor-pointer transition ${
+                  preferences.channels.includes(channel)
+                    ? "bg-primary border-primary text-white"
+                    : "border-gray-600 hover:border-primary"
+                }`}>
+                {channelNames[channel] || channel}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 mt-3 text-sm">
+            <input
+              type="tel"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value.trim())}
+              placeholder="+919876543210"
+              className="border border-gray-600 px-3 py-1.5 rounded-md outline-none"
+            />
+            <button
+              onClick={() => updatePreferences({ phone })}
+              disabled={phone === (preferences.phone || "")}
+              className="px-3 py-1.5 rounded-md bg-primary hover:bg-primary/90 transition cursor-pointer disabled:opacity-50 disabled:cursor-default">
+              Save number
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Needed for SMS and WhatsApp.
+          </p>
+        </div>
+
+        {options.map(({ field, label, description, dependsOn }) => {
+          const disabled = dependsOn && !preferences[dependsOn];
+          return (
+            <label
+              key={field}
+              className={`flex items-start justify-between gap-4 bg-primary/8 border border-primary/20 rounded-lg p-4 ${
+                disabled ? "opacity-50" : "cursor-pointer"
+              } ${dependsOn ? "ml-6" : ""}`}>
+              <div>
+                <p className="font-medium">{label}</p>
+                <p className="text-sm text-gray-400">{description}</p>
+              </div>
+              <input
+                type="checkbox"
+                checked={preferences[field]}
+                disabled={disabled}
+                onChange={(e) =>
+                  updatePreferences({ [field]: e.target.checked })
+                }
+                className="mt-1 w-4 h-4 accent-primary"
+              />
+            </label>
+          );
+        })}
+
+        {preferences.reminders && (
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-400 ml-6">
+            <span>Remind me</span>
+            {reminderOffsetOptions.map((offset) => (
+              <button
+                key={offset}
+                onClick={() => toggleReminderOffset(offset)}
+                className={`px-3 py-1 rounded-full border cursor-pointer transition ${
+                  preferences.reminderOffsets.includes(offset)
+                    ? "bg-primary border-primary text-white"
+                    : "border-gray-600 hover:border-primary"
+                }`}>
+                {offset}h
+              </button>
+            ))}
+            <span>before my shows</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Preferences;
@@ -1,47 +1,58 @@
 import React, { useEffect, useState } from "react";
-import { useNavigate, useParams } from "react-router-dom";
-import { assets, dummyDateTimeData, dummyShowsData } from "../assets/assets";
+import { useParams, useSearchParams } from "react-router-dom";
+import { assets } from "../assets/assets";
 import Loading from "../components/Loading";
 import { ArrowRightIcon, ClockIcon } from "lucide-react";
 import isoTimeFormat from "../lib/isoTimeFormat";
 import BlurCircle from "../components/BlurCircle";
+import SeatMap from "../components/SeatMap";
 import toast from "react-hot-toast";
 import { useAppContext } from "../context/AppContext";
 
 const SeatLayout = () => {
-  const groupRows = [
-    ["A", "B"],
-    ["C", "D"],
-    ["E", "F"],
-    ["G", "H"],
-    ["I", "J"],
-  ];
   const { id, date } = useParams();
+  const [searchParams] = useSearchParams();
 
   const [selectedSeats, setSelectedSeats] = useState([]);
   const [selectedTime, setSelectedTime] = useState(null);
   const [show, setShow] = useState(null);
   const [occupiedSeats, setOccupiedSeats] = useState([]);
-
-  const navigate = useNavigate();
+  const [seatLayout, setSeatLayout] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [couponCode, setCouponCode] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [waitlistSeats, setWaitlistSeats] = useState(1);
 
   const { axios, getToken, user } = useAppContext();
+  const currency = import.meta.env.VITE_CURRENCY;
 
   const getShow = async () => {
     try {
       const { data } = await axios.get(`/api/show/${id}`);
       if (data.success) {
         setShow(data);
+        //preselect the showtime when coming from a theatre page
+        const showId = searchParams.get("show");
+        const item = data.dateTime[date]?.find(
+          (item) => item.showId === showId
+        );
+        if (item) setSelectedTime(item);
       }
     } catch (error) {
       console.log(error);
     }
   };
 
-  const handleSeatClick = (seatId) => {
+  const handleSeatClick = (rowIndex, cellIndex) => {
     if (!selectedTime) {
       return toast("Please select time first.");
     }
+    const row = seatLayout.rows[rowIndex];
+    const cell = row.cells[cellIndex];
+    const seatId = `${row.label}${cell.number}`;
+    if (cell.blocked) {
+      return toast("This seat is not available");
+    }
     if (!selectedSeats.includes(seatId) && selectedSeats.length > 4) {
       return toast("You can only select 5 seats");
     }
@@ -55,35 +66,26 @@ const SeatLayout = () => {
     );
   };
 
-  const renderSeats = (row, count = 9) => (
-    <div key={row} className="flex gap-2 mt-2">
-      <div className="flex flex-wrap items-center justify-center gap-2">
-        {Array.from({ length: count }, (_, i) => {
-          const seatId = `${row}${i + 1}`;
-          return (
-            <button
-              key={seatId}
-              onClick={() => handleSeatClick(seatId)}
-              className={`h-8 w-8 rounded border border-primary/60 cursor-pointer 
-                ${selectedSeats.includes(seatId) && "bg-primary text-white"} ${
-                occupiedSeats.includes(seatId) && "opacity-50 cursor-not-allowed "
-              }`}>
-              {seatId}
-            </button>
-          );
-        })}
-      </div>
-    </div>
-  );
-
   const getOccupiedSeats = async () => {
     try {
+      //signed in users also get the seats held for them from the waitlist
       const { data } = await axios.get(
-        `/api/booking/seats/${selectedTime.showId}`
+        `/api/booking/seats/${selectedTime.showId}`,
+        user
+          ? { headers: { Authorization: `Bearer ${await getToken()}` } }
+          : {}
       );
 
       if (data.success) {
         setOccupiedSeats(data.occupiedSeats);
+        setSeatLayout(data.seatLayout);
+        setCategories(data.categories);
+        if (data.heldSeats?.length) {
+          setSelectedSeats(data.heldSeats);
+          toast.success(
+            `Seats ${data.heldSeats.join(", ")} are being held for you.`
+          );
+        }
       } else {
         toast.error(data.message);
       }
@@ -92,6 +94,79 @@ const SeatLayout = () => {
     }
   };
 
+  //price of a seat from the category it belongs to on the seat map
+  const getSeatPrice = (seatId) => {
+    for (const row of seatLayout.rows) {
+      const cell = row.cells.find(
+        (cell) => cell.type !== "gap" && `${row.label}${cell.number}` === seatId
+      );
+      if (cell) {
+        const category =
+          categories.find((item) => item.key === cell.category) ||
+          categories[0];
+        return category.price;
+      }
+    }
+    return 0;
+  };
+
+  //bookable seats nobody has taken yet
+  const freeSeatCount = seatLayout
+    ? seatLayout.rows.reduce(
+        (acc, row) =>
+          acc +
+          row.cells.filter(
+            (cell) =>
+              cell.type !== "gap" &&
+              !cell.blocked &&
+              !occupiedSeats.includes(`${row.label}${cell.number}`)
+          ).length,
+        0
+      )
+    : 0;
+  //the waitlist is for more seats than are currently free
+  const waitlistCount = Math.max(waitlistSeats, freeSeatCount + 1);
+
+  const joinWaitlist = async () => {
+    try {
+      if (!user) return toast.error("Please login to proceed");
+      const { data } = await axios.post(
+        "/api/booking/waitlist",
+        { showId: selectedTime.showId, seats: waitlistCount },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const applyCoupon = async () => {
+    try {
+      if (!user) return toast.error("Please login to proceed");
+      if (!selectedTime || !selectedSeats.length)
+        return toast.error("Please select a time and seat");
+      const { data } = await axios.post(
+        "/api/booking/apply-coupon",
+        { showId: selectedTime.showId, selectedSeats, couponCode },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        setAppliedCoupon(data);
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      setAppliedCoupon(null);
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
   const bookTickets = async () => {
     try {
       if (!user) return toast.error("Please login to proceed");
@@ -99,11 +174,27 @@ const SeatLayout = () => {
         return toast.error("Please select a time and seat");
       const { data } = await axios.post(
         "/api/booking/create",
-        { showId: selectedTime.showId, selectedSeats },
+        {
+          showId: selectedTime.showId,
+          selectedSeats,
+          couponCode: appliedCoupon?.coupon,
+        },
         { headers: { Authorization: `Bearer ${await getToken()}` } }
       );
       if (data.success) {
         window.location.href = data.url;
+      } else if (data.takenSeats) {
+        //someone else grabbed one of the seats while this user was choosing
+        const { takenSeats } = data;
+        toast.error(
+          takenSeats.length
+            ? `Seat ${takenSeats.join(", ")} was just taken, please pick another.`
+            : data.message
+        );
+        setSelectedSeats((prev) =>
+          prev.filter((seat) => !takenSeats.includes(seat))
+        );
+        getOccupiedSeats();
       } else {
         toast.error(data.message);
       }
@@ -120,6 +211,10 @@ const SeatLayout = () => {
       getOccupiedSeats();
     }
   }, [selectedTime]);
+  //the discount depends on the seats, so it has to be applied again
+  useEffect(() => {
+    setAppliedCoupon(null);
+  }, [selectedTime, selectedSeats]);
 
   return show ? (
     <div className="flex flex-col md:flex-row px-6 lg:px-40 py-30 md:pt-50">
@@ -129,15 +224,27 @@ const SeatLayout = () => {
         <div className="mt-5 space-y-1">
           {show.dateTime[date].map((item) => (
             <div
-              key={item.time}
-              onClick={() => setSelectedTime(item)}
+              key={item.showId}
+              onClick={() => {
+                setSelectedTime(item);
+                setSelectedSeats([]);
+              }}
               className={`flex items-center gap-2 px-6 py-2 w-max rounded-r-md cursor-pointer transition ${
-                selectedTime?.time === item.time
+                selectedTime?.showId === item.showId
                   ? "bg-primary text-white"
                   : "hover:bg-primary/20"
               }`}>
               <ClockIcon className="w-4 h-4" />
-              <p className="text-sm">{isoTimeFormat(`${date}T${item.time}`)}</p>
+              <div>
+                <p className="text-sm">
+                  {isoTimeFormat(item.showDateTime, item.timeZone)}
+                </p>
+                {item.theater && (
+                  <p className="text-xs opacity-70">
+                    {item.theater} · {item.screen}
+                  </p>
+                )}
+              </div>
             </div>
           ))}
         </div>
@@ -150,15 +257,116 @@ const SeatLayout = () => {
         <h1 className="text-2xl font-semibold mb-4">Select your seat</h1>
         <img src={assets.screenImage} alt="screen" />
         <p className="text-gray-400 text-sm mb-6">SCREEN SIDE</p>
-        <div className="flex flex-col items-center mt-10 text-xs text-gray-300">
-          <div className="grid grid-cols-2 md:grid-cols-1 gap-8 md:gap-2 mb-6">
-            {groupRows[0].map((row) => renderSeats(row))}
-          </div>
-          <div className="grid grid-cols-2 gap-11">
-            {groupRows.slice(1).map((group, idx) => (
-              <div key={idx}>{group.map((row) => renderSeats(row))}</div>
-            ))}
-          </div>
+        <div className="mt-10 max-w-full">
+          {seatLayout ? (
+            <>
+              <SeatMap
+                layout={seatLayout}
+                categories={categories}
+                occupiedSeats={occupiedSeats}
+                selectedSeats={selectedSeats}
+                onCellClick={handleSeatClick}
+              />
+              {/* Legend */}
+              <div className="flex flex-wrap justify-center gap-6 mt-8 text-sm text-gray-300">
+                {categories.map((category) => (
+                  <div key={category.key} className="flex items-center gap-2">
+                    <span
+                      className="h-4 w-4 rounded border-2"
+                      style={{ borderColor: category.color }}
+                    />
+                    {category.name} · {currency}
+                    {category.price}
+                  </div>
+                ))}
+              </div>
+              {selectedSeats.length > 0 && (
+                <>
+                  <p className="text-center mt-4 text-sm">
+                    {selectedSeats.length} seat
+                    {selectedSeats.length > 1 && "s"} ·{" "}
+                    {appliedCoupon ? (
+                      <>
+                        <span className="line-through text-gray-400">
+                          {currency}
+                          {appliedCoupon.subtotal}
+                        </span>{" "}
+                        <span className="font-semibold">
+                          {currency}
+                          {appliedCoupon.total}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="font-semibold">
+                        {currency}
+                        {selectedSeats.reduce(
+                          (acc, seat) => acc + getSeatPrice(seat),
+                          0
+                        )}
+                      </span>
+                    )}
+                  </p>
+                  {/* Coupon */}
+                  <div className="flex items-center justify-center gap-2 mt-4 text-sm">
+                    <input
+                      type="text"
+                      value={couponCode}
+                      onChange={(e) => {
+                        setCouponCode(e.target.value.toUpperCase());
+                        setAppliedCoupon(null);
+                      }}
+                      placeholder="Coupon code"
+                      className="border border-gray-600 px-3 py-1.5 rounded-md outline-none uppercase w-36"
+                    />
+                    <button
+                      onClick={applyCoupon}
+                      disabled={!couponCode}
+                      className="px-4 py-1.5 border border-primary rounded-md hover:bg-primary/20 transition cursor-pointer disabled:opacity-50">
+                      Apply
+                    </button>
+                  </div>
+                  {appliedCoupon && (
+                    <p className="text-center mt-2 text-xs text-green-400">
+                      {appliedCoupon.coupon} saves you {currency}
+                      {appliedCoupon.discount}
+                    </p>
+                  )}
+                </>
+              )}
+              {/* Waitlist */}
+              {freeSeatCount < 5 && (
+                <div className="flex flex-wrap items-center justify-center gap-2 mt-6 text-sm text-gray-300">
+                  <span>
+                    {freeSeatCount === 0
+                      ? "This show is sold out."
+                      : "Need more seats?"}{" "}
+                    Join the waitlist for
+                  </span>
+                  <select
+                    value={waitlistCount}
+                    onChange={(e) => setWaitlistSeats(Number(e.target.value))}
+                    className="border border-gray-600 px-2 py-1 rounded-md outline-none bg-black">
+                    {[1, 2, 3, 4, 5]
+                      .filter((count) => count > freeSeatCount)
+                      .map((count) => (
+                        <option key={count} value={count}>
+                          {count} seat{count > 1 && "s"}
+                        </option>
+                      ))}
+                  </select>
+                  <button
+                    onClick={joinWaitlist}
+                    className="px-4 py-1 border border-primary rounded-md hover:bg-primary/20 transition cursor-pointer">
+                    Join Waitlist
+                  </button>
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">
+              Select a showtime to see available seats.
+            </p>
+          )}
         </div>
 
         <button
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ClockIcon, MapPinIcon } from "lucide-react";
+import BlurCircle from "../components/BlurCircle";
+import Loading from "../components/Loading";
+import isoTimeFormat from "../lib/isoTimeFormat";
+import timeFormat from "../lib/timeFormat";
+import showDate from "../lib/showDate";
+import { useAppContext } from "../context/AppContext";
+
+const TheaterDetails = () => {
+  const { axios, image_base_url } = useAppContext();
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [theater, setTheater] = useState(null);
+
+  const getTheater = async () => {
+    try {
+      const { data } = await axios.get(`/api/theater/${id}`);
+      if (data.success) {
+        setTheater(data);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getTheater();
+  }, [id]);
+
+  if (!theater) return <Loading />;
+
+  //group upcoming shows by movie, then by date
+  const movies = {};
+  theater.shows.forEach((show) => {
+    const movieId = show.movie._id;
+    const date = showDate(show.showDateTime, show.timeZone);
+    if (!movies[movieId]) {
+      movies[movieId] = { movie: show.movie, dates: {} };
+    }
+    if (!movies[movieId].dates[date]) {
+      movies[movieId].dates[date] = [];
+    }
+    movies[movieId].dates[date].push(show);
+  });
+
+  return (
+    <div className="relative px-6 md:px-16 lg:px-40 pt-30 md:pt-40 min-h-[80vh]">
+      <BlurCircle top="100px" left="100px" />
+      <h1 className="text-3xl font-semibold">{theater.theater.name}</h1>
+      <p className="flex items-center gap-1 text-gray-400 mt-2">
+        <MapPinIcon className="w-4 h-4 text-primary" />
+        {theater.theater.address}, {theater.theater.city}
+      </p>
+
+      <p className="text-lg font-medium mt-12">Now Showing</p>
+      {Object.keys(movies).length === 0 && (
+        <p className="text-gray-400 text-sm mt-4">
+          No upcoming shows at this theatre.
+        </p>
+      )}
+      {Object.values(movies).map(({ movie, dates }) => (
+        <div
+          key={movie._id}
+          className="flex flex-col md:flex-row gap-6 bg-primary/8 border border-primary/20 rounded-lg mt-4 p-4 max-w-4xl">
+          <img
+            src={image_base_url + movie.poster_path}
+            alt=""
+            onClick={() => {
+              navigate(`/movies/${movie._id}`);
+              scrollTo(0, 0);
+            }}
+            className="md:max-w-32 rounded object-cover cursor-pointer"
+          />
+          <div className="flex-1">
+            <p className="text-lg font-semibold">{movie.title}</p>
+            <p className="text-gray-400 text-sm">{timeFormat(movie.runtime)}</p>
+            {Object.entries(dates).map(([date, shows]) => (
+              <div key={date} className="mt-4">
+                <p className="text-sm text-gray-300">
+                  {new Date(date).toLocaleDateString("en-US", {
+                    weekday: "short",
+                    month: "short",
+                    day: "numeric",
+                    timeZone: "UTC", //date keys are calendar dates
+                  })}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {shows.map((show) => (
+                    <button
+                      key={show._id}
+                      onClick={() => {
+                        navigate(
+                          `/movies/${movie._id}/${date}?show=${show._id}`
+                        );
+                        scrollTo(0, 0);
+                      }}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm border border-primary/70 rounded hover:bg-primary/20 transition cursor-pointer">
+                      <ClockIcon className="w-4 h-4" />
+                      {isoTimeFormat(show.showDateTime, show.timeZone)}
+                      <span className="text-xs text-gray-400">
+                        · {show.screen.name}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TheaterDetails;
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from "react";
+import { MapPinIcon } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import BlurCircle from "../components/BlurCircle";
+import Loading from "../components/Loading";
+import { useAppContext } from "../context/AppContext";
+
+const Theaters = () => {
+  const { axios } = useAppContext();
+  const navigate = useNavigate();
+  const [theaters, setTheaters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const getTheaters = async () => {
+    try {
+      const { data } = await axios.get("/api/theater/all");
+      if (data.success) {
+        setTheaters(data.theaters);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    getTheaters();
+  }, []);
+
+  if (isLoading) return <Loading />;
+
+  return theaters.length > 0 ? (
+    <div className="relative my-40 mb-60 px-6 md:px-16 lg:px-40 xl:px-44 overflow-hidden min-h-[80vh]">
+      <BlurCircle top="150px" left="0px" />
+      <BlurCircle bottom="50px" right="50px" />
+      <h1 className="text-lg font-medium my-4">Theatres</h1>
+      <div className="flex flex-wrap max-sm:justify-center gap-8">
+        {theaters.map((theater) => (
+          <div
+            key={theater._id}
+            onClick={() => {
+              navigate(`/theaters/${theater._id}`);
+              scrollTo(0, 0);
+            }}
+            className="flex flex-col justify-between p-5 bg-gray-800 rounded-2xl hover:translate-y-1 transition duration-300 w-66 cursor-pointer">
+            <p className="font-semibold text-lg truncate">{theater.name}</p>
+            <p className="flex items-center gap-1 text-sm text-gray-400 mt-2">
+              <MapPinIcon className="w-4 h-4 text-primary" />
+              {theater.city}
+            </p>
+            <p className="text-sm text-gray-400 mt-1">{theater.address}</p>
+            <p className="text-xs text-gray-500 mt-4">
+              {theater.screens.length} Screen
+              {theater.screens.length !== 1 && "s"}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  ) : (
+    <div className="flex flex-col items-center justify-center h-screen">
+      <h1 className="text-3xl font-bold text-center">No theatres available</h1>
+    </div>
+  );
+};
+
+export default Theaters;
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import BlurCircle from "../components/BlurCircle";
+import Loading from "../components/Loading";
+import { useAppContext } from "../context/AppContext";
+
+//Landing page for the unsubscribe link in emails. The link is signed, so
+//this works without signing in.
+const Unsubscribe = () => {
+  const { axios } = useAppContext();
+  const [searchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
+
+  const unsubscribe = async () => {
+    try {
+      const { data } = await axios.post("/api/user/unsubscribe", {
+        token: searchParams.get("token"),
+      });
+      setResult(data);
+    } catch (error) {
+      setResult(
+        error.response?.data || { success: false, message: error.message }
+      );
+    }
+  };
+
+  useEffect(() => {
+    unsubscribe();
+  }, []);
+
+  if (!result) return <Loading />;
+
+  return (
+    <div className="relative flex flex-col items-center justify-center text-center px-6 min-h-[80vh]">
+      <BlurCircle top="100px" left="100px" />
+      <h1 className="text-2xl font-semibold">{result.message}</h1>
+      {result.success && (
+        <p className="text-gray-400 mt-2">
+          You won't receive these emails anymore.
+        </p>
+      )}
+      <Link
+        to="/preferences"
+        className="mt-6 px-6 py-2 bg-primary hover:bg-primary-dull transition rounded-full text-sm font-medium">
+        Manage email preferences
+      </Link>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -2,20 +2,38 @@ import React, { useEffect, useState } from "react";
 
 import Loading from "../../components/Loading";
 import Title from "../../components/admin/Title";
+import RecurrenceInput from "../../components/admin/RecurrenceInput";
+import ScreenTimeline from "../../components/admin/ScreenTimeline";
 import { CheckIcon, DeleteIcon, StarIcon } from "lucide-react";
 import { kConverter } from "../../lib/kConverter";
+import isoTimeFormat from "../../lib/isoTimeFormat";
 import { useAppContext } from "../../context/AppContext";
 import toast from "react-hot-toast";
 
+const emptyRecurrence = {
+  startDate: "",
+  endDate: "",
+  times: [],
+  daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+};
+
 const AddShows = () => {
   const { axios, getToken, user, image_base_url } = useAppContext();
   const currency = import.meta.env.VITE_CURRENCY;
   const [nowPlayingMovies, setNowPlayingMovies] = useState([]);
   const [selectedMovie, setSelectedMovie] = useState(null);
+  const [theaters, setTheaters] = useState([]);
+  const [selectedScreen, setSelectedScreen] = useState("");
   const [dateTimeSelection, setDateTimeSelection] = useState({});
   const [dateTimeInput, setDateTimeInput] = useState("");
   const [showPrice, setShowPrice] = useState("");
+  const [seatCategories, setSeatCategories] = useState([]);
+  const [categoryPrices, setCategoryPrices] = useState({});
   const [addingShow, setAddingShow] = useState(false);
+  const [repeat, setRepeat] = useState(false);
+  const [recurrence, setRecurrence] = useState(emptyRecurrence);
+  const [preview, setPreview] = useState(null);
+  const [schedule, setSchedule] = useState(null);
 
   const fetchNowPlayingMovies = async () => {
     try {
@@ -30,6 +48,36 @@ const AddShows = () => {
     }
   };
 
+  const fetchTheaters = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/all-theaters", {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setTheaters(data.theaters);
+      }
+    } catch (error) {
+      console.error("Error fetching theaters:", error);
+    }
+  };
+
+  //seat categories of the selected screen, each can get its own price
+  const fetchSeatCategories = async (screenId) => {
+    setSeatCategories([]);
+    setCategoryPrices({});
+    if (!screenId) return;
+    try {
+      const { data } = await axios.get(`/api/admin/screen/${screenId}`, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setSeatCategories(data.screen.seatLayout?.categories || []);
+      }
+    } catch (error) {
+      console.error("Error fetching seat categories:", error);
+    }
+  };
+
   const handleDateTimeAdd = () => {
     if (!dateTimeInput) return;
     const [date, time] = dateTimeInput.split("T");
@@ -58,25 +106,104 @@ const AddShows = () => {
     });
   };
 
-  const handleSubmit = async () => {
+  //show times are entered on the venue's clock
+  const selectedTheater = theaters.find((theater) =>
+    theater.screens.some((screen) => screen._id === selectedScreen)
+  );
+
+  const updateRecurrence = (value) => {
+    setRecurrence(value);
+    setPreview(null);
+  };
+
+  //lists the shows a recurring schedule will create before saving it
+  const handlePreview = async () => {
+    if (!selectedScreen) return toast("Select a screen first.");
+    try {
+      const { data } = await axios.post(
+        "/api/show/series/preview",
+        { screenId: selectedScreen, recurrence },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        setPreview(data);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const previewByDate = {};
+  preview?.occurrences.forEach((item) => {
+    (previewByDate[item.date] ??= []).push(item);
+  });
+
+  //the new shows in the shape the add and check-conflicts APIs take
+  const scheduleInput = () =>
+    repeat
+      ? { recurrence }
+      : {
+          showsInput: Object.entries(dateTimeSelection).map(([date, time]) => ({
+            date,
+            time,
+          })),
+        };
+
+  //lays the new shows out next to the screen's existing ones as they're entered
+  const checkSchedule = async () => {
+    const hasTimes = repeat
+      ? recurrence.startDate && recurrence.endDate && recurrence.times.length
+      : Object.keys(dateTimeSelection).length;
+    if (!selectedMovie || !selectedScreen || !hasTimes) {
+      return setSchedule(null);
+    }
+    try {
+      const { data } = await axios.post(
+        "/api/show/check-conflicts",
+        {
+          movieId: selectedMovie,
+          screenId: selectedScreen,
+          ...scheduleInput(),
+        },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      setSchedule(data.success ? data : null);
+    } catch (error) {
+      console.error("Error checking schedule:", error);
+      setSchedule(null);
+    }
+  };
+
+  const handleSubmit = async (allowConflicts = false) => {
     try {
       setAddingShow(true);
 
       if (
         !selectedMovie ||
-        Object.keys(dateTimeSelection).length === 0 ||
+        !selectedScreen ||
+        (repeat
+          ? !recurrence.startDate ||
+            !recurrence.endDate ||
+            recurrence.times.length === 0
+          : Object.keys(dateTimeSelection).length === 0) ||
         !showPrice
       ) {
         return toast("Required fields missing.");
       }
 
-      const showsInput = Object.entries(dateTimeSelection).map(
-        ([date, time]) => ({ date, time })
-      );
       const payload = {
         movieId: selectedMovie,
-        showsInput,
+        screenId: selectedScreen,
+        ...scheduleInput(),
         showPrice: Number(showPrice),
+        categoryPrices: Object.fromEntries(
+          Object.entries(categoryPrices)
+            .filter(([, price]) => price !== "")
+            .map(([key, price]) => [key, Number(price)])
+        ),
+        allowConflicts,
       };
 
       const { data } = await axios.post("/api/show/add", payload, {
@@ -87,20 +214,36 @@ const AddShows = () => {
         toast.success(data.message);
         setSelectedMovie(null);
         setDateTimeSelection({});
+        setRecurrence(emptyRecurrence);
+        setPreview(null);
         setShowPrice("");
+        setCategoryPrices({});
       } else {
         toast.error(data.message);
       }
     } catch (error) {
+      //overlapping shows are only added once the admin confirms
+      if (error.response?.status === 409) {
+        setAddingShow(false);
+        if (window.confirm(`${error.response.data.message} Add them anyway?`)) {
+          handleSubmit(true);
+        }
+        return;
+      }
       console.error("Submission error:", error);
       toast.error("An error occurred, please try again.");
     }
     setAddingShow(false);
   };
 
+  useEffect(() => {
+    checkSchedule();
+  }, [selectedMovie, selectedScreen, dateTimeSelection, recurrence, repeat]);
+
   useEffect(() => {
     if (user) {
       fetchNowPlayingMovies();
+      fetchTheaters();
     }
   }, [user]);
 
@@ -142,6 +285,34 @@ const AddShows = () => {
           ))}
         </div>
       </div>
+      {/* Screen Selection */}
+      <div className="mt-8">
+        <label className="block text-sm font-medium mb-2">Screen</label>
+        <select
+          value={selectedScreen}
+          onChange={(e) => {
+            setSelectedScreen(e.target.value);
+            fetchSeatCategories(e.target.value);
+          }}
+          className="border border-gray-600 bg-transparent px-3 py-2 rounded-md outline-none">
+          <option value="" className="bg-gray-900">
+            Select a screen
+          </option>
+          {theaters.map((theater) => (
+            <optgroup
+              key={theater._id}
+              label={`${theater.name}, ${theater.city}`}
+              className="bg-gray-900">
+              {theater.screens.map((screen) => (
+                <option key={screen._id} value={screen._id}>
+                  {screen.name}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+
       {/* Show Price Input */}
       <div className="mt-8">
         <label className="block text-sm font-medium mb-2">Show Price</label>
@@ -158,55 +329,169 @@ const AddShows = () => {
         </div>
       </div>
 
-      {/* Date & Time Selection */}
-      <div className="mt-6">
-        <label className="block text-sm font-medium mb-2">
-          Select Date and Time (Time is +3 hours)
-        </label>
-        <div className="inline-flex gap-5 border border-gray-600 p-1 pl-3 rounded-lg">
-          <input
-            type="datetime-local"
-            value={dateTimeInput}
-            onChange={(e) => setDateTimeInput(e.target.value)}
-            className="outline-none rounded-md"
-          />
+      {/* Seat Category Prices */}
+      {seatCategories.length > 1 && (
+        <div className="mt-6">
+          <label className="block text-sm font-medium mb-2">
+            Seat Category Prices
+          </label>
+          <div className="flex flex-wrap gap-4">
+            {seatCategories.map((category) => (
+              <div
+                key={category.key}
+                className="inline-flex items-center gap-2 border border-gray-600 px-3 py-2 rounded-md">
+                <span
+                  className="h-3 w-3 rounded-full"
+                  style={{ backgroundColor: category.color }}
+                />
+                <p className="text-sm">{category.name}</p>
+                <p className="text-gray-400 text-sm">{currency}</p>
+                <input
+                  min={0}
+                  type="number"
+                  value={categoryPrices[category.key] ?? ""}
+                  onChange={(e) =>
+                    setCategoryPrices((prev) => ({
+                      ...prev,
+                      [category.key]: e.target.value,
+                    }))
+                  }
+                  placeholder={showPrice || "Show price"}
+                  className="outline-none w-24"
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Categories left empty use the show price.
+          </p>
+        </div>
+      )}
+
+      {/* Schedule Type */}
+      <div className="mt-6 flex gap-2 text-sm">
+        {[
+          [false, "Individual times"],
+          [true, "Repeating schedule"],
+        ].map(([value, label]) => (
           <button
-            onClick={handleDateTimeAdd}
-            className="bg-primary/80 text-white px-3 py-2 text-sm rounded-lg hover:bg-primary cursor-pointer">
-            Add Time
+            key={label}
+            onClick={() => setRepeat(value)}
+            className={`px-3 py-1 rounded-full border cursor-pointer transition ${
+              repeat === value
+                ? "bg-primary border-primary text-white"
+                : "border-gray-600 hover:border-primary"
+            }`}>
+            {label}
           </button>
-        </div>
+        ))}
       </div>
 
-      {/* Display Selected Times */}
-      {Object.keys(dateTimeSelection).length > 0 && (
+      {repeat ? (
         <div className="mt-6">
-          <h2 className="mb-2">Selected Date-Time</h2>
-          <ul className="space-y-3">
-            {Object.entries(dateTimeSelection).map(([date, times]) => (
-              <li key={date}>
-                <div className="font-medium">{date}</div>
-                <div className="flex flex-wrap gap-2 mt-1 text-sm">
-                  {times.map((time) => (
-                    <div
-                      key={time}
-                      className="border border-primary px-2 py-1 flex items-center rounded">
-                      <span>{time}</span>
-                      <DeleteIcon
-                        onClick={() => handleRemoveTime(date, time)}
-                        width={15}
-                        className="ml-2 text-red-500 hover:text-red-700 cursor-pointer"
-                      />
-                    </div>
-                  ))}
-                </div>
-              </li>
-            ))}
-          </ul>
+          {selectedTheater && (
+            <p className="text-sm text-gray-400 mb-4">
+              Times are in {selectedTheater.timeZone} time.
+            </p>
+          )}
+          <RecurrenceInput value={recurrence} onChange={updateRecurrence} />
+          <button
+            onClick={handlePreview}
+            className="mt-4 border border-primary px-4 py-1.5 text-sm rounded hover:bg-primary/20 transition cursor-pointer">
+            Preview Shows
+          </button>
+
+          {/* Generated Occurrences */}
+          {preview && (
+            <div className="mt-4 max-w-2xl text-sm">
+              <p
+                className={
+                  preview.occurrences.length > preview.maxOccurrences
+                    ? "text-red-500"
+                    : "text-gray-300"
+                }>
+                {preview.occurrences.length} shows will be created
+                {preview.occurrences.length > preview.maxOccurrences &&
+                  ` - the limit is ${preview.maxOccurrences}`}
+                .
+              </p>
+              <div className="mt-2 max-h-60 overflow-y-auto space-y-1 pr-2">
+                {Object.entries(previewByDate).map(([date, occurrences]) => (
+                  <div key={date} className="flex gap-4">
+                    <span className="w-28 text-gray-400">{date}</span>
+                    <span>
+                      {occurrences
+                        .map((item) =>
+                          isoTimeFormat(item.showDateTime, preview.timeZone)
+                        )
+                        .join(", ")}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
+      ) : (
+        <>
+          {/* Date & Time Selection */}
+          <div className="mt-6">
+            <label className="block text-sm font-medium mb-2">
+              Select Date and Time
+              {selectedTheater && (
+                <span className="text-gray-400 font-normal">
+                  {" "}
+                  ({selectedTheater.timeZone} time)
+                </span>
+              )}
+            </label>
+            <div className="inline-flex gap-5 border border-gray-600 p-1 pl-3 rounded-lg">
+              <input
+                type="datetime-local"
+                value={dateTimeInput}
+                onChange={(e) => setDateTimeInput(e.target.value)}
+                className="outline-none rounded-md"
+              />
+              <button
+                onClick={handleDateTimeAdd}
+                className="bg-primary/80 text-white px-3 py-2 text-sm rounded-lg hover:bg-primary cursor-pointer">
+                Add Time
+              </button>
+            </div>
+          </div>
+
+          {/* Display Selected Times */}
+          {Object.keys(dateTimeSelection).length > 0 && (
+            <div className="mt-6">
+              <h2 className="mb-2">Selected Date-Time</h2>
+              <ul className="space-y-3">
+                {Object.entries(dateTimeSelection).map(([date, times]) => (
+                  <li key={date}>
+                    <div className="font-medium">{date}</div>
+                    <div className="flex flex-wrap gap-2 mt-1 text-sm">
+                      {times.map((time) => (
+                        <div
+                          key={time}
+                          className="border border-primary px-2 py-1 flex items-center rounded">
+                          <span>{time}</span>
+                          <DeleteIcon
+                            onClick={() => handleRemoveTime(date, time)}
+                            width={15}
+                            className="ml-2 text-red-500 hover:text-red-700 cursor-pointer"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
       )}
+      {schedule && <ScreenTimeline schedule={schedule} />}
       <button
-        onClick={handleSubmit}
+        onClick={() => handleSubmit()}
         disabled={addingShow}
         className="bg-primary text-white px-8 py-2 mt-6 rounded hover:bg-primary/90 transition-all cursor-pointer">
         Add Show
@@ -0,0 +1,273 @@
+import React, { Fragment, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import Title from "../../components/admin/Title";
+import ListControls from "../../components/admin/ListControls";
+import Pagination from "../../components/admin/Pagination";
+import SortHeader from "../../components/admin/SortHeader";
+import { dateFormat } from "../../lib/dateFormat";
+import downloadFile from "../../lib/downloadFile";
+import { useAppContext } from "../../context/AppContext";
+
+const initialQuery = {
+  page: 1,
+  search: "",
+  action: "",
+  targetType: "",
+  actor: "",
+  from: "",
+  to: "",
+  sort: "createdAt",
+  order: "desc",
+};
+
+const formatValue = (value) =>
+  value === undefined || value === null
+    ? "—"
+    : typeof value === "string"
+      ? value
+      : JSON.stringify(value, null, 2);
+
+//Field by field before and after values of one entry
+const Changes = ({ entry }) => {
+  const fields = [
+    ...new Set([
+      ...Object.keys(entry.before || {}),
+      ...Object.keys(entry.after || {}),
+    ]),
+  ];
+
+  return (
+    <div className="flex flex-col gap-3 py-2">
+      {fields.length === 0 && (
+        <p className="text-gray-400">No field changes.</p>
+      )}
+      {fields.map((field) => (
+        <div key={field}>
+          <p className="text-xs text-gray-400">{field}</p>
+          <div className="grid md:grid-cols-2 gap-2 mt-1">
+            {[entry.before?.[field], entry.after?.[field]].map(
+              (value, index) => (
+                <pre
+                  key={index}
+                  className={`text-xs whitespace-pre-wrap break-all max-h-48 overflow-auto p-2 rounded ${
+                    index ? "bg-green-500/10" : "bg-red-500/10"
+                  }`}>
+                  {formatValue(value)}
+                </pre>
+              )
+            )}
+          </div>
+        </div>
+      ))}
+      {entry.details && (
+        <div>
+          <p className="text-xs text-gray-400">details</p>
+          <pre className="text-xs whitespace-pre-wrap break-all mt-1 p-2 rounded bg-primary/10">
+            {JSON.stringify(entry.details, null, 2)}
+          </pre>
+        </div>
+      )}
+      {entry.userAgent && (
+        <p className="text-xs text-gray-400">{entry.userAgent}</p>
+      )}
+    </div>
+  );
+};
+
+//Who changed what in the admin, newest first, with CSV/XLSX export of the
+//filtered log
+const AuditLog = () => {
+  const { axios, getToken, user } = useAppContext();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({
+    actions: [],
+    targetTypes: [],
+    actors: [],
+  });
+  const [query, setQuery] = useState(initialQuery);
+  const [expanded, setExpanded] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const params = Object.fromEntries(
+    Object.entries(query).filter(([, value]) => value !== "")
+  );
+
+  const getAuditLog = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/audit-log", {
+        params,
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setEntries(data.entries);
+        setPagination(data.pagination);
+        setFilters(data.filters);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    if (user) {
+      getAuditLog();
+    }
+  }, [user, query]);
+
+  const download = async (format) => {
+    setDownloading(true);
+    try {
+      await downloadFile(axios, "/api/admin/export/audit-log", {
+        token: await getToken(),
+        filename: `audit-log-${new Date().toISOString().split("T")[0]}.${format}`,
+        params: { ...params, format },
+      });
+    } catch (error) {
+      console.error(error);
+      toast.error("Could not download the audit log.");
+    }
+    setDownloading(false);
+  };
+
+  const filterFields = [
+    {
+      name: "action",
+      label: "Action",
+      type: "select",
+      options: [
+        ["", "Any action"],
+        ...filters.actions.map((action) => [action, action]),
+      ],
+    },
+    {
+      name: "targetType",
+      label: "Target",
+      type: "select",
+      options: [
+        ["", "Anything"],
+        ...filters.targetTypes.map((type) => [type, type]),
+      ],
+    },
+    {
+      name: "actor",
+      label: "Changed by",
+      type: "select",
+      options: [
+        ["", "Anyone"],
+        ...filters.actors.map((actor) => [
+          actor._id,
+          actor.name || actor.email || actor._id,
+        ]),
+      ],
+    },
+    { name: "from", label: "From", type: "date" },
+    { name: "to", label: "To", type: "date" },
+  ];
+
+  return !isLoading ? (
+    <>
+      <Title text1="Audit" text2="Log" />
+      <div className="max-w-5xl mt-6 flex flex-wrap items-end justify-between gap-3">
+        <ListControls
+          query={query}
+          onChange={setQuery}
+          fields={filterFields}
+          searchPlaceholder="Name, email, target or IP"
+        />
+        <div className="flex gap-2 text-sm">
+          {["csv", "xlsx"].map((format) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={downloading}
+              className="bg-primary text-white px-4 py-1.5 rounded hover:bg-primary/90 transition cursor-pointer uppercase">
+              {format}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="max-w-5xl mt-4 overflow-x-auto">
+        <table className="w-full border-collapse rounded-md overflow-hidden text-nowrap">
+          <thead>
+            <tr className="bg-primary/20 text-left text-white">
+              <SortHeader
+                label="Time"
+                field="createdAt"
+                query={query}
+                onChange={setQuery}
+                className="pl-5"
+              />
+              <th className="p-2 font-medium">Changed By</th>
+              <th className="p-2 font-medium">Action</th>
+              <th className="p-2 font-medium">Target</th>
+              <th className="p-2 font-medium">IP</th>
+              <th className="p-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="text-sm font-light">
+            {entries.length === 0 && (
+              <tr>
+                <td colSpan={6} className="p-4 pl-5 text-gray-400">
+                  No changes match these filters.
+                </td>
+              </tr>
+            )}
+            {entries.map((entry) => (
+              <Fragment key={entry._id}>
+                <tr className="border-b border-primary/20 bg-primary/5 even:bg-primary/10">
+                  <td className="p-2 pl-5">{dateFormat(entry.createdAt)}</td>
+                  <td className="p-2">
+                    {entry.actor.name || entry.actor.userId}
+                    <span className="block text-xs text-gray-400">
+                      {entry.actor.email} · {entry.actor.role}
+                    </span>
+                  </td>
+                  <td className="p-2">{entry.action}</td>
+                  <td className="p-2 max-w-60 truncate">
+                    {entry.target.label}
+                    <span className="block text-xs text-gray-400">
+                      {entry.target.type}
+                      {entry.target.id && ` · ${entry.target.id}`}
+                    </span>
+                  </td>
+                  <td className="p-2">{entry.ip}</td>
+                  <td className="p-2">
+                    <button
+                      onClick={() =>
+                        setExpanded(expanded === entry._id ? null : entry._id)
+                      }
+                      className="text-primary hover:underline cursor-pointer">
+                      {expanded === entry._id ? "Hide" : "Changes"}
+                    </button>
+                  </td>
+                </tr>
+                {expanded === entry._id && (
+                  <tr className="border-b border-primary/20">
+                    <td colSpan={6} className="p-2 pl-5 text-wrap">
+                      <Changes entry={entry} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+        <Pagination
+          pagination={pagination}
+          onPageChange={(page) => setQuery((prev) => ({ ...prev, page }))}
+        />
+      </div>
+    </>
+  ) : (
+    <Loading />
+  );
+};
+
+export default AuditLog;
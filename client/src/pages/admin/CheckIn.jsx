@@ -0,0 +1,117 @@
+import React, { useRef, useState } from "react";
+import toast from "react-hot-toast";
+import Title from "../../components/admin/Title";
+import { dateFormat } from "../../lib/dateFormat";
+import { useAppContext } from "../../context/AppContext";
+
+//Door check-in. Handheld QR scanners type the ticket token followed by
+//Enter, so the input stays focused between scans.
+const CheckIn = () => {
+  const { axios, getToken } = useAppContext();
+  const [token, setToken] = useState("");
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+
+  const checkIn = async (seats) => {
+    if (!token && !result) return toast("Scan or enter a ticket code.");
+    try {
+      const { data } = await axios.post(
+        "/api/admin/check-in",
+        { token: token || result.token, seats },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      setResult({ ...data, token: token || result.token });
+    } catch (error) {
+      const data = error.response?.data;
+      if (data) {
+        setResult({ ...data, token: token || result?.token });
+      } else {
+        toast.error(error.message);
+      }
+    }
+    setToken("");
+    inputRef.current?.focus();
+  };
+
+  const ticket = result?.ticket;
+
+  return (
+    <>
+      <Title text1="Ticket" text2="Check-In" />
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          checkIn();
+        }}
+        className="mt-8 flex items-center gap-4 max-w-xl">
+        <input
+          ref={inputRef}
+          autoFocus
+          type="text"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="Scan ticket QR code"
+          className="flex-1 border border-gray-600 px-3 py-2 rounded-md outline-none"
+        />
+        <button className="bg-primary text-white px-8 py-2 rounded hover:bg-primary/90 transition-all cursor-pointer">
+          Check In
+        </button>
+      </form>
+
+      {result && (
+        <div
+          className={`max-w-xl mt-8 p-4 rounded-md border ${
+            result.success
+              ? "border-green-500/50 bg-green-500/10"
+              : "border-red-500/50 bg-red-500/10"
+          }`}>
+          <p
+            className={`text-lg font-medium ${
+              result.success ? "text-green-400" : "text-red-400"
+            }`}>
+            {result.message}
+          </p>
+          {ticket && (
+            <div className="mt-4 text-sm space-y-1">
+              <p>
+                <span className="text-gray-400">Movie: </span>
+                {ticket.movie}
+              </p>
+              <p>
+                <span className="text-gray-400">Show: </span>
+                {dateFormat(ticket.showDateTime, ticket.timeZone)}
+              </p>
+              <p>
+                <span className="text-gray-400">Name: </span>
+                {ticket.user}
+              </p>
+              <div className="flex flex-wrap gap-2 pt-2">
+                {ticket.bookedSeats.map((seat) => (
+                  <button
+                    key={seat}
+                    disabled={Boolean(ticket.checkIns[seat])}
+                    onClick={() => checkIn([seat])}
+                    title={
+                      ticket.checkIns[seat]
+                        ? `Checked in ${dateFormat(ticket.checkIns[seat], ticket.timeZone)}`
+                        : "Check in this seat"
+                    }
+                    className={`px-2 py-1 rounded border text-xs ${
+                      ticket.checkIns[seat]
+                        ? "border-gray-600 text-gray-500 line-through"
+                        : "border-primary text-primary cursor-pointer hover:bg-primary/20"
+                    }`}>
+                    {seat}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CheckIn;
@@ -0,0 +1,374 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import Title from "../../components/admin/Title";
+import { dateFormat } from "../../lib/dateFormat";
+import { useAppContext } from "../../context/AppContext";
+
+const emptyCoupon = {
+  code: "",
+  description: "",
+  discountType: "percentage",
+  discountValue: "",
+  maxDiscount: "",
+  minSeats: 1,
+  validFrom: "",
+  validUntil: "",
+  usageLimit: "",
+  perUserLimit: "",
+  movies: [],
+  shows: [],
+};
+
+const Coupons = () => {
+  const { axios, getToken, user, hasPermission } = useAppContext();
+  //finance can review coupons but not change them
+  const canManage = hasPermission("coupons:manage");
+  const currency = import.meta.env.VITE_CURRENCY;
+  const [coupons, setCoupons] = useState([]);
+  const [shows, setShows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [couponInput, setCouponInput] = useState(emptyCoupon);
+
+  const authHeaders = async () => ({
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+
+  const getCoupons = async () => {
+    try {
+      const { data } = await axios.get(
+        "/api/admin/all-coupons",
+        await authHeaders()
+      );
+      if (data.success) {
+        setCoupons(data.coupons);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+    setLoading(false);
+  };
+
+  //upcoming shows are offered as movie and show restrictions
+  const getShows = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/all-shows", {
+        ...(await authHeaders()),
+        params: { limit: 100 },
+      });
+      if (data.success) {
+        setShows(data.shows);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setCouponInput((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    const { code, discountValue, validFrom, validUntil } = couponInput;
+    if (!code || !discountValue || !validFrom || !validUntil) {
+      return toast("Required fields missing.");
+    }
+    try {
+      const { data } = await axios.post(
+        "/api/admin/add-coupon",
+        {
+          ...couponInput,
+          validFrom: new Date(validFrom),
+          validUntil: new Date(validUntil),
+        },
+        await authHeaders()
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setCouponInput(emptyCoupon);
+        getCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const toggleActive = async (coupon) => {
+    try {
+      const { data } = await axios.put(
+        `/api/admin/coupon/${coupon._id}`,
+        { isActive: !coupon.isActive },
+        await authHeaders()
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      getCoupons();
+      getShows();
+    }
+  }, [user]);
+
+  const movies = [
+    ...new Map(shows.map((show) => [show.movie._id, show.movie])).values(),
+  ];
+  const restrictedShows = couponInput.movies.length
+    ? shows.filter((show) => couponInput.movies.includes(show.movie._id))
+    : shows;
+
+  const inputClass = "border border-gray-600 px-3 py-2 rounded-md outline-none";
+  const selectedValues = (e) =>
+    Array.from(e.target.selectedOptions, (option) => option.value);
+
+  return !loading ? (
+    <>
+      <Title text1="Promo" text2="Codes" />
+
+      {/* Coupon Form */}
+      <div
+        className={`mt-8 grid grid-cols-2 md:grid-cols-4 gap-4 max-w-4xl text-sm ${
+          canManage ? "" : "hidden"
+        }`}>
+        <div>
+          <label className="block font-medium mb-2">Code</label>
+          <input
+            type="text"
+            value={couponInput.code}
+            onChange={(e) => handleChange("code", e.target.value.toUpperCase())}
+            className={`${inputClass} w-full uppercase`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Type</label>
+          <select
+            value={couponInput.discountType}
+            onChange={(e) => handleChange("discountType", e.target.value)}
+            className={`${inputClass} w-full bg-black`}>
+            <option value="percentage">Percentage</option>
+            <option value="flat">Flat amount</option>
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-2">
+            Value ({couponInput.discountType === "percentage" ? "%" : currency})
+          </label>
+          <input
+            type="number"
+            min={0}
+            value={couponInput.discountValue}
+            onChange={(e) => handleChange("discountValue", e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">
+            Max discount ({currency})
+          </label>
+          <input
+            type="number"
+            min={0}
+            value={couponInput.maxDiscount}
+            onChange={(e) => handleChange("maxDiscount", e.target.value)}
+            placeholder="No cap"
+            disabled={couponInput.discountType !== "percentage"}
+            className={`${inputClass} w-full disabled:opacity-50`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Valid from</label>
+          <input
+            type="datetime-local"
+            value={couponInput.validFrom}
+            onChange={(e) => handleChange("validFrom", e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Valid until</label>
+          <input
+            type="datetime-local"
+            value={couponInput.validUntil}
+            onChange={(e) => handleChange("validUntil", e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Min seats</label>
+          <input
+            type="number"
+            min={1}
+            value={couponInput.minSeats}
+            onChange={(e) => handleChange("minSeats", e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Total uses</label>
+          <input
+            type="number"
+            min={1}
+            value={couponInput.usageLimit}
+            onChange={(e) => handleChange("usageLimit", e.target.value)}
+            placeholder="Unlimited"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Uses per user</label>
+          <input
+            type="number"
+            min={1}
+            value={couponInput.perUserLimit}
+            onChange={(e) => handleChange("perUserLimit", e.target.value)}
+            placeholder="Unlimited"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div className="col-span-2 md:col-span-3">
+          <label className="block font-medium mb-2">Description</label>
+          <input
+            type="text"
+            value={couponInput.description}
+            onChange={(e) => handleChange("description", e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div className="col-span-2">
+          <label className="block font-medium mb-2">
+            Only for movies{" "}
+            <span className="text-gray-400 font-normal">(none = all)</span>
+          </label>
+          <select
+            multiple
+            value={couponInput.movies}
+            onChange={(e) => handleChange("movies", selectedValues(e))}
+            className={`${inputClass} w-full h-28 bg-black`}>
+            {movies.map((movie) => (
+              <option key={movie._id} value={movie._id}>
+                {movie.title}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-span-2">
+          <label className="block font-medium mb-2">
+            Only for shows{" "}
+            <span className="text-gray-400 font-normal">(none = all)</span>
+          </label>
+          <select
+            multiple
+            value={couponInput.shows}
+            onChange={(e) => handleChange("shows", selectedValues(e))}
+            className={`${inputClass} w-full h-28 bg-black`}>
+            {restrictedShows.map((show) => (
+              <option key={show._id} value={show._id}>
+                {show.movie.title} ·{" "}
+                {dateFormat(show.showDateTime, show.timeZone)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {canManage && (
+        <button
+          onClick={handleSubmit}
+          className="bg-primary text-white px-8 py-2 mt-6 rounded hover:bg-primary/90 transition-all cursor-pointer">
+          Create Coupon
+        </button>
+      )}
+
+      {/* Coupon List */}
+      <div className="max-w-5xl mt-10 overflow-x-auto">
+        <table className="w-full border-collapse rounded-md overflow-hidden text-nowrap">
+          <thead>
+            <tr className="bg-primary/20 text-left text-white">
+              <th className="p-2 font-medium pl-5">Code</th>
+              <th className="p-2 font-medium">Discount</th>
+              <th className="p-2 font-medium">Valid</th>
+              <th className="p-2 font-medium">Used</th>
+              <th className="p-2 font-medium">Paid Bookings</th>
+              <th className="p-2 font-medium">Discount Given</th>
+              <th className="p-2 font-medium">Revenue</th>
+              <th className="p-2 font-medium">Status</th>
+            </tr>
+          </thead>
+          <tbody className="text-sm font-light">
+            {coupons.map((coupon) => (
+              <tr
+                key={coupon._id}
+                className="border-b border-primary/10 bg-primary/5 even:bg-primary/10">
+                <td className="p-2 pl-5">
+                  <p className="font-medium">{coupon.code}</p>
+                  {coupon.description && (
+                    <p className="text-xs text-gray-400">
+                      {coupon.description}
+                    </p>
+                  )}
+                </td>
+                <td className="p-2">
+                  {coupon.discountType === "percentage"
+                    ? `${coupon.discountValue}%`
+                    : `${currency}${coupon.discountValue}`}
+                  {coupon.minSeats > 1 && (
+                    <span className="block text-xs text-gray-400">
+                      min {coupon.minSeats} seats
+                    </span>
+                  )}
+                </td>
+                <td className="p-2 text-xs">
+                  {dateFormat(coupon.validFrom)}
+                  <br />
+                  {dateFormat(coupon.validUntil)}
+                </td>
+                <td className="p-2">
+                  {coupon.usedCount}
+                  {coupon.usageLimit != null ? ` / ${coupon.usageLimit}` : ""}
+                </td>
+                <td className="p-2">{coupon.paidBookings}</td>
+                <td className="p-2">
+                  {currency}
+                  {coupon.totalDiscount}
+                </td>
+                <td className="p-2">
+                  {currency}
+                  {coupon.revenue}
+                </td>
+                <td className="p-2">
+                  <button
+                    disabled={!canManage}
+                    onClick={() => toggleActive(coupon)}
+                    className={`px-3 py-1 rounded-full text-xs cursor-pointer disabled:cursor-default ${
+                      coupon.isActive
+                        ? "bg-green-500/20 text-green-400"
+                        : "bg-gray-500/20 text-gray-400"
+                    }`}>
+                    {coupon.isActive ? "Active" : "Disabled"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  ) : (
+    <Loading />
+  );
+};
+
+export default Coupons;
@@ -9,6 +9,7 @@ import React, { useState } from "react";
 import { useEffect } from "react";
 import Loading from "../../components/Loading";
 import Title from "../../components/admin/Title";
+import SalesAnalytics from "../../components/admin/SalesAnalytics";
 import BlurCircle from "../../components/BlurCircle";
 import { dateFormat } from "../../lib/dateFormat";
 import { useAppContext } from "../../context/AppContext";
@@ -92,6 +93,7 @@ const Dashboard = () => {
           ))}
         </div>
       </div>
+      <SalesAnalytics />
       <p className="mt-10 text-lg font-medium">Active Shows</p>
       <div className="relative flex flex-wrap gap-6 mt-4  max-w-5xl">
         <BlurCircle top="100px" left="-10%" />
@@ -115,7 +117,7 @@ const Dashboard = () => {
               </p>
             </div>
             <p className="px-2 pt-2 text-sm text-gray-500">
-              {dateFormat(show.showDateTime)}
+              {dateFormat(show.showDateTime, show.timeZone)}
             </p>
           </div>
         ))}
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+//Renders each email template with sample data so copy and layout changes
+//can be checked without sending anything
+const EmailTemplates = () => {
+  const { axios, getToken, user } = useAppContext();
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [locale, setLocale] = useState("en");
+  const [email, setEmail] = useState(null);
+  const [showText, setShowText] = useState(false);
+
+  const authHeaders = async () => ({
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+
+  const getTemplates = async () => {
+    try {
+      const { data } = await axios.get(
+        "/api/admin/email-templates",
+        await authHeaders()
+      );
+      if (data.success) {
+        setTemplates(data.templates);
+        setSelected(data.templates[0]?.name || "");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const getPreview = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/admin/email-templates/${selected}/preview`,
+        { params: { locale }, ...(await authHeaders()) }
+      );
+      if (data.success) {
+        setEmail(data.email);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      getTemplates();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (selected) {
+      getPreview();
+    }
+  }, [selected, locale]);
+
+  const template = templates.find((item) => item.name === selected);
+
+  return templates.length > 0 ? (
+    <>
+      <Title text1="Email" text2="Templates" />
+
+      <div className="mt-8 flex flex-wrap items-end gap-4 text-sm">
+        <div>
+          <label className="block font-medium mb-2">Template</label>
+          <select
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+            className="border border-gray-600 px-3 py-2 rounded-md outline-none bg-black">
+            {templates.map((item) => (
+              <option key={item.name} value={item.name}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-2">Language</label>
+          <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className="border border-gray-600 px-3 py-2 rounded-md outline-none bg-black">
+            {template?.locales.map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 py-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showText}
+            onChange={(e) => setShowText(e.target.checked)}
+            className="accent-primary"
+          />
+          Plain text
+        </label>
+      </div>
+
+      {template && (
+        <p className="mt-4 text-xs text-gray-400">
+          Variables: {template.variables.join(", ")}
+        </p>
+      )}
+
+      {email && (
+        <div className="max-w-3xl mt-6">
+          <p className="text-sm">
+            <span className="text-gray-400">Subject: </span>
+            {email.subject}
+          </p>
+          {email.message && (
+            <p className="mt-2 text-sm">
+              <span className="text-gray-400">SMS, WhatsApp and push: </span>
+              {email.message}
+            </p>
+          )}
+          {showText ? (
+            <pre className="mt-4 p-4 whitespace-pre-wrap text-sm bg-primary/5 border border-primary/20 rounded-md">
+              {email.text}
+            </pre>
+          ) : (
+            <iframe
+              title="Email preview"
+              srcDoc={email.html}
+              sandbox=""
+              className="mt-4 w-full h-[70vh] bg-white rounded-md"
+            />
+          )}
+        </div>
+      )}
+    </>
+  ) : (
+    <Loading />
+  );
+};
+
+export default EmailTemplates;
@@ -1,23 +1,43 @@
 import React, { useEffect } from "react";
 import AdminNavbar from "../../components/admin/AdminNavbar";
 import AdminSidebar from "../../components/admin/AdminSidebar";
-import { Outlet } from "react-router-dom";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAppContext } from "../../context/AppContext";
 import Loading from "../../components/Loading";
+import adminLinks from "../../lib/adminLinks";
 
 const Layout = () => {
-  const { isAdmin, fetchIsAdmin } = useAppContext();
+  const { isAdmin, fetchIsAdmin, hasPermission } = useAppContext();
+  const { pathname } = useLocation();
 
   useEffect(() => {
     fetchIsAdmin();
   }, []);
+
+  //sections the role doesn't open lead to the first one it does
+  const section = adminLinks.find(
+    (link) => link.path === pathname.replace(/\/+$/, "")
+  );
+  const firstAllowed = adminLinks.find((link) =>
+    hasPermission(...link.permissions)
+  );
+  const blocked = section && !hasPermission(...section.permissions);
+
   return isAdmin ? (
     <>
       <AdminNavbar />
       <div className="flex">
         <AdminSidebar />
         <div className="flex-1 px-4 py-10 md:px-10 h-[calc(100vh-64px)] overflow-y-auto">
-          <Outlet />
+          {!blocked ? (
+            <Outlet />
+          ) : firstAllowed ? (
+            <Navigate to={firstAllowed.path} replace />
+          ) : (
+            <p className="text-gray-400">
+              Your role doesn't give access to any admin sections.
+            </p>
+          )}
         </div>
       </div>
     </>
@@ -1,40 +1,138 @@
 import React, { useEffect, useState } from "react";
 import Loading from "../../components/Loading";
 import Title from "../../components/admin/Title";
+import ReportExport from "../../components/admin/ReportExport";
+import ListControls from "../../components/admin/ListControls";
+import Pagination from "../../components/admin/Pagination";
+import SortHeader from "../../components/admin/SortHeader";
 import { dateFormat } from "../../lib/dateFormat";
 import { useAppContext } from "../../context/AppContext";
+import toast from "react-hot-toast";
+
+const statuses = ["pending", "paid", "cancelled", "refunded", "expired"];
+
+const initialQuery = {
+  page: 1,
+  search: "",
+  movie: "",
+  status: "",
+  from: "",
+  to: "",
+  email: "",
+  sort: "createdAt",
+  order: "desc",
+};
 
 const ListBookings = () => {
-  const { axios, getToken, user } = useAppContext();
+  const { axios, getToken, user, hasPermission } = useAppContext();
   const currency = import.meta.env.VITE_CURRENCY;
   const [bookings, setBookings] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [query, setQuery] = useState(initialQuery);
+  const [movies, setMovies] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
+  const authHeaders = async () => ({
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+
   const getAllBookings = async () => {
     try {
       const { data } = await axios.get("/api/admin/all-bookings", {
-        headers: {
-          Authorization: `Bearer ${await getToken()}`,
-        },
+        ...(await authHeaders()),
+        params: Object.fromEntries(
+          Object.entries(query).filter(([, value]) => value !== "")
+        ),
       });
-      setBookings(data.bookings);
+      if (data.success) {
+        setBookings(data.bookings);
+        setPagination(data.pagination);
+      } else {
+        toast.error(data.message);
+      }
     } catch (error) {
       console.error(error);
+      toast.error(error.response?.data?.message || error.message);
     }
     setIsLoading(false);
   };
 
+  //movies with shows, for the filters
+  const getMovies = async () => {
+    try {
+      const { data } = await axios.get(
+        "/api/admin/movies",
+        await authHeaders()
+      );
+      if (data.success) {
+        setMovies(data.movies);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
   useEffect(() => {
     if (user) {
-      getAllBookings();
+      getMovies();
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user) {
+      getAllBookings();
+    }
+  }, [user, query]);
+
+  const filterFields = [
+    {
+      name: "movie",
+      label: "Movie",
+      type: "select",
+      options: [
+        ["", "All movies"],
+        ...movies.map((movie) => [movie._id, movie.title]),
+      ],
+    },
+    {
+      name: "status",
+      label: "Status",
+      type: "select",
+      options: [
+        ["", "Any status"],
+        ...statuses.map((status) => [
+          status,
+          status[0].toUpperCase() + status.slice(1),
+        ]),
+      ],
+    },
+    { name: "from", label: "Booked from", type: "date" },
+    { name: "to", label: "To", type: "date" },
+    { name: "email", label: "Customer email", type: "text" },
+  ];
+
   console.log(isLoading);
   return !isLoading ? (
     <>
       <Title text1="List" text2="Bookings" />
-      <div className="max-w-4xl mt-6 overflow-x-auto">
+      {hasPermission("reports:export") && (
+        <ReportExport
+          report="bookings"
+          title="Export bookings"
+          dateLabel="Booked"
+          anyStatusLabel="Any status"
+          movies={movies}
+        />
+      )}
+      <div className="max-w-4xl mt-6">
+        <ListControls
+          query={query}
+          onChange={setQuery}
+          fields={filterFields}
+          searchPlaceholder="Customer, movie, coupon or ID"
+        />
+      </div>
+      <div className="max-w-4xl mt-4 overflow-x-auto">
         <table className="w-full border-collapse rounded-md overflow-hidden text-nowrap">
           <thead>
             <tr className="bg-primary/20 text-left text-white">
@@ -42,17 +140,43 @@ const ListBookings = () => {
               <th className="p-2 font-medium">Movie Name</th>
               <th className="p-2 font-medium">Show Time</th>
               <th className="p-2 font-medium">Seats</th>
-              <th className="p-2 font-medium">Amount</th>
+              <SortHeader
+                label="Amount"
+                field="amount"
+                query={query}
+                onChange={setQuery}
+              />
+              <SortHeader
+                label="Status"
+                field="status"
+                query={query}
+                onChange={setQuery}
+              />
+              <SortHeader
+                label="Booked"
+                field="createdAt"
+                query={query}
+                onChange={setQuery}
+              />
             </tr>
           </thead>
           <tbody className="text-sm font-light">
+            {bookings.length === 0 && (
+              <tr>
+                <td colSpan={7} className="p-4 pl-5 text-gray-400">
+                  No bookings match these filters.
+                </td>
+              </tr>
+            )}
             {bookings.map((item, index) => (
               <tr
                 key={index}
                 className="border-b border-primary/20 bg-primary/5 even:bg-primary/10">
                 <td className="p-2 min-w-45 pl-5">{item.user.name}</td>
                 <td className="p-2">{item.show.movie.title}</td>
-                <td className="p-2">{dateFormat(item.show.showDateTime)}</td>
+                <td className="p-2">
+                  {dateFormat(item.show.showDateTime, item.show.timeZone)}
+                </td>
                 <td className="p-2">
                   {Object.keys(item.bookedSeats)
                     .map((seat) => item.bookedSeats[seat])
@@ -61,11 +185,32 @@ const ListBookings = () => {
                 <td className="p-2">
                   {currency}
                   {item.amount}
+                  {item.coupon && (
+                    <span className="block text-xs text-gray-400">
+                      {item.coupon} -{currency}
+                      {item.discount}
+                    </span>
+                  )}
+                </td>
+                <td className="p-2 capitalize">
+                  {item.status}
+                  {item.flaggedForReview && (
+                    <span
+                      title={item.flagReason}
+                      className="ml-2 text-xs text-red-400">
+                      flagged
+                    </span>
+                  )}
                 </td>
+                <td className="p-2">{dateFormat(item.createdAt)}</td>
               </tr>
             ))}
           </tbody>
         </table>
+        <Pagination
+          pagination={pagination}
+          onPageChange={(page) => setQuery((prev) => ({ ...prev, page }))}
+        />
       </div>
     </>
   ) : (
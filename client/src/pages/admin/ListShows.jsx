@@ -2,14 +2,51 @@ import React, { useEffect, useState } from "react";
 import { dummyShowsData } from "../../assets/assets";
 import Loading from "../../components/Loading";
 import Title from "../../components/admin/Title";
+import ScheduleImport from "../../components/admin/ScheduleImport";
+import ReportExport from "../../components/admin/ReportExport";
+import ListControls from "../../components/admin/ListControls";
+import Pagination from "../../components/admin/Pagination";
+import SortHeader from "../../components/admin/SortHeader";
 import { dateFormat } from "../../lib/dateFormat";
+import showDate from "../../lib/showDate";
+import downloadFile from "../../lib/downloadFile";
 import { useAppContext } from "../../context/AppContext";
+import toast from "react-hot-toast";
+
+//"HH:mm" time of day of a show on the venue's clock
+const showTime = (dateTime, timeZone) =>
+  new Date(dateTime).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone,
+  });
+
+const initialQuery = {
+  page: 1,
+  search: "",
+  when: "",
+  movie: "",
+  status: "",
+  from: "",
+  to: "",
+  sort: "showDateTime",
+  order: "asc",
+};
 
 const ListShows = () => {
-  const { axios, getToken, user } = useAppContext();
+  const { axios, getToken, user, hasPermission } = useAppContext();
+  const canManage = hasPermission("shows:manage");
   const currency = import.meta.env.VITE_CURRENCY;
   const [shows, setShows] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [query, setQuery] = useState(initialQuery);
+  const [movies, setMovies] = useState([]);
   const [loading, setLoading] = useState(true);
+  //the show being changed and the form for the chosen action
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [showReport, setShowReport] = useState(false);
 
   const getAllShows = async () => {
     try {
@@ -17,50 +54,409 @@ const ListShows = () => {
         headers: {
           Authorization: `Bearer ${await getToken()}`,
         },
+        params: Object.fromEntries(
+          Object.entries(query).filter(([, value]) => value !== "")
+        ),
       });
-      setShows(data.shows);
+      if (data.success) {
+        setShows(data.shows);
+        setPagination(data.pagination);
+      } else {
+        toast.error(data.message);
+      }
       setLoading(false);
     } catch (error) {
       console.error(error);
+      toast.error(error.response?.data?.message || error.message);
     }
   };
+
+  //movies with shows, for the filters
+  const getMovies = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/movies", {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setMovies(data.movies);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+  //upcoming shows in the schedule import format
+  const exportSchedule = async () => {
+    try {
+      await downloadFile(axios, "/api/show/export", {
+        token: await getToken(),
+        filename: `shows-${new Date().toISOString().split("T")[0]}.csv`,
+      });
+    } catch (error) {
+      console.error(error);
+      toast.error("Could not export the schedule.");
+    }
+  };
+
+  const openAction = (show, action) =>
+    setEditing({
+      showId: show._id,
+      action,
+      showPrice: show.showPrice,
+      categoryPrices: show.categoryPrices || {},
+      date: showDate(show.showDateTime, show.timeZone),
+      time: showTime(show.showDateTime, show.timeZone),
+      reason: "",
+    });
+
+  const updateEditing = (field, value) =>
+    setEditing((prev) => ({ ...prev, [field]: value }));
+
+  //sends the chosen change; overlapping reschedules need a confirmation
+  const handleAction = async (allowConflicts = false) => {
+    const { showId, action } = editing;
+    const headers = {
+      headers: { Authorization: `Bearer ${await getToken()}` },
+    };
+    const requests = {
+      price: () =>
+        axios.put(
+          `/api/show/${showId}/price`,
+          {
+            showPrice: Number(editing.showPrice),
+            categoryPrices: Object.fromEntries(
+              Object.entries(editing.categoryPrices)
+                .filter(([, price]) => price !== "")
+                .map(([key, price]) => [key, Number(price)])
+            ),
+          },
+          headers
+        ),
+      reschedule: () =>
+        axios.put(
+          `/api/show/${showId}/reschedule`,
+          { date: editing.date, time: editing.time, allowConflicts },
+          headers
+        ),
+      cancel: () =>
+        axios.post(
+          `/api/show/${showId}/cancel`,
+          { reason: editing.reason },
+          headers
+        ),
+    };
+
+    try {
+      const { data } = await requests[action]();
+      if (data.success) {
+        toast.success(data.message);
+        setEditing(null);
+        getAllShows();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      if (error.response?.status === 409) {
+        if (window.confirm(`${error.response.data.message} Move it anyway?`)) {
+          handleAction(true);
+        }
+        return;
+      }
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
   useEffect(() => {
     if (user) {
-      getAllShows();
+      getMovies();
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user) {
+      getAllShows();
+    }
+  }, [user, query]);
+
+  const filterFields = [
+    {
+      name: "when",
+      label: "Shows",
+      type: "select",
+      options: [
+        ["", "Upcoming"],
+        ["past", "Past"],
+        ["all", "All"],
+      ],
+    },
+    {
+      name: "movie",
+      label: "Movie",
+      type: "select",
+      options: [
+        ["", "All movies"],
+        ...movies.map((movie) => [movie._id, movie.title]),
+      ],
+    },
+    {
+      name: "status",
+      label: "Status",
+      type: "select",
+      options: [
+        ["", "Any status"],
+        ["scheduled", "Scheduled"],
+        ["cancelled", "Cancelled"],
+      ],
+    },
+    { name: "from", label: "Show date from", type: "date" },
+    { name: "to", label: "To", type: "date" },
+  ];
+
   return !loading ? (
     <>
       <Title text1={"List"} text2={"Shows"} />
-      <div className="max-w-4xl mt-6 overflow-x-auto">
+      <div className="flex gap-3 mt-6 text-sm">
+        {canManage && (
+          <button
+            onClick={() => setImporting((prev) => !prev)}
+            className="border border-primary px-4 py-1.5 rounded hover:bg-primary/20 transition cursor-pointer">
+            Import CSV
+          </button>
+        )}
+        <button
+          onClick={exportSchedule}
+          className="border border-primary px-4 py-1.5 rounded hover:bg-primary/20 transition cursor-pointer">
+          Export CSV
+        </button>
+        {hasPermission("reports:export") && (
+          <button
+            onClick={() => setShowReport((prev) => !prev)}
+            className="border border-primary px-4 py-1.5 rounded hover:bg-primary/20 transition cursor-pointer">
+            Sales Report
+          </button>
+        )}
+      </div>
+      {importing && <ScheduleImport onImported={getAllShows} />}
+      {showReport && (
+        <ReportExport
+          report="show-sales"
+          title="Per-show sales"
+          dateLabel="Shows"
+          anyStatusLabel="Paid (default)"
+          movies={movies}
+        />
+      )}
+      <div className="max-w-4xl mt-6">
+        <ListControls
+          query={query}
+          onChange={setQuery}
+          fields={filterFields}
+          searchPlaceholder="Movie title"
+        />
+      </div>
+      <div className="max-w-4xl mt-4 overflow-x-auto">
         <table className="w-full border-collapse rounded-md overflow-hidden text-nowrap">
           <thead>
             <tr className="bg-primary/20 text-left text-white">
               <th className="p-2 font-medium pl-5">Movie Name</th>
-              <th className="p-2 font-medium">Show Time</th>
+              <SortHeader
+                label="Show Time"
+                field="showDateTime"
+                query={query}
+                onChange={setQuery}
+              />
+              <SortHeader
+                label="Price"
+                field="showPrice"
+                query={query}
+                onChange={setQuery}
+              />
               <th className="p-2 font-medium">Total Bookings</th>
               <th className="p-2 font-medium">Earnings</th>
+              <th className="p-2 font-medium">Actions</th>
             </tr>
           </thead>
           <tbody className="text-sm font-light">
-            {shows.map((show, index) => (
-              <tr
-                key={index}
-                className="border-b border-primary/10 bg-primary/5 even:bg-primary/10">
-                <td className="p-2 min-w-45 pl-5">{show.movie.title}</td>
-                <td className="p-2">{dateFormat(show.showDateTime)}</td>
-                <td className="p-2">
-                  {Object.keys(show.occupiedSeats).length}
-                </td>
-                <td className="p-2">
-                  {currency}
-                  {Object.keys(show.occupiedSeats).length * show.showPrice}
+            {shows.length === 0 && (
+              <tr>
+                <td colSpan={6} className="p-4 pl-5 text-gray-400">
+                  No shows match these filters.
                 </td>
               </tr>
+            )}
+            {shows.map((show, index) => (
+              <React.Fragment key={index}>
+                <tr
+                  className={`border-b border-primary/10 bg-primary/5 even:bg-primary/10 ${
+                    show.status === "cancelled" ? "opacity-60" : ""
+                  }`}>
+                  <td className="p-2 min-w-45 pl-5">{show.movie.title}</td>
+                  <td className="p-2">
+                    {dateFormat(show.showDateTime, show.timeZone)}
+                  </td>
+                  <td className="p-2">
+                    {currency}
+                    {show.showPrice}
+                  </td>
+                  <td className="p-2">
+                    {Object.keys(show.occupiedSeats).length}
+                  </td>
+                  <td className="p-2">
+                    {currency}
+                    {Object.keys(show.occupiedSeats).length * show.showPrice}
+                  </td>
+                  <td className="p-2">
+                    {show.status === "cancelled" ? (
+                      <span className="text-red-500">Cancelled</span>
+                    ) : !canManage ? (
+                      <span className="text-gray-400">Scheduled</span>
+                    ) : (
+                      <div className="flex gap-3">
+                        {[
+                          ["price", "Price"],
+                          ["reschedule", "Reschedule"],
+                          ["cancel", "Cancel"],
+                        ].map(([action, label]) => (
+                          <button
+                            key={action}
+                            onClick={() => openAction(show, action)}
+                            className={`cursor-pointer ${
+                              action === "cancel"
+                                ? "text-red-500 hover:text-red-700"
+                                : "text-gray-300 hover:text-white"
+                            }`}>
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+
+                {editing?.showId === show._id && (
+                  <tr className="bg-primary/5">
+                    <td colSpan={6} className="p-4 pl-5 text-nowrap">
+                      {editing.action === "price" && (
+                        <div className="flex flex-wrap items-center gap-3">
+                          {[
+                            { key: "", name: "Show price" },
+                            ...((show.seatLayout?.categories?.length > 1 &&
+                              show.seatLayout.categories) ||
+                              []),
+                          ].map((category) => (
+                            <label
+                              key={category.key}
+                              className="inline-flex items-center gap-2 border border-gray-600 px-3 py-1.5 rounded-md">
+                              <span>{category.name}</span>
+                              <span className="text-gray-400">{currency}</span>
+                              <input
+                                min={0}
+                                type="number"
+                                value={
+                                  category.key
+                                    ? (editing.categoryPrices[category.key] ??
+                                      "")
+                                    : editing.showPrice
+                                }
+                                onChange={(e) =>
+                                  category.key
+                                    ? updateEditing("categoryPrices", {
+                                        ...editing.categoryPrices,
+                                        [category.key]: e.target.value,
+                                      })
+                                    : updateEditing("showPrice", e.target.value)
+                                }
+                                placeholder={String(editing.showPrice)}
+                                className="outline-none w-20"
+                              />
+                            </label>
+                          ))}
+                          <p className="w-full text-xs text-gray-400">
+                            New prices apply to seats still for sale. Seats
+                            already sold keep the price they were bought at.
+                          </p>
+                        </div>
+                      )}
+
+                      {editing.action === "reschedule" && (
+                        <div className="flex flex-wrap items-center gap-3">
+                          <input
+                            type="date"
+                            value={editing.date}
+                            onChange={(e) =>
+                              updateEditing("date", e.target.value)
+                            }
+                            className="border border-gray-600 px-3 py-1.5 rounded-md outline-none"
+                          />
+                          <input
+                            type="time"
+                            value={editing.time}
+                            onChange={(e) =>
+                              updateEditing("time", e.target.value)
+                            }
+                            className="border border-gray-600 px-3 py-1.5 rounded-md outline-none"
+                          />
+                          <span className="text-gray-400">
+                            {show.timeZone} time
+                          </span>
+                          <p className="w-full text-xs text-gray-400">
+                            Ticket holders keep their seats, are notified of the
+                            new time and can cancel for a full refund.
+                          </p>
+                        </div>
+                      )}
+
+                      {editing.action === "cancel" && (
+                        <div className="flex flex-wrap items-center gap-3">
+                          <input
+                            type="text"
+                            value={editing.reason}
+                            onChange={(e) =>
+                              updateEditing("reason", e.target.value)
+                            }
+                            placeholder="Reason shown to ticket holders"
+                            className="border border-gray-600 px-3 py-1.5 rounded-md outline-none w-80"
+                          />
+                          <p className="w-full text-xs text-gray-400">
+                            {Object.keys(show.occupiedSeats).length
+                              ? "Every paid booking is refunded in full and its holder is offered the movie's other shows."
+                              : "No seats are sold for this show yet."}
+                          </p>
+                        </div>
+                      )}
+
+                      <div className="flex gap-3 mt-3">
+                        <button
+                          onClick={() => handleAction()}
+                          className={`text-white px-5 py-1.5 rounded transition cursor-pointer ${
+                            editing.action === "cancel"
+                              ? "bg-red-500 hover:bg-red-600"
+                              : "bg-primary hover:bg-primary/90"
+                          }`}>
+                          {
+                            {
+                              price: "Save Prices",
+                              reschedule: "Reschedule Show",
+                              cancel: "Cancel Show",
+                            }[editing.action]
+                          }
+                        </button>
+                        <button
+                          onClick={() => setEditing(null)}
+                          className="text-gray-400 hover:text-white cursor-pointer">
+                          Close
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
+        <Pagination
+          pagination={pagination}
+          onPageChange={(page) => setQuery((prev) => ({ ...prev, page }))}
+        />
       </div>
     </>
   ) : (
@@ -0,0 +1,437 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { PlusIcon, Trash2Icon } from "lucide-react";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import SeatMap from "../../components/SeatMap";
+import Title from "../../components/admin/Title";
+import { assets } from "../../assets/assets";
+import { useAppContext } from "../../context/AppContext";
+
+const tools = [
+  { key: "seat", name: "Seat" },
+  { key: "wheelchair", name: "Wheelchair" },
+  { key: "gap", name: "Gap" },
+  { key: "blocked", name: "Block / Unblock" },
+  { key: "number", name: "Renumber" },
+  { key: "category", name: "Paint Category" },
+];
+
+const categoryColors = ["#f84565", "#3b82f6", "#eab308", "#22c55e", "#a855f7"];
+
+const defaultCategories = () => [
+  { key: "standard", name: "Standard", color: categoryColors[0] },
+];
+
+//layouts saved before seat categories existed get a single standard category
+const withCategories = (layout) => {
+  if (layout.categories?.length) return layout;
+  return {
+    categories: defaultCategories(),
+    rows: layout.rows.map((row) => ({
+      ...row,
+      cells: row.cells.map((cell) =>
+        cell.type === "gap" ? cell : { ...cell, category: "standard" }
+      ),
+    })),
+  };
+};
+
+const toCategoryKey = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 30);
+
+//A, B, ... Z, AA, AB, ...
+const rowLabel = (index) =>
+  index < 26
+    ? String.fromCharCode(65 + index)
+    : rowLabel(Math.floor(index / 26) - 1) +
+      String.fromCharCode(65 + (index % 26));
+
+const nextRowLabel = (rows) => {
+  const used = new Set(rows.map((row) => row.label));
+  let index = rows.length;
+  while (used.has(rowLabel(index))) index++;
+  return rowLabel(index);
+};
+
+const nextSeatNumber = (row) => {
+  const numbers = row.cells
+    .filter((cell) => cell.type !== "gap")
+    .map((cell) => cell.number);
+  return Math.max(0, ...numbers) + 1;
+};
+
+const SeatMapEditor = () => {
+  const { axios, getToken, user } = useAppContext();
+  const { screenId } = useParams();
+  const [screen, setScreen] = useState(null);
+  const [layout, setLayout] = useState(null);
+  const [tool, setTool] = useState("seat");
+  const [rowLength, setRowLength] = useState(10);
+  const [activeCategory, setActiveCategory] = useState("standard");
+  const [categoryName, setCategoryName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const getScreen = async () => {
+    try {
+      const { data } = await axios.get(`/api/admin/screen/${screenId}`, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (data.success) {
+        setScreen(data.screen);
+        const seatLayout = withCategories(data.screen.seatLayout);
+        setLayout(seatLayout);
+        setActiveCategory(seatLayout.categories[0].key);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const updateRow = (rowIndex, update) => {
+    setLayout((prev) => ({
+      ...prev,
+      rows: prev.rows.map((row, index) =>
+        index === rowIndex ? { ...row, ...update(row) } : row
+      ),
+    }));
+  };
+
+  const handleCellClick = (rowIndex, cellIndex) => {
+    const row = layout.rows[rowIndex];
+    const cell = row.cells[cellIndex];
+    //blocking, renumbering and categories only apply to seats
+    const seatOnlyTool = ["blocked", "number", "category"].includes(tool);
+    if (seatOnlyTool && cell.type === "gap") {
+      return;
+    }
+
+    let number = cell.number;
+    if (tool === "number") {
+      number = Number(
+        window.prompt(`Seat number in row ${row.label}`, cell.number)
+      );
+      if (!Number.isInteger(number) || number < 1) return;
+    }
+
+    updateRow(rowIndex, (row) => {
+      const cells = [...row.cells];
+      if (tool === "gap") {
+        cells[cellIndex] = { type: "gap" };
+      } else if (tool === "blocked") {
+        cells[cellIndex] = { ...cell, blocked: !cell.blocked };
+      } else if (tool === "number") {
+        cells[cellIndex] = { ...cell, number };
+      } else if (tool === "category") {
+        cells[cellIndex] = { ...cell, category: activeCategory };
+      } else {
+        cells[cellIndex] = {
+          type: tool,
+          number: cell.type === "gap" ? nextSeatNumber(row) : cell.number,
+          blocked: cell.blocked || false,
+          category: cell.category || activeCategory,
+        };
+      }
+      return { cells };
+    });
+  };
+
+  const addRow = () => {
+    setLayout((prev) => ({
+      ...prev,
+      rows: [
+        ...prev.rows,
+        {
+          label: nextRowLabel(prev.rows),
+          aisleAfter: false,
+          cells: Array.from({ length: rowLength }, (_, i) => ({
+            type: "seat",
+            number: i + 1,
+            blocked: false,
+            category: activeCategory,
+          })),
+        },
+      ],
+    }));
+  };
+
+  const addCategory = () => {
+    const key = toCategoryKey(categoryName);
+    if (!key) return toast("Enter a category name.");
+    if (layout.categories.some((category) => category.key === key)) {
+      return toast("This category already exists.");
+    }
+    setLayout((prev) => ({
+      ...prev,
+      categories: [
+        ...prev.categories,
+        {
+          key,
+          name: categoryName.trim(),
+          color: categoryColors[prev.categories.length % categoryColors.length],
+        },
+      ],
+    }));
+    setActiveCategory(key);
+    setCategoryName("");
+  };
+
+  const updateCategory = (key, update) => {
+    setLayout((prev) => ({
+      ...prev,
+      categories: prev.categories.map((category) =>
+        category.key === key ? { ...category, ...update } : category
+      ),
+    }));
+  };
+
+  //seats of a removed category move to the first remaining one
+  const removeCategory = (key) => {
+    if (layout.categories.length === 1) {
+      return toast("A seat map needs at least one category.");
+    }
+    const remaining = layout.categories.filter((c) => c.key !== key);
+    setLayout((prev) => ({
+      categories: remaining,
+      rows: prev.rows.map((row) => ({
+        ...row,
+        cells: row.cells.map((cell) =>
+          cell.category === key
+            ? { ...cell, category: remaining[0].key }
+            : cell
+        ),
+      })),
+    }));
+    if (activeCategory === key) setActiveCategory(remaining[0].key);
+  };
+
+  const removeRow = (rowIndex) => {
+    setLayout((prev) => ({
+      ...prev,
+      rows: prev.rows.filter((_, index) => index !== rowIndex),
+    }));
+  };
+
+  //number every row's seats 1..n from left to right, skipping gaps
+  const autoNumber = () => {
+    setLayout((prev) => ({
+      ...prev,
+      rows: prev.rows.map((row) => {
+        let number = 0;
+        return {
+          ...row,
+          cells: row.cells.map((cell) =>
+            cell.type === "gap" ? cell : { ...cell, number: ++number }
+          ),
+        };
+      }),
+    }));
+  };
+
+  const saveLayout = async () => {
+    try {
+      setSaving(true);
+      const { data } = await axios.put(
+        `/api/admin/screen/${screenId}/layout`,
+        { seatLayout: layout },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setLayout(data.screen.seatLayout);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+    setSaving(false);
+  };
+
+  useEffect(() => {
+    if (user) {
+      getScreen();
+    }
+  }, [user, screenId]);
+
+  if (!layout) return <Loading />;
+
+  const seatCount = layout.rows.reduce(
+    (acc, row) =>
+      acc + row.cells.filter((c) => c.type !== "gap" && !c.blocked).length,
+    0
+  );
+
+  return (
+    <>
+      <Title text1="Seat" text2="Map" />
+      <p className="mt-2 text-sm text-gray-400">
+        {screen.theater?.name} · {screen.name} · {seatCount} bookable seats
+      </p>
+
+      {/* Tools */}
+      <div className="flex flex-wrap items-center gap-2 mt-6 text-sm">
+        {tools.map((item) => (
+          <button
+            key={item.key}
+            onClick={() => setTool(item.key)}
+            className={`px-3 py-1.5 rounded border cursor-pointer ${
+              tool === item.key
+                ? "bg-primary border-primary text-white"
+                : "border-gray-600 hover:border-primary"
+            }`}>
+            {item.name}
+          </button>
+        ))}
+        <button
+          onClick={autoNumber}
+          className="px-3 py-1.5 rounded border border-gray-600 hover:border-primary cursor-pointer">
+          Auto-number
+        </button>
+      </div>
+
+      {/* Categories */}
+      <div className="flex flex-wrap items-center gap-3 mt-4 text-sm">
+        {layout.categories.map((category) => (
+          <div
+            key={category.key}
+            onClick={() => setActiveCategory(category.key)}
+            className={`flex items-center gap-2 px-2 py-1 rounded border cursor-pointer ${
+              activeCategory === category.key
+                ? "border-white"
+                : "border-gray-700"
+            }`}>
+            <input
+              type="color"
+              value={category.color}
+              onChange={(e) =>
+                updateCategory(category.key, { color: e.target.value })
+              }
+              className="h-5 w-5 bg-transparent cursor-pointer"
+            />
+            <input
+              type="text"
+              value={category.name}
+              onChange={(e) =>
+                updateCategory(category.key, { name: e.target.value })
+              }
+              className="w-24 outline-none bg-transparent"
+            />
+            <Trash2Icon
+              onClick={(e) => {
+                e.stopPropagation();
+                removeCategory(category.key);
+              }}
+              className="w-3.5 h-3.5 text-red-500 hover:text-red-700"
+            />
+          </div>
+        ))}
+        <div className="inline-flex items-center border border-gray-600 pl-2 rounded">
+          <input
+            type="text"
+            value={categoryName}
+            onChange={(e) => setCategoryName(e.target.value)}
+            placeholder="New category"
+            className="outline-none w-28"
+          />
+          <PlusIcon
+            onClick={addCategory}
+            className="w-7 h-7 p-1 text-primary cursor-pointer"
+          />
+        </div>
+      </div>
+
+      {/* Preview */}
+      <div className="flex flex-col items-center mt-8 max-w-5xl">
+        <img src={assets.screenImage} alt="screen" />
+        <p className="text-gray-400 text-sm mb-6">SCREEN SIDE</p>
+        <SeatMap layout={layout} onCellClick={handleCellClick} showGaps />
+      </div>
+
+      {/* Rows */}
+      <div className="mt-8 max-w-xl space-y-2 text-sm">
+        {layout.rows.map((row, rowIndex) => (
+          <div
+            key={row.label}
+            className="flex items-center gap-4 border-b border-primary/10 pb-2">
+            <span className="w-6 font-medium">{row.label}</span>
+            <span className="text-gray-400 w-20">
+              {row.cells.length} cells
+            </span>
+            <button
+              onClick={() =>
+                updateRow(rowIndex, (row) => ({
+                  cells: [
+                    ...row.cells,
+                    {
+                      type: "seat",
+                      number: nextSeatNumber(row),
+                      blocked: false,
+                      category: activeCategory,
+                    },
+                  ],
+                }))
+              }
+              className="text-gray-400 hover:text-white cursor-pointer">
+              + Cell
+            </button>
+            <button
+              onClick={() =>
+                updateRow(rowIndex, (row) => ({
+                  cells: row.cells.slice(0, -1),
+                }))
+              }
+              className="text-gray-400 hover:text-white cursor-pointer">
+              − Cell
+            </button>
+            <label className="flex items-center gap-1 text-gray-400">
+              <input
+                type="checkbox"
+                checked={row.aisleAfter}
+                onChange={(e) =>
+                  updateRow(rowIndex, () => ({ aisleAfter: e.target.checked }))
+                }
+              />
+              Aisle after
+            </label>
+            <Trash2Icon
+              onClick={() => removeRow(rowIndex)}
+              className="w-4 h-4 ml-auto text-red-500 hover:text-red-700 cursor-pointer"
+            />
+          </div>
+        ))}
+        <div className="flex items-center gap-2 pt-2">
+          <input
+            min={1}
+            type="number"
+            value={rowLength}
+            onChange={(e) => setRowLength(Number(e.target.value))}
+            className="w-16 border border-gray-600 px-2 py-1 rounded-md outline-none"
+          />
+          <button
+            onClick={addRow}
+            className="flex items-center gap-1 text-primary cursor-pointer">
+            <PlusIcon className="w-4 h-4" /> Add Row
+          </button>
+        </div>
+      </div>
+
+      <button
+        onClick={saveLayout}
+        disabled={saving}
+        className="bg-primary text-white px-8 py-2 mt-8 rounded hover:bg-primary/90 transition-all cursor-pointer">
+        Save Layout
+      </button>
+    </>
+  );
+};
+
+export default SeatMapEditor;
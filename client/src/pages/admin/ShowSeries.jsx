@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import Title from "../../components/admin/Title";
+import RecurrenceInput from "../../components/admin/RecurrenceInput";
+import { useAppContext } from "../../context/AppContext";
+
+const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+//Recurring show series: change their schedule and price or cancel them
+const ShowSeries = () => {
+  const { axios, getToken, user, hasPermission } = useAppContext();
+  const currency = import.meta.env.VITE_CURRENCY;
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+
+  const authHeaders = async () => ({
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+
+  const getSeries = async () => {
+    try {
+      const { data } = await axios.get("/api/show/series", await authHeaders());
+      if (data.success) {
+        setSeries(data.series);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+    setLoading(false);
+  };
+
+  //runs a series request and refreshes the list when it succeeds
+  const request = async (fn) => {
+    try {
+      const { data } = await fn();
+      if (data.success) {
+        toast.success(data.message);
+        await getSeries();
+        return true;
+      }
+      toast.error(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+    return false;
+  };
+
+  const handleSave = async (allowConflicts = false) => {
+    const { _id, showPrice, ...recurrence } = editing;
+    try {
+      const { data } = await axios.put(
+        `/api/show/series/${_id}`,
+        { ...recurrence, showPrice: Number(showPrice), allowConflicts },
+        await authHeaders()
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setEditing(null);
+        await getSeries();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      //new shows overlapping others on the screen need a confirmation
+      if (error.response?.status === 409) {
+        if (window.confirm(`${error.response.data.message} Save anyway?`)) {
+          handleSave(true);
+        }
+        return;
+      }
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const handleCancel = async (item) => {
+    if (
+      !window.confirm(
+        `Cancel the ${item.movie.title} series? Shows with bookings are cancelled and refunded.`
+      )
+    ) {
+      return;
+    }
+    await request(async () =>
+      axios.post(`/api/show/series/${item._id}/cancel`, {}, await authHeaders())
+    );
+  };
+
+  useEffect(() => {
+    if (user) {
+      getSeries();
+    }
+  }, [user]);
+
+  return !loading ? (
+    <>
+      <Title text1="Show" text2="Series" />
+      {series.length === 0 && (
+        <p className="mt-8 text-sm text-gray-400">
+          No series yet. Add one with a repeating schedule on the Add Shows
+          page.
+        </p>
+      )}
+      <div className="max-w-4xl mt-8 space-y-4">
+        {series.map((item) => (
+          <div
+            key={item._id}
+            className={`bg-primary/5 border border-primary/20 rounded-md p-4 text-sm ${
+              item.status === "cancelled" ? "opacity-60" : ""
+            }`}>
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <p className="text-lg font-medium">
+                  {item.movie?.title}
+                  {item.status === "cancelled" && (
+                    <span className="ml-2 text-xs text-red-500">Cancelled</span>
+                  )}
+                </p>
+                <p className="text-gray-400">
+                  {item.screen?.theater?.name} · {item.screen?.name} ·{" "}
+                  {item.timeZone}
+                </p>
+                <p className="mt-2">
+                  {item.startDate} to {item.endDate} at {item.times.join(", ")}
+                </p>
+                <p className="text-gray-400">
+                  {item.daysOfWeek.length === 7
+                    ? "Every day"
+                    : item.daysOfWeek
+                        .map((day) => weekdays[day])
+                        .join(", ")}{" "}
+                  · {currency}
+                  {item.showPrice}
+                </p>
+                <p className="text-gray-400">
+                  {item.upcomingShows} upcoming shows, {item.soldShows} with
+                  bookings
+                </p>
+              </div>
+              {item.status === "active" && hasPermission("shows:manage") && (
+                <div className="flex gap-3">
+                  <button
+                    onClick={() =>
+                      setEditing({
+                        _id: item._id,
+                        startDate: item.startDate,
+                        endDate: item.endDate,
+                        times: item.times,
+                        daysOfWeek: item.daysOfWeek,
+                        showPrice: item.showPrice,
+                      })
+                    }
+                    className="text-gray-300 hover:text-white cursor-pointer">
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleCancel(item)}
+                    className="text-red-500 hover:text-red-700 cursor-pointer">
+                    Cancel Series
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {editing?._id === item._id && (
+              <div className="mt-4 pt-4 border-t border-primary/20">
+                <RecurrenceInput value={editing} onChange={setEditing} />
+                <div className="mt-4">
+                  <label className="block font-medium mb-2">Show Price</label>
+                  <div className="inline-flex items-center gap-2 border border-gray-600 px-3 py-2 rounded-md">
+                    <p className="text-gray-400">{currency}</p>
+                    <input
+                      min={0}
+                      type="number"
+                      value={editing.showPrice}
+                      onChange={(e) =>
+                        setEditing((prev) => ({
+                          ...prev,
+                          showPrice: e.target.value,
+                        }))
+                      }
+                      className="outline-none w-24"
+                    />
+                  </div>
+                </div>
+                <p className="mt-3 text-xs text-gray-400">
+                  Upcoming shows that no longer fit are removed unless seats
+                  were sold. The price applies to every upcoming show.
+                </p>
+                <div className="flex gap-3 mt-3">
+                  <button
+                    onClick={() => handleSave()}
+                    className="bg-primary text-white px-6 py-2 rounded hover:bg-primary/90 transition cursor-pointer">
+                    Save Series
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="text-gray-400 hover:text-white cursor-pointer">
+                    Close
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  ) : (
+    <Loading />
+  );
+};
+
+export default ShowSeries;
@@ -0,0 +1,287 @@
+import React, { useEffect, useState } from "react";
+import { LayoutGridIcon, PencilIcon, PlusIcon, Trash2Icon } from "lucide-react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import Loading from "../../components/Loading";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const emptyTheater = {
+  name: "",
+  address: "",
+  city: "",
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+};
+
+const timeZones = Intl.supportedValuesOf("timeZone");
+
+const Theaters = () => {
+  const { axios, getToken, user, hasPermission } = useAppContext();
+  //theater managers edit their venues but only super admins add or remove them
+  const canAddTheaters = hasPermission("theaters:admin");
+  const [theaters, setTheaters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [theaterInput, setTheaterInput] = useState(emptyTheater);
+  const [editingTheaterId, setEditingTheaterId] = useState(null);
+  const [screenInputs, setScreenInputs] = useState({});
+
+  const authHeaders = async () => ({
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+
+  //runs an admin request and refreshes the list when it succeeds
+  const request = async (fn) => {
+    try {
+      const { data } = await fn();
+      if (data.success) {
+        toast.success(data.message);
+        await getTheaters();
+        return true;
+      }
+      toast.error(data.message);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+    return false;
+  };
+
+  const getTheaters = async () => {
+    try {
+      const { data } = await axios.get(
+        "/api/admin/all-theaters",
+        await authHeaders()
+      );
+      if (data.success) {
+        setTheaters(data.theaters);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+    setLoading(false);
+  };
+
+  const handleTheaterSubmit = async () => {
+    const { name, address, city, timeZone } = theaterInput;
+    if (!name || !address || !city || !timeZone) {
+      return toast("Required fields missing.");
+    }
+    const saved = await request(async () =>
+      editingTheaterId
+        ? axios.put(
+            `/api/admin/theater/${editingTheaterId}`,
+            theaterInput,
+            await authHeaders()
+          )
+        : axios.post(
+            "/api/admin/add-theater",
+            theaterInput,
+            await authHeaders()
+          )
+    );
+    if (saved) {
+      setTheaterInput(emptyTheater);
+      setEditingTheaterId(null);
+    }
+  };
+
+  const handleDeleteTheater = async (theater) => {
+    if (!window.confirm(`Delete ${theater.name} and all of its screens?`)) {
+      return;
+    }
+    await request(async () =>
+      axios.delete(`/api/admin/theater/${theater._id}`, await authHeaders())
+    );
+  };
+
+  const handleAddScreen = async (theaterId) => {
+    const name = screenInputs[theaterId];
+    if (!name) return toast("Enter a screen name.");
+    const saved = await request(async () =>
+      axios.post(
+        "/api/admin/add-screen",
+        { theaterId, name },
+        await authHeaders()
+      )
+    );
+    if (saved) {
+      setScreenInputs((prev) => ({ ...prev, [theaterId]: "" }));
+    }
+  };
+
+  const handleRenameScreen = async (screen) => {
+    const name = window.prompt("Screen name", screen.name);
+    if (!name || name === screen.name) return;
+    await request(async () =>
+      axios.put(
+        `/api/admin/screen/${screen._id}`,
+        { name },
+        await authHeaders()
+      )
+    );
+  };
+
+  const handleDeleteScreen = async (screen) => {
+    if (!window.confirm(`Delete ${screen.name}?`)) return;
+    await request(async () =>
+      axios.delete(`/api/admin/screen/${screen._id}`, await authHeaders())
+    );
+  };
+
+  useEffect(() => {
+    if (user) {
+      getTheaters();
+    }
+  }, [user]);
+
+  return !loading ? (
+    <>
+      <Title text1="Manage" text2="Theaters" />
+
+      {/* Theater Form */}
+      <div
+        className={`mt-8 flex flex-wrap items-end gap-4 ${
+          canAddTheaters || editingTheaterId ? "" : "hidden"
+        }`}>
+        {["name", "address", "city"].map((field) => (
+          <div key={field}>
+            <label className="block text-sm font-medium mb-2 capitalize">
+              {field}
+            </label>
+            <input
+              type="text"
+              value={theaterInput[field]}
+              onChange={(e) =>
+                setTheaterInput((prev) => ({
+                  ...prev,
+                  [field]: e.target.value,
+                }))
+              }
+              className="border border-gray-600 px-3 py-2 rounded-md outline-none"
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium mb-2">Time zone</label>
+          <select
+            value={theaterInput.timeZone}
+            onChange={(e) =>
+              setTheaterInput((prev) => ({
+                ...prev,
+                timeZone: e.target.value,
+              }))
+            }
+            className="border border-gray-600 px-3 py-2 rounded-md outline-none bg-black">
+            {/* keep zones the browser doesn't list (aliases, UTC) selectable */}
+            {(timeZones.includes(theaterInput.timeZone)
+              ? timeZones
+              : [theaterInput.timeZone, ...timeZones]
+            ).map((timeZone) => (
+              <option key={timeZone} value={timeZone}>
+                {timeZone}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleTheaterSubmit}
+          className="bg-primary text-white px-8 py-2 rounded hover:bg-primary/90 transition-all cursor-pointer">
+          {editingTheaterId ? "Update Theater" : "Add Theater"}
+        </button>
+        {editingTheaterId && (
+          <button
+            onClick={() => {
+              setEditingTheaterId(null);
+              setTheaterInput(emptyTheater);
+            }}
+            className="text-sm text-gray-400 hover:text-white cursor-pointer">
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {/* Theater List */}
+      <div className="max-w-4xl mt-10 space-y-4">
+        {theaters.map((theater) => (
+          <div
+            key={theater._id}
+            className="bg-primary/5 border border-primary/20 rounded-md p-4">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <p className="text-lg font-medium">{theater.name}</p>
+                <p className="text-sm text-gray-400">
+                  {theater.address}, {theater.city} · {theater.timeZone}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <PencilIcon
+                  onClick={() => {
+                    setEditingTheaterId(theater._id);
+                    setTheaterInput({
+                      name: theater.name,
+                      address: theater.address,
+                      city: theater.city,
+                      timeZone: theater.timeZone,
+                    });
+                  }}
+                  className="w-4 h-4 text-gray-400 hover:text-white cursor-pointer"
+                />
+                {canAddTheaters && (
+                  <Trash2Icon
+                    onClick={() => handleDeleteTheater(theater)}
+                    className="w-4 h-4 text-red-500 hover:text-red-700 cursor-pointer"
+                  />
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-4 text-sm">
+              {theater.screens.map((screen) => (
+                <div
+                  key={screen._id}
+                  className="border border-primary px-2 py-1 flex items-center gap-2 rounded">
+                  <span>{screen.name}</span>
+                  <Link to={`/admin/seat-map/${screen._id}`} title="Seat map">
+                    <LayoutGridIcon className="w-3.5 h-3.5 text-gray-400 hover:text-white" />
+                  </Link>
+                  <PencilIcon
+                    onClick={() => handleRenameScreen(screen)}
+                    className="w-3.5 h-3.5 text-gray-400 hover:text-white cursor-pointer"
+                  />
+                  <Trash2Icon
+                    onClick={() => handleDeleteScreen(screen)}
+                    className="w-3.5 h-3.5 text-red-500 hover:text-red-700 cursor-pointer"
+                  />
+                </div>
+              ))}
+              <div className="inline-flex items-center border border-gray-600 pl-2 rounded">
+                <input
+                  type="text"
+                  value={screenInputs[theater._id] || ""}
+                  onChange={(e) =>
+                    setScreenInputs((prev) => ({
+                      ...prev,
+                      [theater._id]: e.target.value,
+                    }))
+                  }
+                  placeholder="New screen"
+                  className="outline-none w-28"
+                />
+                <PlusIcon
+                  onClick={() => handleAddScreen(theater._id)}
+                  className="w-7 h-7 p-1 text-primary cursor-pointer"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  ) : (
+    <Loading />
+  );
+};
+
+export default Theaters;